@@ -10,7 +10,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { BusinessModel, CheckInModel, CaseModel, UserModel } from '../src/models/index.js';
-import { generateCaseNumber } from '../src/utils/caseNumber.js';
+import { nextCaseNumber } from '../src/services/caseService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -154,7 +154,7 @@ const addCheckInsAndCases = async () => {
           // Create case if we have case info
           if (caseValue) {
             const { type: caseType, description } = extractCaseType(caseValue);
-            const caseNumber = generateCaseNumber(new Date(), summary.cases + 1);
+            const caseNumber = await nextCaseNumber(new Date());
             
             await CaseModel.create({
               check_in_id: checkIn._id,
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+import { CaseModel, PaymentModel } from '../src/models/index.js';
+import { config } from '../src/config.js';
+import { refreshCaseBalance } from '../src/services/paymentService.js';
+
+/**
+ * Recalculate payment_amount, payment_status and outstanding_balance of existing fined
+ * cases from their payments, as cases now take several (partial) payments
+ */
+const backfillCaseBalances = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+    console.log('✅ MongoDB connected for case balance backfill.');
+
+    const cases = await CaseModel.find({ fine_amount: { $gt: 0 } });
+    let updatedCount = 0;
+    let partiallyPaid = 0;
+
+    for (const caseItem of cases) {
+      // Imported cases can be marked paid without payment records; keep their recorded amount
+      const hasPayments = await PaymentModel.exists({ case_id: caseItem._id });
+      if (hasPayments) await refreshCaseBalance(caseItem);
+      caseItem.outstanding_balance = Math.max(Math.round((caseItem.fine_amount - caseItem.payment_amount) * 100) / 100, 0);
+      if (caseItem.isModified()) {
+        await caseItem.save();
+        updatedCount++;
+      }
+      if (caseItem.payment_status === 'partially_paid') partiallyPaid++;
+    }
+
+    console.log(`✅ Backfill complete. Checked ${cases.length} fined cases, updated ${updatedCount}.`);
+    console.log(`   - ${partiallyPaid} cases are partially paid`);
+  } catch (error) {
+    console.error('❌ Error during case balance backfill:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ MongoDB disconnected.');
+  }
+};
+
+backfillCaseBalances();
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+import { CaseModel } from '../src/models/index.js';
+import { config } from '../src/config.js';
+import { DecisionStatuses, watchEntity } from '../src/services/watchService.js';
+
+/**
+ * Subscribe the assigned officer and the deciding user of existing cases,
+ * as new cases are subscribed automatically when saved
+ */
+const backfillCaseWatchers = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+    console.log('✅ MongoDB connected for case watcher backfill.');
+
+    const cases = await CaseModel.find({}).select('assigned_officer_id status_history').lean();
+    let assigned = 0;
+    let decided = 0;
+
+    for (const caseItem of cases) {
+      if (caseItem.assigned_officer_id) {
+        await watchEntity(caseItem.assigned_officer_id, 'case', caseItem._id, 'assigned');
+        assigned++;
+      }
+      const decision = (caseItem.status_history || [])
+        .filter((entry) => DecisionStatuses.includes(entry.to) && entry.changed_by)
+        .pop();
+      if (decision) {
+        await watchEntity(decision.changed_by, 'case', caseItem._id, 'decided');
+        decided++;
+      }
+    }
+
+    console.log(`✅ Backfill complete. Checked ${cases.length} cases.`);
+    console.log(`   - ${assigned} assigned officers and ${decided} deciders subscribed`);
+  } catch (error) {
+    console.error('❌ Error during case watcher backfill:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ MongoDB disconnected.');
+  }
+};
+
+backfillCaseWatchers();
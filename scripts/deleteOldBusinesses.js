@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import { config } from '../src/config.js';
-import { BusinessModel, CheckInModel, CaseModel, EditRequestModel } from '../src/models/index.js';
+import { BusinessModel, CheckInModel, CaseModel } from '../src/models/index.js';
+import { softDeleteRecord } from '../src/services/trashService.js';
 
 const deleteOldBusinesses = async () => {
   try {
@@ -35,11 +36,11 @@ const deleteOldBusinesses = async () => {
     console.log(`\n✅ ${todayBusinesses.length} businesses will be kept (registered today)`);
 
     // Confirm deletion
-    console.log('\n⚠️  WARNING: This will delete:');
+    console.log(`\n⚠️  WARNING: This will move to the trash (purged after ${config.trash.retentionDays} days):`);
     console.log(`   - ${oldBusinesses.length} businesses`);
     console.log(`   - All related check-ins`);
     console.log(`   - All related cases`);
-    console.log(`   - All related edit requests`);
+    console.log(`   - All related payments and evidence`);
 
     // Get counts of related data
     const businessIds = oldBusinesses.map((b) => b._id);
@@ -64,52 +65,23 @@ const deleteOldBusinesses = async () => {
       check_in_id: { $in: checkInIds },
     });
 
-    const editRequestsCount = await EditRequestModel.countDocuments({
-      business_id: { $in: businessIds },
-    });
-
-    console.log(`\n📊 Related data to be deleted:`);
+    console.log(`\n📊 Related data to be moved to the trash:`);
     console.log(`   - ${checkInsCount} check-ins`);
     console.log(`   - ${actualCasesCount} cases`);
-    console.log(`   - ${editRequestsCount} edit requests`);
-
-    // Delete related data first
-    console.log('\n🗑️  Deleting related data...');
-
-    // Delete edit requests
-    if (editRequestsCount > 0) {
-      const deletedRequests = await EditRequestModel.deleteMany({
-        business_id: { $in: businessIds },
-      });
-      console.log(`   ✅ Deleted ${deletedRequests.deletedCount} edit requests`);
-    }
 
-    // Delete cases
-    if (actualCasesCount > 0) {
-      const deletedCases = await CaseModel.deleteMany({
-        check_in_id: { $in: checkInIds },
-      });
-      console.log(`   ✅ Deleted ${deletedCases.deletedCount} cases`);
+    // Move businesses to the trash; check-ins, cases, payments and evidence go with them.
+    // They can be restored from /api/trash until the retention period ends and the purge job removes them.
+    console.log('\n🗑️  Moving businesses to the trash...');
+    let trashedCount = 0;
+    for (const business of oldBusinesses) {
+      await softDeleteRecord('business', business._id);
+      trashedCount++;
     }
-
-    // Delete check-ins
-    if (checkInsCount > 0) {
-      const deletedCheckIns = await CheckInModel.deleteMany({
-        business_id: { $in: businessIds },
-      });
-      console.log(`   ✅ Deleted ${deletedCheckIns.deletedCount} check-ins`);
-    }
-
-    // Delete businesses
-    console.log('\n🗑️  Deleting businesses...');
-    const deletedBusinesses = await BusinessModel.deleteMany({
-      createdAt: { $lt: today },
-    });
-    console.log(`   ✅ Deleted ${deletedBusinesses.deletedCount} businesses`);
+    console.log(`   ✅ Moved ${trashedCount} businesses to the trash`);
 
     console.log('\n✅ Cleanup completed successfully!');
     console.log(`\n📊 Summary:`);
-    console.log(`   - Businesses deleted: ${deletedBusinesses.deletedCount}`);
+    console.log(`   - Businesses moved to the trash: ${trashedCount}`);
     console.log(`   - Businesses kept: ${todayBusinesses.length}`);
   } catch (error) {
     console.error('❌ Error deleting old businesses:', error);
@@ -11,7 +11,7 @@ import { fileURLToPath } from 'url';
 
 import { BusinessModel, CheckInModel, CaseModel } from '../src/models/index.js';
 import { generateBusinessId } from '../src/utils/businessId.js';
-import { generateCaseNumber } from '../src/utils/caseNumber.js';
+import { nextCaseNumber } from '../src/services/caseService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -175,7 +175,7 @@ const importData = async () => {
           // Create case if we have case info
           if (caseValue) {
             const { type: caseType, description } = extractCaseType(caseValue);
-            const caseNumber = generateCaseNumber(new Date(), summary.cases + 1);
+            const caseNumber = await nextCaseNumber(new Date());
             
             await CaseModel.create({
               check_in_id: checkIn.id,
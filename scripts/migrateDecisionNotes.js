@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+import { CaseModel } from '../src/models/case.js';
+import { CaseCommentModel } from '../src/models/caseComment.js';
+import { PaymentModel } from '../src/models/payment.js';
+import { config } from '../src/config.js';
+
+// Notes used to be appended as "\n\nDecision: ..." / "\n\nVerification: ..." / "\n\nRejected: ..."
+const splitAppended = (text, labels) => {
+  const pattern = new RegExp(`\\n\\n(${labels.join('|')}): `);
+  const parts = text.split(pattern);
+  const original = parts[0];
+  const notes = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    notes.push({ label: parts[i], body: parts[i + 1].trim() });
+  }
+  return { original, notes };
+};
+
+const migrateDecisionNotes = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+    console.log('✅ MongoDB connected for decision notes migration.');
+
+    let caseCount = 0;
+    let paymentCount = 0;
+    let commentCount = 0;
+
+    const cases = await CaseModel.find({ description: /\n\nDecision: / });
+    for (const caseItem of cases) {
+      const { original, notes } = splitAppended(caseItem.description, ['Decision']);
+      for (const note of notes.filter((n) => n.body)) {
+        await CaseCommentModel.create({
+          case_id: caseItem._id,
+          body: note.body,
+          kind: 'legacy',
+          createdAt: caseItem.statusChangedAt || caseItem.updatedAt,
+        });
+        commentCount++;
+      }
+      caseItem.description = original;
+      await caseItem.save();
+      caseCount++;
+    }
+
+    const payments = await PaymentModel.find({ notes: /\n\n(Verification|Rejected): / });
+    for (const payment of payments) {
+      const { original, notes } = splitAppended(payment.notes, ['Verification', 'Rejected']);
+      for (const note of notes.filter((n) => n.body)) {
+        await CaseCommentModel.create({
+          case_id: payment.case_id,
+          author_id: payment.verified_by,
+          body: note.label === 'Rejected' ? `Payment rejected: ${note.body}` : note.body,
+          kind: 'payment_verification',
+          payment_id: payment._id,
+          createdAt: payment.verified_at || payment.updatedAt,
+        });
+        commentCount++;
+      }
+      payment.notes = original;
+      await payment.save();
+      paymentCount++;
+    }
+
+    console.log(`✅ Migration complete. Created ${commentCount} comments.`);
+    console.log(`   - ${caseCount} case descriptions cleaned`);
+    console.log(`   - ${paymentCount} payment notes cleaned`);
+  } catch (error) {
+    console.error('❌ Error during decision notes migration:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ MongoDB disconnected.');
+  }
+};
+
+migrateDecisionNotes();
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+import { config } from '../src/config.js';
+import { getMobileMoneyProvider } from '../src/services/mobileMoneyProviders.js';
+
+/**
+ * Send a signed mobile-money payment notification to a running server, as the provider would.
+ *
+ * Usage:
+ *   node scripts/simulateMobileMoneyPayment.js --reference CASE-20250114-0007 --amount 50
+ *     [--msisdn 252612345678] [--name "Payer Name"] [--currency USD] [--transaction TX123]
+ *     [--replay] (send the same notification twice) [--stale] (sign it 10 minutes ago)
+ *     [--bad-signature] [--url http://localhost:4000]
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const send = async (url, rawBody, headers) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: rawBody,
+  });
+  const text = await response.text();
+  console.log(`   ← ${response.status} ${text}`);
+};
+
+const simulateMobileMoneyPayment = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const { provider: providerName, webhookSecret } = config.mobileMoney;
+    const provider = getMobileMoneyProvider(providerName);
+    if (!provider?.signNotification) throw new Error(`Provider "${providerName}" cannot be simulated`);
+    if (!webhookSecret) throw new Error('Set MOBILE_MONEY_WEBHOOK_SECRET in .env first');
+    if (!args.amount) throw new Error('--amount is required');
+
+    const notification = {
+      transaction_id: args.transaction || `SIM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+      amount: Number(args.amount),
+      currency: args.currency || 'USD',
+      msisdn: args.msisdn || '252610000000',
+      payer_name: args.name || 'Simulated Payer',
+      reference: args.reference === true ? '' : args.reference || '',
+      paid_at: new Date().toISOString(),
+    };
+    const rawBody = JSON.stringify(notification);
+    const timestamp = Math.floor(Date.now() / 1000) - (args.stale ? 600 : 0);
+    const headers = provider.signNotification({ rawBody, secret: webhookSecret, timestamp });
+    if (args['bad-signature']) headers['X-Signature'] = '0'.repeat(64);
+
+    const url = `${args.url || config.urls.serverBase}/api/mobile-money/webhook`;
+    console.log(`📲 Sending ${notification.transaction_id}: ${notification.amount} ${notification.currency} ref "${notification.reference}" to ${url}`);
+    await send(url, rawBody, headers);
+    if (args.replay) {
+      console.log('🔁 Replaying the same notification');
+      await send(url, rawBody, headers);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error simulating mobile money payment:', error.message);
+    process.exit(1);
+  }
+};
+
+simulateMobileMoneyPayment();
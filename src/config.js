@@ -1,5 +1,7 @@
 import dotenv from 'dotenv';
 
+import { LatePenaltyBases, LatePenaltyPeriods } from './constants/enums.js';
+
 dotenv.config();
 
 const getEnv = (key, fallback) => {
@@ -10,6 +12,25 @@ const getEnv = (key, fallback) => {
   return value;
 };
 
+// An env var that must be one of a set of values
+const getEnumEnv = (key, allowed, fallback) => {
+  const value = process.env[key] || fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid env var ${key}: ${value} (expected one of ${allowed.join(', ')})`);
+  }
+  return value;
+};
+
+// A comma-separated list of numbers, each at least min
+const getNumberListEnv = (key, fallback, { min = -Infinity } = {}) => {
+  const raw = process.env[key] || fallback;
+  const values = raw.split(',').map((v) => Number(v.trim()));
+  if (values.length === 0 || values.some((v) => !Number.isFinite(v) || v < min)) {
+    throw new Error(`Invalid env var ${key}: ${raw} (expected comma-separated numbers of at least ${min})`);
+  }
+  return values;
+};
+
 export const config = {
   nodeEnv: process.env.NODE_ENV || 'development',
   port: Number(process.env.PORT || 4000),
@@ -30,6 +51,84 @@ export const config = {
     adminEmail: getEnv('ADMIN_DEFAULT_EMAIL', 'admin@example.com'),
     adminPassword: getEnv('ADMIN_DEFAULT_PASSWORD', 'ChangeMe123!'),
   },
+  escalation: {
+    // Stale UnderAssessment cases are auto-escalated after this many days (0 disables)
+    autoEscalateDays: Number(process.env.AUTO_ESCALATE_DAYS ?? 7),
+  },
+  comeback: {
+    // PendingComeback cases are flagged for attention after this many no-shows
+    noShowFlagThreshold: Number(process.env.COMEBACK_NO_SHOW_FLAG_THRESHOLD ?? 2),
+  },
+  recidivism: {
+    // Prior Fined cases for the same business within this many days count as prior offences (0 disables)
+    lookbackDays: Number(process.env.RECIDIVISM_LOOKBACK_DAYS ?? 365),
+    // Fine multiplier per repeat-offender tier: tier 1 = one prior offence, the last entry applies beyond
+    multipliers: getNumberListEnv('RECIDIVISM_MULTIPLIERS', '1.5,2,3', { min: 1 }),
+  },
+  sla: {
+    // Stale threshold for UnderAssessment cases that have no SLA deadline
+    defaultAssessmentHours: Number(process.env.SLA_DEFAULT_ASSESSMENT_HOURS ?? 48),
+  },
+  trash: {
+    // Soft-deleted records are purged for good after this many days (0 keeps them forever)
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS ?? 90),
+  },
+  reconciliation: {
+    // Statement lines match payments dated up to this many days apart
+    dateToleranceDays: Number(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS ?? 3),
+  },
+  mobileMoney: {
+    // Adapter for the provider's notification format (see mobileMoneyProviders)
+    provider: process.env.MOBILE_MONEY_PROVIDER || 'generic',
+    // Shared secret for the notification signature; the webhook is disabled while empty
+    webhookSecret: process.env.MOBILE_MONEY_WEBHOOK_SECRET || '',
+    // Notifications signed longer ago than this are rejected as replays
+    signatureToleranceSeconds: Number(process.env.MOBILE_MONEY_SIGNATURE_TOLERANCE_SECONDS ?? 300),
+  },
+  currency: {
+    // Reporting currency that payments are converted to at payment time (see ExchangeRate)
+    base: process.env.BASE_CURRENCY || 'USD',
+  },
+  latePenalty: {
+    // Penalty on unpaid fines; nothing accrues while disabled
+    enabled: process.env.LATE_PENALTY_ENABLED === 'true',
+    // Days after the fine decision before the first penalty period starts
+    graceDays: Number(process.env.LATE_PENALTY_GRACE_DAYS ?? 30),
+    // 'percentage' of the fine or a 'flat' amount, charged per 'daily' or 'monthly' period
+    basis: getEnumEnv('LATE_PENALTY_BASIS', LatePenaltyBases, 'percentage'),
+    rate: Number(process.env.LATE_PENALTY_RATE ?? 5),
+    period: getEnumEnv('LATE_PENALTY_PERIOD', LatePenaltyPeriods, 'monthly'),
+    // Total penalties on a case never exceed this percentage of the fine, nor this amount (0 for no limit)
+    capPercent: Number(process.env.LATE_PENALTY_CAP_PERCENT ?? 50),
+    capAmount: Number(process.env.LATE_PENALTY_CAP_AMOUNT ?? 0),
+  },
+  pagination: {
+    defaultLimit: Number(process.env.PAGINATION_DEFAULT_LIMIT || 50),
+    maxLimit: Number(process.env.PAGINATION_MAX_LIMIT || 200),
+  },
+  // Generated identifiers: PREFIX-<scope>-NNNN, where scope is 'day' (YYYYMMDD) or 'year' (YYYY)
+  sequences: {
+    case: {
+      prefix: process.env.CASE_NUMBER_PREFIX || 'CASE',
+      scope: process.env.CASE_NUMBER_SCOPE || 'day',
+    },
+    business: {
+      prefix: process.env.BUSINESS_ID_PREFIX || 'BIZ',
+      scope: process.env.BUSINESS_ID_SCOPE || 'day',
+    },
+    tax: {
+      prefix: process.env.TAX_ID_PREFIX || 'TAX',
+      scope: process.env.TAX_ID_SCOPE || 'day',
+    },
+    registration: {
+      prefix: process.env.REGISTRATION_NUMBER_PREFIX || 'REG',
+      scope: process.env.REGISTRATION_NUMBER_SCOPE || 'day',
+    },
+    receipt: {
+      prefix: process.env.RECEIPT_NUMBER_PREFIX || 'RCPT',
+      scope: process.env.RECEIPT_NUMBER_SCOPE || 'year',
+    },
+  },
   urls: {
     serverBase: process.env.SERVER_BASE_URL || 'http://localhost:4000',
     frontendBase: process.env.FRONTEND_BASE_URL || 'http://localhost:3000',
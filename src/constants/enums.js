@@ -7,3 +7,9 @@ export const CaseStatus = ['UnderAssessment', 'NotGuilty', 'Guilty', 'Fined', 'P
 export const CaseResult = ['Pass', 'Fail', 'NeedsReview'];
 
 export const ImportRowStatus = ['pending', 'processed', 'failed'];
+
+export const LatePenaltyBases = ['percentage', 'flat'];
+
+export const LatePenaltyPeriods = ['daily', 'monthly'];
+
+export const Currencies = ['USD', 'SOS'];
@@ -3,7 +3,11 @@ import mongoose from 'mongoose';
 import { createApp } from './app.js';
 import { config } from './config.js';
 import { logger } from './logger.js';
+import { autoEscalateStaleAssessments } from './services/escalationService.js';
 import { checkComebackDates } from './services/notificationService.js';
+import { accrueLatePenalties } from './services/penaltyService.js';
+import { checkSlaBreaches } from './services/slaService.js';
+import { purgeExpiredTrash } from './services/trashService.js';
 import { initGridFS } from './utils/gridfs.js';
 
 // Scheduled job to check comeback dates every hour
@@ -27,6 +31,67 @@ const scheduleComebackCheck = () => {
   }, 60 * 60 * 1000); // 1 hour
 };
 
+// Scheduled job to auto-escalate stale assessments every hour
+const scheduleAutoEscalation = () => {
+  setInterval(() => {
+    autoEscalateStaleAssessments()
+      .then((result) => {
+        if (result.escalated > 0) {
+          logger.info(`Auto-escalated ${result.escalated} stale assessments`);
+        }
+      })
+      .catch((err) => {
+        logger.error({ err }, 'Error auto-escalating stale assessments');
+      });
+  }, 60 * 60 * 1000); // 1 hour
+};
+
+// Scheduled job to record and notify SLA breaches every hour
+const scheduleSlaBreachCheck = () => {
+  setInterval(() => {
+    checkSlaBreaches()
+      .then((result) => {
+        if (result.breaches > 0) {
+          logger.info(`Recorded ${result.breaches} SLA breaches`);
+        }
+      })
+      .catch((err) => {
+        logger.error({ err }, 'Error checking SLA breaches');
+      });
+  }, 60 * 60 * 1000); // 1 hour
+};
+
+// Scheduled job to purge soft-deleted records past the retention period once a day
+const scheduleTrashPurge = () => {
+  setInterval(() => {
+    purgeExpiredTrash()
+      .then((purged) => {
+        const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+          logger.info({ purged }, `Purged ${total} records from the trash`);
+        }
+      })
+      .catch((err) => {
+        logger.error({ err }, 'Error purging the trash');
+      });
+  }, 24 * 60 * 60 * 1000); // 1 day
+};
+
+// Scheduled job to accrue late-payment penalties on unpaid fines once a day
+const scheduleLatePenaltyAccrual = () => {
+  setInterval(() => {
+    accrueLatePenalties()
+      .then((result) => {
+        if (result.accrued > 0) {
+          logger.info(`Accrued late-payment penalties of ${result.amount} on ${result.accrued} cases`);
+        }
+      })
+      .catch((err) => {
+        logger.error({ err }, 'Error accruing late-payment penalties');
+      });
+  }, 24 * 60 * 60 * 1000); // 1 day
+};
+
 const start = async () => {
   try {
     await mongoose.connect(config.mongoUri, {
@@ -45,6 +110,22 @@ const start = async () => {
     scheduleComebackCheck();
     logger.info('Comeback date notification scheduler started');
 
+    // Start scheduled job for auto-escalation of stale assessments
+    scheduleAutoEscalation();
+    logger.info('Auto-escalation scheduler started');
+
+    // Start scheduled job for SLA breach notifications
+    scheduleSlaBreachCheck();
+    logger.info('SLA breach scheduler started');
+
+    // Start scheduled job for purging expired trash
+    scheduleTrashPurge();
+    logger.info('Trash purge scheduler started');
+
+    // Start scheduled job for late-payment penalties
+    scheduleLatePenaltyAccrual();
+    logger.info('Late-payment penalty scheduler started');
+
     const app = createApp();
     app.listen(config.port, () => {
       logger.info(`Server listening on port ${config.port}`);
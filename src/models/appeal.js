@@ -0,0 +1,43 @@
+import { Schema, model } from 'mongoose';
+
+const appealAttachmentSchema = new Schema(
+  {
+    file_id: { type: String, required: true }, // GridFS file ID
+    file_url: { type: String, required: true },
+    file_type: { type: String },
+    filename: { type: String },
+  },
+  { _id: false },
+);
+
+const appealSchema = new Schema(
+  {
+    case_id: { type: Schema.Types.ObjectId, ref: 'Case', required: true, index: true },
+    filed_by: { type: Schema.Types.ObjectId, ref: 'User', required: true }, // Officer recording the appeal
+    appellant_name: { type: String, trim: true }, // Business owner or representative
+    grounds: { type: String, required: true },
+    attachments: [appealAttachmentSchema],
+    // Snapshot of the decision being appealed
+    decision_status: { type: String, required: true },
+    decision_fine_amount: { type: Number, default: 0 },
+    decided_by_original: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewer_id: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    status: {
+      type: String,
+      enum: ['pending', 'under_review', 'decided', 'withdrawn'],
+      default: 'pending',
+      index: true,
+    },
+    outcome: { type: String, enum: ['upheld', 'fine_reduced', 'overturned'] },
+    revised_fine_amount: { type: Number, min: 0 },
+    outcome_notes: { type: String },
+    decided_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    decided_at: { type: Date },
+  },
+  { timestamps: true },
+);
+
+appealSchema.index({ case_id: 1, status: 1 });
+appealSchema.index({ reviewer_id: 1, status: 1 });
+
+export const AppealModel = model('Appeal', appealSchema);
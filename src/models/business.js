@@ -1,5 +1,7 @@
 import { Schema, model } from 'mongoose';
 
+import { softDeletePlugin } from './softDelete.js';
+
 const businessSchema = new Schema(
   {
     business_id: { type: String, unique: true, index: true, sparse: true },
@@ -25,5 +27,7 @@ businessSchema.index(
   { name: 'business_text_search' },
 );
 
+businessSchema.plugin(softDeletePlugin);
+
 export const BusinessModel = model('Business', businessSchema);
 
@@ -1,6 +1,8 @@
 import { Schema, model } from 'mongoose';
 
-import { CaseResult, CaseStatus, CaseTypes } from '../constants/enums.js';
+import { CaseResult, CaseStatus, CaseTypes, Currencies, LatePenaltyBases, LatePenaltyPeriods } from '../constants/enums.js';
+import { SlaPolicyModel } from './slaPolicy.js';
+import { softDeletePlugin } from './softDelete.js';
 
 const resolutionPaperSchema = new Schema(
   {
@@ -15,32 +17,151 @@ const resolutionPaperSchema = new Schema(
   { _id: true, timestamps: false },
 );
 
+const statusHistorySchema = new Schema(
+  {
+    from: { type: String },
+    to: { type: String, enum: CaseStatus, required: true },
+    changed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    changed_at: { type: Date, required: true, default: () => new Date() },
+    reason: { type: String },
+  },
+  { _id: true, timestamps: false },
+);
+
+const escalationSchema = new Schema(
+  {
+    reason: { type: String, required: true },
+    escalated_by: { type: Schema.Types.ObjectId, ref: 'User' }, // Empty when auto-escalated
+    escalated_at: { type: Date, required: true, default: () => new Date() },
+    reviewer_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    previous_status: { type: String },
+    auto: { type: Boolean, default: false },
+    resolved_at: { type: Date }, // Set when the reviewer moves the case out of Escalated
+    outcome: { type: String }, // Status the reviewer moved the case to
+    outcome_notes: { type: String },
+  },
+  { _id: false, timestamps: false },
+);
+
+const comebackOutcomeSchema = new Schema(
+  {
+    scheduled_date: { type: Date }, // comeback_date the visit was due on
+    showed_up: { type: Boolean, required: true },
+    action: { type: String, enum: ['resolve', 'reschedule', 'fine'], required: true },
+    new_comeback_date: { type: Date },
+    fine_amount: { type: Number },
+    recorded_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    recorded_at: { type: Date, required: true, default: () => new Date() },
+    notes: { type: String },
+  },
+  { _id: true, timestamps: false },
+);
+
+const slaBreachSchema = new Schema(
+  {
+    status: { type: String, required: true }, // Status whose SLA was missed
+    deadline_date: { type: Date, required: true },
+    breached_at: { type: Date, required: true, default: () => new Date() },
+    officer_id: { type: Schema.Types.ObjectId, ref: 'User' }, // Assigned officer at the time of the breach
+  },
+  { _id: true, timestamps: false },
+);
+
+const recidivismSchema = new Schema(
+  {
+    tier: { type: Number, required: true, default: 0 }, // 0 = first offence
+    multiplier: { type: Number, required: true, default: 1 },
+    base_fine: { type: Number }, // Fine before escalation
+    prior_case_ids: [{ type: Schema.Types.ObjectId, ref: 'Case' }],
+    lookback_days: { type: Number },
+    capped: { type: Boolean, default: false }, // Escalated fine was limited to the statutory maximum
+    assessed_at: { type: Date },
+  },
+  { _id: false, timestamps: false },
+);
+
+const instalmentSchema = new Schema(
+  {
+    due_date: { type: Date, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    paid_amount: { type: Number, default: 0 }, // Share of the verified payments allocated to this instalment
+    paid_at: { type: Date }, // When the instalment was fully covered
+  },
+  { _id: true, timestamps: false },
+);
+
+const instalmentPlanSchema = new Schema(
+  {
+    instalments: [instalmentSchema], // Ordered by due date
+    opening_paid: { type: Number, default: 0 }, // Amount already verified when the plan was agreed
+    created_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    created_at: { type: Date, required: true, default: () => new Date() },
+    notes: { type: String },
+  },
+  { _id: false, timestamps: false },
+);
+
+// One accrual run of the late-payment penalty; covers every period that elapsed since the previous run
+const penaltySchema = new Schema(
+  {
+    period_start: { type: Date, required: true },
+    period_end: { type: Date, required: true },
+    periods: { type: Number, required: true }, // Whole days or months covered
+    basis: { type: String, enum: LatePenaltyBases, required: true },
+    rate: { type: Number, required: true }, // Percentage of the fine, or flat amount, per period
+    period: { type: String, enum: LatePenaltyPeriods, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    capped: { type: Boolean, default: false }, // Amount was limited by the penalty cap
+    accrued_at: { type: Date, required: true, default: () => new Date() },
+  },
+  { _id: true, timestamps: false },
+);
+
 const caseSchema = new Schema(
   {
     check_in_id: { type: Schema.Types.ObjectId, ref: 'CheckIn', required: true, index: true },
     case_type: { type: String, enum: CaseTypes, required: true },
     case_number: { type: String, required: true, unique: true },
     description: { type: String },
-    violations: { type: String },
+    violations: { type: String }, // Free-text notes on the violations
+    violation_codes: [{ type: String, uppercase: true, trim: true }], // Codes from the violation catalogue
     status: { type: String, enum: CaseStatus, required: true, default: 'UnderAssessment' },
     result: { type: String, enum: CaseResult },
     assigned_officer_id: { type: Schema.Types.ObjectId, ref: 'User' },
-    deadline_date: { type: Date },
+    deadline_date: { type: Date }, // SLA deadline for the current status (stamped from SlaPolicy)
+    sla_breach_notified: { type: Boolean, default: false }, // Breach of the current deadline already recorded
+    sla_breaches: [slaBreachSchema],
     comeback_date: { type: Date, index: true }, // Date when offender should come back
     comeback_notification_sent: { type: Boolean, default: false }, // Track if notification was sent
+    comeback_outcomes: [comebackOutcomeSchema], // One entry per comeback visit recorded
+    comeback_reschedule_count: { type: Number, default: 0 },
+    comeback_no_show_count: { type: Number, default: 0 },
+    comeback_flagged: { type: Boolean, default: false }, // Set automatically after repeated no-shows
+    comeback_flagged_at: { type: Date },
     fine_amount: { type: Number, default: 0 }, // Fine amount if found guilty
+    currency: { type: String, enum: Currencies, default: 'USD' }, // Currency of the fine, penalties and balance
+    fine_override_reason: { type: String }, // Why the fine is outside the statutory range
+    recidivism: { type: recidivismSchema }, // Repeat-offender assessment made at the fine decision
     resolution_papers: [resolutionPaperSchema],
+    status_history: [statusHistorySchema], // One entry per lifecycle transition
+    escalation: { type: escalationSchema }, // Current or most recent escalation
     resolvedAt: { type: Date }, // Timestamp when case was resolved
     lastActivityAt: { type: Date }, // Timestamp of last activity/update (indexed below)
     statusChangedAt: { type: Date }, // Timestamp when status last changed (indexed below)
     payment_status: { 
       type: String, 
-      enum: ['unpaid', 'pending_verification', 'paid', 'not_applicable'], 
+      enum: ['unpaid', 'pending_verification', 'partially_paid', 'paid', 'not_applicable'], 
       default: 'unpaid',
       index: true 
     }, // Payment verification status (decoupled from case status)
     payment_amount: { type: Number, default: 0 }, // Total verified payment amount
-    payment_date: { type: Date }, // Date payment was verified
+    payment_date: { type: Date }, // Date the fine was fully covered (last verified payment)
+    outstanding_balance: { type: Number, default: 0 }, // Fine and penalties not yet covered by verified payments (kept in sync on save)
+    penalties: [penaltySchema], // Late-payment penalty line items, on top of fine_amount
+    penalty_amount: { type: Number, default: 0 }, // Total of the penalty line items
+    penalty_accrued_until: { type: Date }, // End of the last period a penalty was accrued for
+    instalment_plan: { type: instalmentPlanSchema }, // Optional schedule for paying the fine in instalments
+    appeal_pending: { type: Boolean, default: false }, // Outstanding appeal pauses reminders
   },
   { timestamps: true },
 );
@@ -53,6 +174,51 @@ caseSchema.index({ status: 1, lastActivityAt: -1 }); // Aging assessments query
 caseSchema.index({ status: 1, resolvedAt: -1 }); // Resolved cases queries
 caseSchema.index({ status: 1, statusChangedAt: -1 }); // Status change tracking
 caseSchema.index({ lastActivityAt: 1 }); // General activity queries
+caseSchema.index({ status: 1, 'escalation.reviewer_id': 1 }); // Escalation review queue
+caseSchema.index({ status: 1, comeback_flagged: 1 }); // Repeated comeback no-shows
+caseSchema.index({ status: 1, deadline_date: 1 }); // SLA breach checks
+caseSchema.index({ 'recidivism.tier': 1 }); // Repeat-offender reporting
+
+// Stamp the SLA deadline when a case is created or changes status.
+// A deadline supplied explicitly on creation is kept.
+caseSchema.pre('save', async function () {
+  if (!this.isNew && !this.isModified('status')) {
+    // A manually moved deadline can be breached (and notified) again
+    if (this.isModified('deadline_date')) this.sla_breach_notified = false;
+    return;
+  }
+  if (this.isNew && this.deadline_date) return;
+
+  const policy = await SlaPolicyModel.findOne({ case_type: this.case_type, status: this.status, active: true }).lean();
+  const since = this.statusChangedAt || new Date();
+  this.deadline_date = policy ? new Date(since.getTime() + policy.hours * 60 * 60 * 1000) : undefined;
+  this.sla_breach_notified = false;
+});
+
+// Keep the outstanding balance in step with the fine, the penalties and the verified payments
+caseSchema.pre('save', function () {
+  if (this.isNew || this.isModified('fine_amount') || this.isModified('penalty_amount') || this.isModified('payment_amount')) {
+    const due = (this.fine_amount || 0) + (this.penalty_amount || 0);
+    this.outstanding_balance = Math.max(Math.round((due - (this.payment_amount || 0)) * 100) / 100, 0);
+  }
+});
+
+// Remember what changed so the post-save hook can update watchers
+caseSchema.pre('save', function () {
+  this.$locals.watchChanges = {
+    isNew: this.isNew,
+    statusChanged: !this.isNew && this.isModified('status'),
+    officerChanged: !this.isNew && this.isModified('assigned_officer_id'),
+  };
+});
+
+// Auto-subscribe the assigned officer and decider, and notify watchers of status changes.
+// Imported lazily because the notification service depends on the models.
+caseSchema.post('save', async function (doc) {
+  const { handleCaseSaved } = await import('../services/notificationService.js');
+  await handleCaseSaved(doc, doc.$locals.watchChanges || {});
+});
 
+caseSchema.plugin(softDeletePlugin);
 
 export const CaseModel = model('Case', caseSchema);
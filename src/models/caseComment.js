@@ -0,0 +1,21 @@
+import { Schema, model } from 'mongoose';
+
+export const CommentKinds = ['comment', 'decision', 'payment_verification', 'legacy'];
+
+const caseCommentSchema = new Schema(
+  {
+    case_id: { type: Schema.Types.ObjectId, ref: 'Case', required: true },
+    author_id: { type: Schema.Types.ObjectId, ref: 'User' }, // Empty for comments migrated from description text
+    body: { type: String, required: true },
+    internal: { type: Boolean, default: false }, // Internal-only: hidden from officers unless they wrote it or are mentioned
+    kind: { type: String, enum: CommentKinds, default: 'comment' },
+    mentions: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    payment_id: { type: Schema.Types.ObjectId, ref: 'Payment' }, // Set for payment verification notes
+    edited_at: { type: Date },
+  },
+  { timestamps: true },
+);
+
+caseCommentSchema.index({ case_id: 1, createdAt: 1 });
+
+export const CaseCommentModel = model('CaseComment', caseCommentSchema);
@@ -0,0 +1,53 @@
+import { Schema, model } from 'mongoose';
+
+import { Currencies } from '../constants/enums.js';
+
+// declared: officer declared the day's cash; deposited: finance recorded the bank deposit
+// but a discrepancy is still open; closed: deposited with no discrepancy, or with it signed off
+export const CashUpStatus = ['declared', 'deposited', 'closed'];
+
+// none: declared, expected and deposited amounts agree; open: they do not and await
+// supervisor sign-off; signed_off: a supervisor accepted the difference
+export const CashUpDiscrepancyStatus = ['none', 'open', 'signed_off'];
+
+const depositSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: 0 },
+    reference: { type: String, required: true, trim: true }, // Bank deposit slip / transaction reference
+    bank_name: { type: String },
+    deposited_at: { type: Date, required: true },
+    recorded_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    recorded_at: { type: Date, required: true, default: () => new Date() },
+  },
+  { _id: false, timestamps: false },
+);
+
+const cashUpSchema = new Schema(
+  {
+    officer_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    business_date: { type: Date, required: true }, // Start of the day the cash was collected
+    district: { type: String }, // Officer's district at declaration
+    // Amounts are in this (base) currency; cash in other currencies counts at its base amount
+    currency: { type: String, enum: Currencies, default: 'USD' },
+    declared_amount: { type: Number, required: true, min: 0 },
+    declared_at: { type: Date, required: true, default: () => new Date() },
+    declared_notes: { type: String },
+    // Cash payments attributed to the officer that day (not rejected), recalculated on deposit
+    expected_amount: { type: Number, default: 0 },
+    payment_ids: [{ type: Schema.Types.ObjectId, ref: 'Payment' }],
+    variance: { type: Number, default: 0 }, // declared - expected
+    deposit: { type: depositSchema },
+    deposit_variance: { type: Number }, // deposited - declared
+    status: { type: String, enum: CashUpStatus, default: 'declared', index: true },
+    discrepancy_status: { type: String, enum: CashUpDiscrepancyStatus, default: 'none', index: true },
+    signed_off_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    signed_off_at: { type: Date },
+    sign_off_notes: { type: String },
+  },
+  { timestamps: true },
+);
+
+cashUpSchema.index({ officer_id: 1, business_date: 1 }, { unique: true }); // One cash-up per officer per day
+cashUpSchema.index({ business_date: -1, district: 1 }); // Daily and district reports
+
+export const CashUpModel = model('CashUp', cashUpSchema);
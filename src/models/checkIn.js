@@ -1,5 +1,8 @@
 import { Schema, model } from 'mongoose';
 
+import { Currencies } from '../constants/enums.js';
+import { softDeletePlugin } from './softDelete.js';
+
 const checkInSchema = new Schema(
   {
     business_id: { type: Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
@@ -8,9 +11,12 @@ const checkInSchema = new Schema(
     location_geo: { type: String },
     phone: { type: String },
     fine: { type: Number, default: 0 },
+    fine_currency: { type: String, enum: Currencies, default: 'USD' },
     notes: { type: String },
   },
   { timestamps: true },
 );
 
+checkInSchema.plugin(softDeletePlugin);
+
 export const CheckInModel = model('CheckIn', checkInSchema);
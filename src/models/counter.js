@@ -0,0 +1,12 @@
+import { Schema, model } from 'mongoose';
+
+// One document per sequence and scope, e.g. { _id: 'case:20250114', seq: 12 }
+const counterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, required: true, default: 0 },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+export const CounterModel = model('Counter', counterSchema);
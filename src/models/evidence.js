@@ -1,5 +1,7 @@
 import { Schema, model } from 'mongoose';
 
+import { softDeletePlugin } from './softDelete.js';
+
 const evidenceSchema = new Schema(
   {
     case_id: { type: Schema.Types.ObjectId, ref: 'Case', required: true, index: true },
@@ -14,4 +16,6 @@ const evidenceSchema = new Schema(
   { timestamps: false },
 );
 
+evidenceSchema.plugin(softDeletePlugin);
+
 export const EvidenceModel = model('Evidence', evidenceSchema);
@@ -0,0 +1,20 @@
+import { Schema, model } from 'mongoose';
+
+import { Currencies } from '../constants/enums.js';
+
+// A rate applies from its effective date until the next rate for the same currency pair takes over
+const exchangeRateSchema = new Schema(
+  {
+    currency: { type: String, enum: Currencies, required: true },
+    base_currency: { type: String, enum: Currencies, required: true },
+    rate: { type: Number, required: true, min: 0 }, // Base currency units per unit of currency
+    effective_from: { type: Date, required: true },
+    notes: { type: String },
+    created_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+exchangeRateSchema.index({ currency: 1, base_currency: 1, effective_from: -1 }, { unique: true });
+
+export const ExchangeRateModel = model('ExchangeRate', exchangeRateSchema);
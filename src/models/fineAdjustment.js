@@ -0,0 +1,40 @@
+import { Schema, model } from 'mongoose';
+
+import { Currencies } from '../constants/enums.js';
+
+// waiver: the outstanding balance is written off; reduction: the fine is lowered by an amount;
+// refund: money paid beyond the fine is returned to the payer
+export const FineAdjustmentTypes = ['waiver', 'reduction', 'refund'];
+
+export const FineAdjustmentStatus = ['pending', 'approved', 'rejected'];
+
+const fineAdjustmentSchema = new Schema(
+  {
+    case_id: { type: Schema.Types.ObjectId, ref: 'Case', required: true, index: true },
+    type: { type: String, enum: FineAdjustmentTypes, required: true },
+    amount: { type: Number, required: true, min: 0 }, // For waivers, the balance written off when approved
+    currency: { type: String, enum: Currencies, default: 'USD' }, // The case's currency
+    base_amount: { type: Number }, // In the base reporting currency, converted on approval
+    reason: { type: String, required: true },
+    requested_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: FineAdjustmentStatus, default: 'pending', index: true },
+    reviewed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    reviewed_at: { type: Date },
+    review_notes: { type: String },
+    // Refund details, recorded on approval
+    refund_method: { type: String, enum: ['cash', 'bank_transfer', 'mobile_money', 'other'] },
+    refund_reference: { type: String },
+    // Case figures before and after the adjustment was applied
+    fine_before: { type: Number },
+    fine_after: { type: Number },
+    paid_before: { type: Number },
+    paid_after: { type: Number },
+    payment_status_after: { type: String },
+  },
+  { timestamps: true },
+);
+
+fineAdjustmentSchema.index({ status: 1, reviewed_at: -1 }); // Revenue reports
+fineAdjustmentSchema.index({ case_id: 1, type: 1, status: 1 });
+
+export const FineAdjustmentModel = model('FineAdjustment', fineAdjustmentSchema);
@@ -1,16 +1,30 @@
+export * from './appeal.js';
 export * from './auditLog.js';
 export * from './business.js';
 export * from './businessType.js';
 export * from './checkIn.js';
+export * from './cashUp.js';
 export * from './case.js';
+export * from './caseComment.js';
+export * from './counter.js';
 export * from './duplicateReview.js';
 export * from './evidence.js';
+export * from './exchangeRate.js';
+export * from './fineAdjustment.js';
 export * from './importJob.js';
 export * from './task.js';
 export * from './user.js';
 export * from './notification.js';
 export * from './reportSchedule.js';
+export * from './savedSearch.js';
+export * from './slaPolicy.js';
+export * from './statementReconciliation.js';
 export * from './editRequest.js';
 export * from './payment.js';
+export * from './receipt.js';
+export * from './receiptBook.js';
+export * from './violationCode.js';
+export * from './watch.js';
 export * from './loginEvent.js';
+export * from './mobileMoneyNotification.js';
 
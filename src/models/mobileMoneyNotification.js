@@ -0,0 +1,36 @@
+import { Schema, model } from 'mongoose';
+
+// received: stored, not yet applied
+// matched: posted as a verified payment on the case named in the reference
+// suspense: no case could be matched; waits for finance in the suspense queue
+// resolved: assigned to a case by finance from the suspense queue
+// dismissed: closed by finance without a payment (e.g. not a fine payment)
+export const MobileMoneyNotificationStatus = ['received', 'matched', 'suspense', 'resolved', 'dismissed'];
+
+const mobileMoneyNotificationSchema = new Schema(
+  {
+    provider: { type: String, required: true },
+    transaction_id: { type: String, required: true, trim: true }, // Provider's transaction ID
+    amount: { type: Number, required: true },
+    currency: { type: String },
+    msisdn: { type: String }, // Payer's phone number
+    payer_name: { type: String },
+    reference: { type: String, trim: true }, // Account reference entered by the payer (normally the case number)
+    paid_at: { type: Date },
+    payload: { type: Object }, // Notification as received
+    status: { type: String, enum: MobileMoneyNotificationStatus, default: 'received', index: true },
+    case_id: { type: Schema.Types.ObjectId, ref: 'Case' },
+    payment_id: { type: Schema.Types.ObjectId, ref: 'Payment' },
+    suspense_reason: { type: String }, // Why the notification could not be posted automatically
+    resolved_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    resolved_at: { type: Date },
+    resolution_notes: { type: String },
+  },
+  { timestamps: true },
+);
+
+// A provider never sends the same transaction twice; a repeat is a replay
+mobileMoneyNotificationSchema.index({ provider: 1, transaction_id: 1 }, { unique: true });
+mobileMoneyNotificationSchema.index({ status: 1, createdAt: -1 }); // Suspense queue
+
+export const MobileMoneyNotificationModel = model('MobileMoneyNotification', mobileMoneyNotificationSchema);
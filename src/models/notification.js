@@ -1,11 +1,39 @@
 import { Schema, model } from 'mongoose';
 
+export const NotificationTypes = [
+  'comeback_reminder',
+  'case_update',
+  'edit_request_approved',
+  'edit_request_rejected',
+  'edit_request_created',
+  'case_escalated',
+  'escalation_returned',
+  'appeal_assigned',
+  'appeal_decided',
+  'comment_mention',
+  'sla_breach',
+  'fine_adjustment_requested',
+  'fine_adjustment_decided',
+  // Sent to watchers of a case or its business
+  'case_status_changed',
+  'case_reassigned',
+  'evidence_added',
+  'case_comment',
+  'payment_submitted',
+  'payment_verified',
+  'payment_rejected',
+];
+
 const notificationSchema = new Schema(
   {
     user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     case_id: { type: Schema.Types.ObjectId, ref: 'Case', index: true },
     edit_request_id: { type: Schema.Types.ObjectId, ref: 'EditRequest', index: true },
-    type: { type: String, enum: ['comeback_reminder', 'case_update', 'edit_request_approved', 'edit_request_rejected', 'edit_request_created'], required: true },
+    appeal_id: { type: Schema.Types.ObjectId, ref: 'Appeal', index: true },
+    comment_id: { type: Schema.Types.ObjectId, ref: 'CaseComment' },
+    payment_id: { type: Schema.Types.ObjectId, ref: 'Payment' },
+    fine_adjustment_id: { type: Schema.Types.ObjectId, ref: 'FineAdjustment' },
+    type: { type: String, enum: NotificationTypes, required: true },
     title: { type: String, required: true },
     message: { type: String, required: true },
     read: { type: Boolean, default: false },
@@ -1,16 +1,33 @@
 import { Schema, model } from 'mongoose';
 
+import { Currencies } from '../constants/enums.js';
+import { ReceiptReferenceFlags } from './receiptBook.js';
+import { softDeletePlugin } from './softDelete.js';
+
 const paymentSchema = new Schema(
   {
     case_id: { type: Schema.Types.ObjectId, ref: 'Case', required: true, index: true },
     amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: Currencies, default: 'USD' }, // Currency the payer paid in
+    // Converted at payment time with the exchange rates effective on payment_date
+    applied_amount: { type: Number, min: 0 }, // Credited to the case, in the case's currency
+    base_amount: { type: Number, min: 0 }, // In the base reporting currency
+    base_currency: { type: String, enum: Currencies },
+    exchange_rate: { type: Number }, // Base currency units per unit of the payment currency
     payment_date: { type: Date, required: true },
     payment_method: { type: String, enum: ['cash', 'bank_transfer', 'mobile_money', 'other'], default: 'cash' },
     receipt_reference: { type: String, required: true, trim: true },
     receipt_file_id: { type: String }, // GridFS file ID for receipt image
+    // Receipt book leaf the reference was matched to, and anything wrong with it (cash payments)
+    receipt_book_id: { type: Schema.Types.ObjectId, ref: 'ReceiptBook' },
+    receipt_serial: { type: Number },
+    receipt_flags: [{ type: String, enum: ReceiptReferenceFlags }],
+    collected_by: { type: Schema.Types.ObjectId, ref: 'User' }, // Officer who took the money (cash custody)
     verified_by: { type: Schema.Types.ObjectId, ref: 'User' },
     verified_at: { type: Date },
     notes: { type: String },
+    // How the payment was recorded: receipt uploaded by staff, or a mobile-money provider notification
+    source: { type: String, enum: ['upload', 'mobile_money_webhook'], default: 'upload' },
     status: { 
       type: String, 
       enum: ['pending_verification', 'verified', 'rejected'], 
@@ -23,5 +40,9 @@ const paymentSchema = new Schema(
 
 paymentSchema.index({ case_id: 1, status: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 }); // For finance dashboard
+paymentSchema.index({ collected_by: 1, payment_method: 1, payment_date: 1 }); // Daily cash-up
+paymentSchema.index({ receipt_book_id: 1, receipt_serial: 1 }); // Receipt book usage
+
+paymentSchema.plugin(softDeletePlugin);
 
 export const PaymentModel = model('Payment', paymentSchema);
@@ -0,0 +1,39 @@
+import { Schema, model } from 'mongoose';
+
+// issued: valid receipt; voided: cancelled with a reason but kept so the numbering has no gaps
+export const ReceiptStatus = ['issued', 'voided'];
+
+const receiptSchema = new Schema(
+  {
+    receipt_number: { type: String, required: true, unique: true }, // From the receipt sequence, e.g. RCPT-2025-0042
+    payment_id: { type: Schema.Types.ObjectId, ref: 'Payment' }, // Empty for a number spoiled while issuing
+    case_id: { type: Schema.Types.ObjectId, ref: 'Case', index: true },
+    // Snapshot of what the receipt says, so a reprint matches the original
+    case_number: { type: String },
+    business_name: { type: String },
+    business_code: { type: String }, // Business.business_id
+    amount: { type: Number },
+    currency: { type: String },
+    payment_method: { type: String },
+    payment_reference: { type: String }, // Payment.receipt_reference
+    payment_date: { type: Date },
+    verified_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    verified_by_name: { type: String },
+    verification_code: { type: String, required: true }, // Printed on the receipt, checked by GET /receipts/verify
+    status: { type: String, enum: ReceiptStatus, default: 'issued', index: true },
+    issued_at: { type: Date, required: true, default: () => new Date() },
+    issued_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    print_count: { type: Number, default: 0 },
+    last_printed_at: { type: Date },
+    last_printed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    void_reason: { type: String },
+    voided_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    voided_at: { type: Date },
+  },
+  { timestamps: true },
+);
+
+// A payment has at most one valid receipt at a time
+receiptSchema.index({ payment_id: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+
+export const ReceiptModel = model('Receipt', receiptSchema);
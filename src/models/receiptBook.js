@@ -0,0 +1,36 @@
+import { Schema, model } from 'mongoose';
+
+// issued: with the officer; returned: handed back, no further receipts may be written from it
+export const ReceiptBookStatus = ['issued', 'returned'];
+
+// Problems found with the receipt reference of a cash payment (see receiptBookService)
+export const ReceiptReferenceFlags = [
+  'unreadable', // Not a receipt book serial
+  'out_of_range', // No receipt book covers the serial
+  'already_used', // Another payment already quotes the serial
+  'other_officer', // The book is issued to someone other than the collecting officer
+  'book_returned', // The book was returned before the payment date
+  'before_issue', // The payment is dated before the book was issued
+];
+
+const receiptBookSchema = new Schema(
+  {
+    book_number: { type: String, required: true, unique: true, trim: true },
+    prefix: { type: String, trim: true, uppercase: true, default: '' }, // Printed before the serial, e.g. "A" in A-001234
+    serial_start: { type: Number, required: true, min: 0 },
+    serial_end: { type: Number, required: true, min: 0 }, // Inclusive
+    officer_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ReceiptBookStatus, default: 'issued', index: true },
+    issued_at: { type: Date, required: true, default: () => new Date() },
+    issued_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    returned_at: { type: Date },
+    returned_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    return_notes: { type: String },
+    notes: { type: String },
+  },
+  { timestamps: true },
+);
+
+receiptBookSchema.index({ prefix: 1, serial_start: 1, serial_end: 1 }); // Serial lookups
+
+export const ReceiptBookModel = model('ReceiptBook', receiptBookSchema);
@@ -7,6 +7,7 @@ const reportScheduleSchema = new Schema(
     format: { type: String, enum: ['csv', 'excel', 'pdf'], default: 'excel' },
     cron: { type: String, required: true },
     filters: { type: Object },
+    saved_search_id: { type: Schema.Types.ObjectId, ref: 'SavedSearch' }, // Resolved at run time, overrides filters
     last_run_at: { type: Date },
   },
   { timestamps: true },
@@ -0,0 +1,22 @@
+import { Schema, model } from 'mongoose';
+
+// Who can see and run a saved search besides its owner
+export const SavedSearchScopes = ['private', 'team', 'global'];
+
+const savedSearchSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    owner_id: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    scope: { type: String, enum: SavedSearchScopes, default: 'private' },
+    // Supervisor whose team can see a 'team' search (the owner, or the owner's supervisor)
+    team_supervisor_id: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    // GET /cases parameters, see SavedSearchFilterSchema
+    filters: { type: Object, default: {} },
+    updated_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+savedSearchSchema.index({ scope: 1, name: 1 });
+
+export const SavedSearchModel = model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,25 @@
+import { Schema, model } from 'mongoose';
+
+import { CaseTypes } from '../constants/enums.js';
+
+// Statuses an SLA can be set for, and what the clock measures in each
+export const SlaStatuses = {
+  UnderAssessment: 'assessment', // Time to an assessment decision
+  Fined: 'payment', // Time to payment
+  PendingComeback: 'comeback', // Time to the comeback visit
+};
+
+const slaPolicySchema = new Schema(
+  {
+    case_type: { type: String, enum: CaseTypes, required: true },
+    status: { type: String, enum: Object.keys(SlaStatuses), required: true },
+    hours: { type: Number, required: true, min: 1 }, // Deadline = time the case entered the status + hours
+    active: { type: Boolean, default: true },
+    updated_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+slaPolicySchema.index({ case_type: 1, status: 1 }, { unique: true });
+
+export const SlaPolicyModel = model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,46 @@
+import { Schema } from 'mongoose';
+
+const QueryHooks = ['countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate'];
+
+const mentionsDeletedAt = (filter = {}) =>
+  Object.prototype.hasOwnProperty.call(filter, 'deletedAt') ||
+  ['$and', '$or'].some((op) => Array.isArray(filter[op]) && filter[op].some(mentionsDeletedAt));
+
+/**
+ * Soft delete for a schema: adds the deletedAt/deletedBy marker and hides deleted
+ * documents from queries and aggregations by default.
+ *
+ * Deleted documents are still returned when the query filters on deletedAt itself
+ * (e.g. the trash listing) or sets the `withDeleted` query option.
+ * `deletedWith` is the record whose deletion cascaded to this one (itself for the
+ * record deleted directly), so a restore brings back exactly what was deleted with it.
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    deletedWith: { type: Schema.Types.ObjectId, index: true },
+  });
+
+  schema.pre(QueryHooks, function () {
+    const { withDeleted } = this.getOptions();
+    if (withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    if (!mentionsDeletedAt(this.getFilter())) this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    if (first.$match) {
+      // Extend the leading $match rather than adding a stage before it ($text must come first)
+      if (!mentionsDeletedAt(first.$match)) first.$match.deletedAt = null;
+      return;
+    }
+    // $geoNear and $search must stay the first stage
+    const index = first.$geoNear || first.$search ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+};
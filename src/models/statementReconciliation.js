@@ -0,0 +1,58 @@
+import { Schema, model } from 'mongoose';
+
+import { Currencies } from '../constants/enums.js';
+
+// Where a statement comes from
+export const StatementSources = ['bank', 'mobile_money'];
+
+// suggested: auto-matched to a pending payment, awaiting confirmation by finance
+// confirmed: the matched payment was verified through the reconciliation
+// unmatched: no pending payment fits the line
+export const StatementLineStatus = ['suggested', 'confirmed', 'unmatched'];
+
+const statementLineSchema = new Schema(
+  {
+    row_index: { type: Number, required: true }, // Row in the uploaded file (1 = first data row)
+    reference: { type: String, trim: true },
+    amount: { type: Number },
+    transaction_date: { type: Date },
+    description: { type: String },
+    status: { type: String, enum: StatementLineStatus, default: 'unmatched' },
+    payment_id: { type: Schema.Types.ObjectId, ref: 'Payment' }, // Suggested or confirmed payment
+    match_score: { type: Number }, // Higher is a closer match
+    match_reasons: [{ type: String }], // 'reference', 'amount', 'date'
+    confirmed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    confirmed_at: { type: Date },
+    error: { type: String }, // Why the last confirmation attempt failed
+  },
+  { _id: true, timestamps: false },
+);
+
+const statementReconciliationSchema = new Schema(
+  {
+    source: { type: String, enum: StatementSources, required: true },
+    currency: { type: String, enum: Currencies, default: 'USD' }, // Currency of the account the statement is for
+    file_id: { type: String, required: true }, // GridFS file ID of the statement
+    original_filename: { type: String },
+    uploaded_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Statement column header used for each field
+    mapping: {
+      reference: { type: String },
+      amount: { type: String },
+      date: { type: String },
+      description: { type: String },
+    },
+    date_tolerance_days: { type: Number, default: 3 },
+    period_start: { type: Date }, // Earliest and latest transaction dates on the statement
+    period_end: { type: Date },
+    lines: [statementLineSchema],
+    status: { type: String, enum: ['open', 'completed'], default: 'open', index: true },
+    completed_at: { type: Date }, // Set once no suggested lines are left
+  },
+  { timestamps: true },
+);
+
+statementReconciliationSchema.index({ createdAt: -1 });
+statementReconciliationSchema.index({ 'lines.payment_id': 1 });
+
+export const StatementReconciliationModel = model('StatementReconciliation', statementReconciliationSchema);
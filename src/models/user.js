@@ -12,6 +12,7 @@ const userSchema = new Schema(
     role: { type: String, enum: Roles, required: true, default: 'officer' },
     status: { type: String, enum: UserStatus, default: 'active' },
     supervisor_id: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    district: { type: String, trim: true }, // District the officer works in (cash-up reporting)
     lastLoginAt: { type: Date },
     loginCount: { type: Number, default: 0 },
   },
@@ -0,0 +1,30 @@
+import { Schema, model } from 'mongoose';
+
+import { CaseTypes, Currencies } from '../constants/enums.js';
+
+const violationCodeSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, required: true },
+    case_type: { type: String, enum: CaseTypes, required: true },
+    // Statutory fine schedule, in currency (converted to the case's currency when a fine is checked)
+    min_fine: { type: Number, required: true, min: 0 },
+    default_fine: { type: Number, required: true, min: 0 },
+    max_fine: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: Currencies, default: 'USD' },
+    active: { type: Boolean, default: true }, // Retired codes stay on old cases but cannot be used on new ones
+    updated_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true },
+);
+
+violationCodeSchema.index({ case_type: 1, active: 1 });
+
+violationCodeSchema.pre('validate', function (next) {
+  if (this.min_fine > this.default_fine || this.default_fine > this.max_fine) {
+    this.invalidate('default_fine', 'Fines must satisfy min_fine <= default_fine <= max_fine');
+  }
+  next();
+});
+
+export const ViolationCodeModel = model('ViolationCode', violationCodeSchema);
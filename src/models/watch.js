@@ -0,0 +1,20 @@
+import { Schema, model } from 'mongoose';
+
+// What a user can watch; watching a business covers every case of that business
+export const WatchEntities = ['case', 'business'];
+
+const watchSchema = new Schema(
+  {
+    user_id: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    entity: { type: String, enum: WatchEntities, required: true },
+    entity_id: { type: Schema.Types.ObjectId, required: true },
+    // Why the user is watching: subscribed themselves, or automatically as assigned officer / decider
+    reason: { type: String, enum: ['manual', 'assigned', 'decided'], default: 'manual' },
+  },
+  { timestamps: true },
+);
+
+watchSchema.index({ user_id: 1, entity: 1, entity_id: 1 }, { unique: true });
+watchSchema.index({ entity: 1, entity_id: 1 }); // Watchers of a case or business
+
+export const WatchModel = model('Watch', watchSchema);
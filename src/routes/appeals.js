@@ -0,0 +1,277 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { AppealModel, CaseModel } from '../models/index.js';
+import {
+  OpenAppealStatuses,
+  assertAppealable,
+  assertValidAppealReviewer,
+  decideAppeal,
+  getDecisionMaker,
+} from '../services/appealService.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  createAppealAssignedNotification,
+  createAppealDecidedNotification,
+} from '../services/notificationService.js';
+import { uploadGeneral } from '../utils/gridfsStorage.js';
+
+const router = Router();
+
+const objectId = Joi.string().hex().length(24);
+
+const populateAppeal = (query) =>
+  query
+    .populate('case_id', 'case_number case_type status fine_amount payment_status assigned_officer_id')
+    .populate('filed_by', 'name email')
+    .populate('reviewer_id', 'name email role')
+    .populate('decided_by_original', 'name email')
+    .populate('decided_by', 'name email');
+
+// List appeals (officers see the appeals they filed; reviewers see everything)
+const listSchema = Joi.object({
+  status: Joi.string().valid('pending', 'under_review', 'decided', 'withdrawn', 'open').optional(),
+  case_id: objectId.optional(),
+  reviewer_id: objectId.optional(),
+});
+
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) throw createError(400, error.message);
+
+    const filter = {};
+    if (value.status === 'open') filter.status = { $in: OpenAppealStatuses };
+    else if (value.status) filter.status = value.status;
+    if (value.case_id) filter.case_id = value.case_id;
+    if (value.reviewer_id) filter.reviewer_id = value.reviewer_id;
+    if (!['supervisor', 'admin'].includes(req.user.role)) {
+      filter.filed_by = req.user.sub;
+    }
+
+    const appeals = await populateAppeal(AppealModel.find(filter)).sort({ createdAt: -1 }).lean();
+    res.json(appeals);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Officers only see the appeals they filed, as in the list
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const appeal = await populateAppeal(AppealModel.findById(req.params.id)).lean();
+    if (!appeal) throw createError(404, 'Appeal not found');
+    if (!['supervisor', 'admin'].includes(req.user.role) && String(appeal.filed_by?._id) !== String(req.user.sub)) {
+      throw createError(404, 'Appeal not found');
+    }
+    res.json(appeal);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// File an appeal (multipart: grounds plus optional supporting documents)
+const fileSchema = Joi.object({
+  case_id: objectId.required(),
+  grounds: Joi.string().trim().min(1).required(),
+  appellant_name: Joi.string().allow('', null).optional(),
+  reviewer_id: objectId.optional(),
+});
+
+router.post(
+  '/',
+  requireAuth,
+  requireRole(['officer', 'supervisor', 'admin']),
+  uploadGeneral.array('attachments', 10),
+  async (req, res, next) => {
+    try {
+      const { error, value } = fileSchema.validate(req.body);
+      if (error) throw createError(400, error.message);
+
+      const caseItem = await CaseModel.findById(value.case_id);
+      if (!caseItem) throw createError(404, 'Case not found');
+      await assertAppealable(caseItem);
+
+      const appeal = new AppealModel({
+        case_id: caseItem._id,
+        filed_by: req.user.sub,
+        appellant_name: value.appellant_name || undefined,
+        grounds: value.grounds,
+        attachments: (req.files || []).map((file) => ({
+          file_id: file.fileId,
+          file_url: file.path,
+          file_type: file.mimetype,
+          filename: file.originalname,
+        })),
+        decision_status: caseItem.status,
+        decision_fine_amount: caseItem.fine_amount || 0,
+        decided_by_original: getDecisionMaker(caseItem),
+      });
+      if (value.reviewer_id) {
+        await assertValidAppealReviewer(value.reviewer_id, appeal);
+        appeal.reviewer_id = value.reviewer_id;
+        appeal.status = 'under_review';
+      }
+      await appeal.save();
+
+      caseItem.appeal_pending = true;
+      caseItem.lastActivityAt = new Date();
+      await caseItem.save();
+
+      await recordAudit({
+        action: 'appeal_filed',
+        entity: 'case',
+        entityId: caseItem.id,
+        userId: req.user?.sub,
+        details: { appeal_id: appeal.id, decision_status: appeal.decision_status, reviewer_id: value.reviewer_id },
+      });
+      if (appeal.reviewer_id) {
+        await createAppealAssignedNotification(appeal, caseItem);
+      }
+
+      res.status(201).json(appeal);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Assign or change the reviewer
+const assignSchema = Joi.object({
+  reviewer_id: objectId.required(),
+});
+
+router.post('/:id/assign', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const appeal = await AppealModel.findById(req.params.id);
+    if (!appeal) throw createError(404, 'Appeal not found');
+    if (!OpenAppealStatuses.includes(appeal.status)) {
+      throw createError(409, `Appeal is already ${appeal.status}`);
+    }
+    await assertValidAppealReviewer(value.reviewer_id, appeal);
+
+    const previousReviewer = appeal.reviewer_id;
+    appeal.reviewer_id = value.reviewer_id;
+    appeal.status = 'under_review';
+    await appeal.save();
+
+    await recordAudit({
+      action: 'appeal_assign',
+      entity: 'case',
+      entityId: String(appeal.case_id),
+      userId: req.user?.sub,
+      details: { appeal_id: appeal.id, from_reviewer: previousReviewer, to_reviewer: value.reviewer_id },
+    });
+    const caseItem = await CaseModel.findById(appeal.case_id).select('case_number');
+    if (caseItem) {
+      await createAppealAssignedNotification(appeal, caseItem);
+    }
+
+    res.json(appeal);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Decide an appeal (assigned reviewer only)
+const decideSchema = Joi.object({
+  outcome: Joi.string().valid('upheld', 'fine_reduced', 'overturned').required(),
+  revised_fine_amount: Joi.number().min(0).when('outcome', {
+    is: 'fine_reduced',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/:id/decide', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = decideSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const appeal = await AppealModel.findById(req.params.id);
+    if (!appeal) throw createError(404, 'Appeal not found');
+    if (!appeal.reviewer_id) throw createError(409, 'Assign a reviewer before deciding the appeal');
+    if (appeal.reviewer_id.toString() !== req.user.sub) {
+      throw createError(403, 'Only the assigned reviewer can decide this appeal');
+    }
+
+    const caseItem = await CaseModel.findById(appeal.case_id);
+    if (!caseItem) throw createError(404, 'Case not found');
+    const fromStatus = caseItem.status;
+    const fromFine = caseItem.fine_amount;
+
+    decideAppeal(appeal, caseItem, value, req.user.sub);
+    await caseItem.save();
+    await appeal.save();
+
+    await recordAudit({
+      action: 'appeal_decided',
+      entity: 'case',
+      entityId: caseItem.id,
+      userId: req.user?.sub,
+      details: {
+        appeal_id: appeal.id,
+        outcome: appeal.outcome,
+        from_status: fromStatus,
+        to_status: caseItem.status,
+        from_fine: fromFine,
+        to_fine: caseItem.fine_amount,
+      },
+    });
+    await createAppealDecidedNotification(appeal, caseItem);
+
+    res.json(appeal);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Withdraw an open appeal
+const withdrawSchema = Joi.object({
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/:id/withdraw', requireAuth, requireRole(['officer', 'supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = withdrawSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const appeal = await AppealModel.findById(req.params.id);
+    if (!appeal) throw createError(404, 'Appeal not found');
+    if (!OpenAppealStatuses.includes(appeal.status)) {
+      throw createError(409, `Appeal is already ${appeal.status}`);
+    }
+    if (req.user.role === 'officer' && appeal.filed_by.toString() !== req.user.sub) {
+      throw createError(403, 'Only the officer who filed the appeal can withdraw it');
+    }
+
+    appeal.status = 'withdrawn';
+    appeal.outcome_notes = value.notes || undefined;
+    appeal.decided_by = req.user.sub;
+    appeal.decided_at = new Date();
+    await appeal.save();
+
+    await CaseModel.updateOne({ _id: appeal.case_id }, { appeal_pending: false, lastActivityAt: new Date() });
+
+    await recordAudit({
+      action: 'appeal_withdrawn',
+      entity: 'case',
+      entityId: String(appeal.case_id),
+      userId: req.user?.sub,
+      details: { appeal_id: appeal.id, notes: value.notes },
+    });
+
+    res.json(appeal);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const appealRoutes = router;
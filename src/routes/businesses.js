@@ -6,11 +6,13 @@ import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
 import { BusinessModel, CheckInModel, CaseModel, EditRequestModel } from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
+import { softDeleteRecord } from '../services/trashService.js';
 import { generateBusinessId } from '../utils/businessId.js';
 import { generateTaxId } from '../utils/taxId.js';
 import { generateRegistrationNumber } from '../utils/registrationNumber.js';
 import { uploadOwnerId } from '../utils/gridfsStorage.js';
 import { deleteFromGridFS } from '../utils/gridfs.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
@@ -81,9 +83,12 @@ router.get('/count', requireAuth, async (req, res, next) => {
   }
 });
 
+const BusinessSortFields = ['createdAt', 'updatedAt', 'business_name', 'business_id'];
+
 router.get('/', requireAuth, async (req, res, next) => {
   try {
     const { q, tax_id, business_type, start, end } = req.query;
+    const listOptions = parseListQuery(req.query, { model: BusinessModel, sortFields: BusinessSortFields });
     let filter = {};
     
     if (q) {
@@ -99,11 +104,9 @@ router.get('/', requireAuth, async (req, res, next) => {
       if (end) filter.createdAt.$lte = new Date(String(end));
     }
     
-    const businesses = await BusinessModel.find(filter)
-      .limit(100)
-      .sort(q ? { score: { $meta: 'textScore' } } : { createdAt: -1 });
-    
-    res.json(businesses);
+    // Text searches are ordered by relevance unless a sort is given
+    const result = await paginate(BusinessModel, filter, listOptions, { textScore: Boolean(q) });
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -371,5 +374,22 @@ router.put(
   },
 );
 
+// Move a business and its check-ins, cases, payments and evidence to the trash (admin only)
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const deleted = await softDeleteRecord('business', req.params.id, req.user?.sub);
+    await recordAudit({
+      action: 'soft_delete',
+      entity: 'business',
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: { deleted },
+    });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export const businessRoutes = router;
 
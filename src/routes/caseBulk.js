@@ -0,0 +1,165 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { CaseModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import { CaseDecisions, applyCaseDecision } from '../services/caseDecisionService.js';
+import {
+  assertCaseInSupervisorScope,
+  getSupervisedOfficerIds,
+  reassignCase,
+} from '../services/caseService.js';
+
+const router = Router();
+
+const MAX_BULK_CASES = 200;
+
+const caseIdsSchema = Joi.array()
+  .items(Joi.string().hex().length(24))
+  .min(1)
+  .max(MAX_BULK_CASES)
+  .unique()
+  .required();
+
+/**
+ * Run an operation on each case independently and collect per-case results.
+ * A failure on one case never stops the others.
+ */
+const runForEachCase = async (caseIds, operation) => {
+  const cases = await CaseModel.find({ _id: { $in: caseIds } });
+  const byId = new Map(cases.map((c) => [c.id, c]));
+
+  const results = [];
+  for (const caseId of caseIds) {
+    const caseItem = byId.get(caseId);
+    if (!caseItem) {
+      results.push({ case_id: caseId, success: false, status: 404, error: 'Case not found' });
+      continue;
+    }
+    try {
+      await operation(caseItem);
+      results.push({ case_id: caseId, case_number: caseItem.case_number, success: true });
+    } catch (err) {
+      results.push({
+        case_id: caseId,
+        case_number: caseItem.case_number,
+        success: false,
+        status: err.status || 500,
+        error: err.status ? err.message : 'Internal error',
+      });
+      if (!err.status) console.error(`[bulk] Error on case ${caseItem.case_number}:`, err);
+    }
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+  return { total: results.length, succeeded, failed: results.length - succeeded, results };
+};
+
+// Reassign many cases to one officer
+const bulkReassignSchema = Joi.object({
+  case_ids: caseIdsSchema,
+  assigned_officer_id: Joi.string().hex().length(24).required(),
+});
+
+router.post('/bulk/reassign', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = bulkReassignSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const officerIds = req.user.role === 'supervisor' ? await getSupervisedOfficerIds(req.user.sub) : undefined;
+    const summary = await runForEachCase(value.case_ids, (caseItem) =>
+      reassignCase(caseItem, value.assigned_officer_id, req.user, { officerIds, auditDetails: { bulk: true } }),
+    );
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Issue the same assessment decision on many cases
+const bulkDecisionSchema = Joi.object({
+  case_ids: caseIdsSchema,
+  decision: Joi.string()
+    .valid(...Object.keys(CaseDecisions))
+    .required(),
+  fine_amount: Joi.number().min(0).when('decision', {
+    is: 'guilty_fine',
+    then: Joi.optional(), // Defaults to each case's suggested fine
+    otherwise: Joi.forbidden(),
+  }),
+  override_reason: Joi.string().allow('', null).when('decision', {
+    is: 'guilty_fine',
+    otherwise: Joi.forbidden(),
+  }),
+  comeback_date: Joi.date().when('decision', {
+    is: 'guilty_comeback',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  notes: Joi.string().allow('', null),
+});
+
+router.post('/bulk/decision', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = bulkDecisionSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const { case_ids, ...decision } = value;
+    const officerIds = req.user.role === 'supervisor' ? await getSupervisedOfficerIds(req.user.sub) : undefined;
+    const summary = await runForEachCase(case_ids, async (caseItem) => {
+      assertCaseInSupervisorScope(caseItem, req.user, officerIds, 'decide cases');
+      await applyCaseDecision(caseItem, decision, req.user, { bulk: true });
+    });
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move the deadline of many cases
+const bulkDeadlineSchema = Joi.object({
+  case_ids: caseIdsSchema,
+  deadline_date: Joi.date().required(),
+  reason: Joi.string().allow('', null),
+});
+
+router.post('/bulk/deadline', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = bulkDeadlineSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const officerIds = req.user.role === 'supervisor' ? await getSupervisedOfficerIds(req.user.sub) : undefined;
+    const summary = await runForEachCase(value.case_ids, async (caseItem) => {
+      assertCaseInSupervisorScope(caseItem, req.user, officerIds, 'change deadlines of cases');
+      if (['Resolved', 'NotGuilty'].includes(caseItem.status)) {
+        throw createError(409, `Case is ${caseItem.status}`);
+      }
+
+      const previousDeadline = caseItem.deadline_date;
+      caseItem.deadline_date = value.deadline_date;
+      caseItem.lastActivityAt = new Date();
+      await caseItem.save();
+
+      await recordAudit({
+        action: 'update',
+        entity: 'case',
+        entityId: caseItem.id,
+        userId: req.user?.sub,
+        details: {
+          from_deadline: previousDeadline,
+          deadline_date: value.deadline_date,
+          reason: value.reason,
+          bulk: true,
+        },
+      });
+    });
+    res.json(summary);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const caseBulkRoutes = router;
@@ -0,0 +1,69 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { CaseCommentModel, CaseModel } from '../models/index.js';
+import { addCaseComment, commentVisibilityFilter } from '../services/commentService.js';
+import { recordAudit } from '../services/auditService.js';
+
+const router = Router({ mergeParams: true });
+
+router.get('/:id/comments', requireAuth, async (req, res, next) => {
+  try {
+    const caseItem = await CaseModel.findById(req.params.id).select('_id');
+    if (!caseItem) throw createError(404, 'Case not found');
+
+    const comments = await CaseCommentModel.find(commentVisibilityFilter(caseItem._id, req.user))
+      .populate('author_id', 'name email role')
+      .populate('mentions', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json(comments);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const commentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required(),
+  internal: Joi.boolean().default(false),
+  mentions: Joi.array().items(Joi.string().hex().length(24)).default([]),
+});
+
+router.post('/:id/comments', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = commentSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const caseItem = await CaseModel.findById(req.params.id).select('_id case_number');
+    if (!caseItem) throw createError(404, 'Case not found');
+
+    const comment = await addCaseComment(caseItem, {
+      authorId: req.user?.sub,
+      body: value.body,
+      internal: value.internal,
+      mentionIds: value.mentions,
+    });
+    await CaseModel.updateOne({ _id: caseItem._id }, { lastActivityAt: new Date() });
+
+    await recordAudit({
+      action: 'comment',
+      entity: 'case',
+      entityId: caseItem.id,
+      userId: req.user?.sub,
+      details: { comment_id: comment.id, internal: comment.internal, mentions: comment.mentions },
+    });
+
+    const populated = await CaseCommentModel.findById(comment._id)
+      .populate('author_id', 'name email role')
+      .populate('mentions', 'name email')
+      .lean();
+    res.status(201).json(populated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const caseCommentRoutes = router;
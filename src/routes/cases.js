@@ -2,14 +2,37 @@ import { Router } from 'express';
 import createError from 'http-errors';
 import Joi from 'joi';
 
-import { CaseTypes, CaseStatus, CaseResult } from '../constants/enums.js';
+import { CaseTypes, CaseStatus, CaseResult, Currencies } from '../constants/enums.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
-import { CaseModel, CheckInModel, UserModel, BusinessModel } from '../models/index.js';
-import { assertCheckInExists, nextCaseNumber } from '../services/caseService.js';
+import { CaseModel, PaymentModel, UserModel } from '../models/index.js';
+import { assertCheckInExists, buildCaseFilter, nextCaseNumber, reassignCase } from '../services/caseService.js';
+import { applyCaseDecision } from '../services/caseDecisionService.js';
+import { isFineSettled, transitionCase } from '../services/caseLifecycleService.js';
+import { getCaseTimeline } from '../services/caseTimelineService.js';
+import { recordComebackOutcome } from '../services/comebackService.js';
+import {
+  assertCanReviewEscalation,
+  assertValidReviewer,
+  escalateCase,
+} from '../services/escalationService.js';
+import {
+  createEscalationNotification,
+  createEscalationReturnedNotification,
+} from '../services/notificationService.js';
 import { recordAudit } from '../services/auditService.js';
+import { applySavedSearch } from '../services/savedSearchService.js';
+import { findPriorOffences, getRecidivismTier } from '../services/recidivismService.js';
+import { generateCaseDossierPDF } from '../services/reportExportService.js';
+import {
+  getFineSchedule,
+  resolveFineAmount,
+  resolveViolationCodes,
+} from '../services/violationService.js';
 import { uploadCasePaper } from '../middleware/casePaperUpload.js';
 import { extractDateFromFile } from '../services/ocrService.js';
+import { softDeleteRecord } from '../services/trashService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 import path from 'path';
 
 const router = Router();
@@ -21,8 +44,12 @@ const createSchema = Joi.object({
     .required(),
   description: Joi.string().allow('', null),
   violations: Joi.string().allow('', null),
+  violation_codes: Joi.array().items(Joi.string().trim()).optional(),
   assigned_officer_id: Joi.string().allow(null),
   deadline_date: Joi.date().optional(),
+  currency: Joi.string()
+    .valid(...Currencies)
+    .optional(),
 });
 
 router.post('/', requireAuth, requireRole(['officer', 'supervisor', 'admin']), async (req, res, next) => {
@@ -34,11 +61,15 @@ router.post('/', requireAuth, requireRole(['officer', 'supervisor', 'admin']), a
       const officer = await UserModel.findById(value.assigned_officer_id);
       if (!officer) throw createError(400, 'Assigned officer not found');
     }
+    if (value.violation_codes) {
+      const entries = await resolveViolationCodes(value.violation_codes, value.case_type);
+      value.violation_codes = entries.map((e) => e.code);
+    }
     const case_number = await nextCaseNumber(new Date());
     const newCase = await CaseModel.create({
       ...value,
       case_number,
-      status: 'Open',
+      status: 'UnderAssessment',
       payment_status: 'unpaid', // Default to unpaid (will be set to not_applicable if no fine)
       lastActivityAt: new Date(),
       statusChangedAt: new Date(), // Initial status set
@@ -62,6 +93,7 @@ const updateSchema = Joi.object({
     .optional(),
   description: Joi.string().allow('', null),
   violations: Joi.string().allow('', null),
+  violation_codes: Joi.array().items(Joi.string().trim()).optional(),
   status: Joi.string()
     .valid(...CaseStatus)
     .optional(),
@@ -72,6 +104,11 @@ const updateSchema = Joi.object({
   deadline_date: Joi.date().optional(),
   comeback_date: Joi.date().optional(),
   fine_amount: Joi.number().min(0).optional(),
+  currency: Joi.string()
+    .valid(...Currencies)
+    .optional(),
+  override_reason: Joi.string().allow('', null), // Required when fine_amount is outside the statutory range
+  reason: Joi.string().allow('', null), // Recorded in the status history when status changes
 });
 
 router.put('/:id', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
@@ -79,31 +116,74 @@ router.put('/:id', requireAuth, requireRole(['supervisor', 'admin']), async (req
     const { error, value } = updateSchema.validate(req.body);
     if (error) throw createError(400, error.message);
     
-    // Get current case to check status change
     const currentCase = await CaseModel.findById(req.params.id);
     if (!currentCase) throw createError(404, 'Not found');
-    
-    // Set lastActivityAt on any update
-    value.lastActivityAt = new Date();
-    
-    // Set statusChangedAt if status is changing
-    if (value.status && value.status !== currentCase.status) {
-      value.statusChangedAt = new Date();
+
+    // Violation codes must exist in the catalogue and match the case type
+    if (value.violation_codes) {
+      const entries = await resolveViolationCodes(value.violation_codes, value.case_type || currentCase.case_type);
+      value.violation_codes = entries.map((e) => e.code);
+    } else if (value.case_type && value.case_type !== currentCase.case_type) {
+      await resolveViolationCodes(currentCase.violation_codes, value.case_type, { allowInactive: true });
     }
-    
-    // Set resolvedAt if status is changing to Resolved or NotGuilty
-    if (value.status && (value.status === 'Resolved' || value.status === 'NotGuilty') && 
-        currentCase.status !== value.status) {
-      value.resolvedAt = new Date();
+
+    // Once a fine is decided or paid against, it only changes through an approved fine adjustment
+    const fineDecided = currentCase.status === 'Fined' || (currentCase.status_history || []).some((h) => h.to === 'Fined');
+    const paid = await PaymentModel.exists({ case_id: currentCase._id, status: { $ne: 'rejected' } });
+    if (value.fine_amount !== undefined && value.fine_amount !== currentCase.fine_amount && (fineDecided || paid)) {
+      throw createError(409, 'The fine of a fined case changes through POST /fine-adjustments');
     }
-    
-    const updated = await CaseModel.findByIdAndUpdate(req.params.id, value, { new: true });
+
+    // Payments were converted into the case's currency when made, and amounts are not converted:
+    // a fine already set has to be given again in the new currency
+    const currencyChanged = Boolean(value.currency && value.currency !== (currentCase.currency || 'USD'));
+    if (currencyChanged) {
+      if (paid) throw createError(409, 'The currency cannot change once payments are recorded on the case');
+      if (fineDecided) throw createError(409, 'The currency of a fined case cannot change');
+      if (currentCase.penalty_amount > 0) {
+        throw createError(409, 'The currency cannot change once late-payment penalties have accrued');
+      }
+      if (currentCase.fine_amount > 0 && value.fine_amount === undefined) {
+        throw createError(400, `Give the fine_amount in ${value.currency} to change the currency of a fined case`);
+      }
+    }
+
+    // Status changes go through the lifecycle service; other fields are applied as-is
+    const { status, reason, override_reason, ...changes } = value;
+    const previousStatus = currentCase.status;
+    if (status === 'Escalated' && previousStatus !== 'Escalated') {
+      throw createError(400, 'Use POST /cases/:id/decision/escalate to escalate a case');
+    }
+    if (status === 'Fined' && previousStatus !== 'Fined') {
+      throw createError(400, 'Use POST /cases/:id/decision/guilty-fine to fine a case');
+    }
+
+    // A fine set before the decision is held to the statutory range like a guilty-fine decision
+    const fineChanged = changes.fine_amount !== undefined && changes.fine_amount !== currentCase.fine_amount;
+    if (fineChanged || (currencyChanged && changes.fine_amount > 0)) {
+      const target = {
+        case_type: changes.case_type || currentCase.case_type,
+        violation_codes: changes.violation_codes || currentCase.violation_codes,
+      };
+      const currency = changes.currency || currentCase.currency;
+      const fine = await resolveFineAmount(target, changes.fine_amount, override_reason, currency);
+      changes.fine_override_reason = fine.override ? override_reason : null;
+    }
+    if (status && status !== currentCase.status) {
+      assertCanReviewEscalation(currentCase, req.user);
+      transitionCase(currentCase, status, changes, { actorId: req.user?.sub, reason });
+    } else {
+      Object.assign(currentCase, changes);
+      currentCase.lastActivityAt = new Date();
+    }
+
+    const updated = await currentCase.save();
     await recordAudit({
       action: 'update',
       entity: 'case',
       entityId: updated.id,
       userId: req.user?.sub,
-      details: value,
+      details: status && status !== previousStatus ? { ...value, from_status: previousStatus } : value,
     });
     res.json(updated);
   } catch (err) {
@@ -124,7 +204,10 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
     const { 
       getOverdueComebacksList, 
       getAgingAssessments,
-      getOverdueComebacks 
+      buildStaleAssessmentQuery,
+      getOverdueComebacks,
+      getFlaggedComebacks,
+      getFlaggedComebacksList
     } = await import('../services/dashboardMetricsService.js');
     // #region agent log
     fetch('http://127.0.0.1:7242/ingest/5e1cf7b1-92f8-4f5a-9393-0603b1176d2e',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'cases.js:124',message:'import successful',data:{hasGetOverdueComebacksList:!!getOverdueComebacksList,hasGetAgingAssessments:!!getAgingAssessments,hasGetOverdueComebacks:!!getOverdueComebacks},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
@@ -133,8 +216,10 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
     // Get counts for tabs with error handling
     let overdueCount = 0;
     let staleCount = 0;
+    let flaggedCount = 0;
     let overdueComebacks = [];
     let staleAssessments = [];
+    let flaggedComebacks = [];
     
     try {
       // #region agent log
@@ -154,20 +239,7 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
     
     try {
       // Get stale assessments count (same logic as getAgingAssessments)
-      const threshold = new Date();
-      threshold.setHours(threshold.getHours() - 48);
-      staleCount = await CaseModel.countDocuments({
-        status: 'UnderAssessment',
-        $or: [
-          { lastActivityAt: { $exists: true, $ne: null, $lt: threshold } },
-          { 
-            $and: [
-              { lastActivityAt: { $exists: false } },
-              { updatedAt: { $exists: true, $ne: null, $lt: threshold } }
-            ]
-          }
-        ]
-      });
+      staleCount = await CaseModel.countDocuments(buildStaleAssessmentQuery());
     } catch (err) {
       console.error('[needs-attention] Error getting stale count:', err);
       // Continue with 0
@@ -195,8 +267,8 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
     }
 
     try {
-      // 2. Aging Assessments: UnderAssessment && lastActivityAt > 48h ago
-      staleAssessments = await getAgingAssessments(48, 10);
+      // 2. Aging Assessments: UnderAssessment past the SLA assessment deadline
+      staleAssessments = await getAgingAssessments(null, 10);
       if (!Array.isArray(staleAssessments)) {
         console.warn('[needs-attention] getAgingAssessments returned non-array:', staleAssessments);
         staleAssessments = [];
@@ -206,13 +278,26 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
       staleAssessments = [];
     }
 
+    try {
+      // 3. Flagged Comebacks: PendingComeback with repeated no-shows
+      [flaggedCount, flaggedComebacks] = await Promise.all([
+        getFlaggedComebacks(),
+        getFlaggedComebacksList(10),
+      ]);
+    } catch (err) {
+      console.error('[needs-attention] Error getting flagged comebacks:', err);
+      flaggedComebacks = [];
+    }
+
     // Always return a valid response structure, even on partial failures
     res.json({
       overdue_comebacks: overdueComebacks || [],
       stale_assessments: staleAssessments || [],
+      flagged_comebacks: flaggedComebacks || [],
       counts: {
         overdue_comebacks: overdueCount || 0,
-        stale_assessments: staleCount || 0
+        stale_assessments: staleCount || 0,
+        flagged_comebacks: flaggedCount || 0
       }
     });
   } catch (err) {
@@ -229,9 +314,11 @@ router.get('/needs-attention', requireAuth, requireRole(['supervisor', 'admin'])
     res.json({
       overdue_comebacks: [],
       stale_assessments: [],
+      flagged_comebacks: [],
       counts: {
         overdue_comebacks: 0,
-        stale_assessments: 0
+        stale_assessments: 0,
+        flagged_comebacks: 0
       }
     });
   }
@@ -283,38 +370,7 @@ router.put('/:id/reassign', requireAuth, requireRole(['supervisor', 'admin']), a
     const caseItem = await CaseModel.findById(req.params.id);
     if (!caseItem) throw createError(404, 'Case not found');
 
-    // If supervisor (not admin), verify both old and new officers are under their supervision
-    if (req.user.role === 'supervisor') {
-      const myOfficers = await UserModel.find({ supervisor_id: req.user.sub }).select('_id');
-      const officerIds = myOfficers.map(o => o._id.toString());
-
-      // Check if new officer is under this supervisor
-      if (!officerIds.includes(assigned_officer_id)) {
-        throw createError(403, 'You can only reassign cases to officers under your supervision');
-      }
-
-      // Check if current officer is under this supervisor
-      if (caseItem.assigned_officer_id && !officerIds.includes(caseItem.assigned_officer_id.toString())) {
-        throw createError(403, 'You can only reassign cases from officers under your supervision');
-      }
-    }
-
-    // Verify new officer exists
-    const newOfficer = await UserModel.findById(assigned_officer_id);
-    if (!newOfficer) throw createError(400, 'Officer not found');
-
-    const oldOfficerId = caseItem.assigned_officer_id;
-    caseItem.assigned_officer_id = assigned_officer_id;
-    caseItem.lastActivityAt = new Date();
-    await caseItem.save();
-
-    await recordAudit({
-      action: 'reassign',
-      entity: 'case',
-      entityId: caseItem.id,
-      userId: req.user?.sub,
-      details: { from_officer: oldOfficerId, to_officer: assigned_officer_id },
-    });
+    await reassignCase(caseItem, assigned_officer_id, req.user);
 
     const updated = await CaseModel.findById(caseItem._id)
       .populate('assigned_officer_id', 'name email');
@@ -325,72 +381,32 @@ router.put('/:id/reassign', requireAuth, requireRole(['supervisor', 'admin']), a
   }
 });
 
+const CaseSortFields = ['createdAt', 'updatedAt', 'lastActivityAt', 'case_number', 'status', 'deadline_date', 'fine_amount'];
+
 router.get('/', requireAuth, async (req, res, next) => {
   try {
-    const { status, case_type, assigned_officer_id, business_name, business_type, business_search, start, end, overdue } = req.query;
-    const filter = {};
-    if (status) filter.status = status;
-    if (case_type) filter.case_type = case_type;
-    if (assigned_officer_id) filter.assigned_officer_id = assigned_officer_id;
-    
-    // Support overdue filter for PendingComeback cases
-    if (overdue === 'true' && status === 'PendingComeback') {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      filter.comeback_date = { $lt: today };
-    }
-
-    // If business filters are provided, we need to find matching businesses first
-    let businessFilter = {};
-    if (business_name) {
-      businessFilter.business_name = { $regex: business_name, $options: 'i' };
-    }
-    if (business_type) {
-      businessFilter.business_type = { $regex: business_type, $options: 'i' };
-    }
-    if (business_search) {
-      if (!businessFilter.$or) businessFilter.$or = [];
-      businessFilter.$or.push(
-        { business_name: { $regex: business_search, $options: 'i' } },
-        { business_type: { $regex: business_search, $options: 'i' } }
-      );
-    }
-
-    let cases;
-    if (Object.keys(businessFilter).length > 0) {
-      // Find businesses matching the filter
-      const matchingBusinesses = await BusinessModel.find(businessFilter).select('_id');
-      const businessIds = matchingBusinesses.map(b => b._id);
-
-      // Find check-ins for these businesses
-      const matchingCheckIns = await CheckInModel.find({ business_id: { $in: businessIds } }).select('_id');
-      const checkInIds = matchingCheckIns.map(c => c._id);
-
-      // Filter cases by check-in IDs
-      filter.check_in_id = { $in: checkInIds };
-    }
-
-    if (start || end) {
-      filter.createdAt = {};
-      if (start) filter.createdAt.$gte = new Date(String(start));
-      if (end) filter.createdAt.$lte = new Date(String(end));
-    }
-
-    cases = await CaseModel.find(filter)
-      .populate({
-        path: 'check_in_id',
-        select: 'fine business_id check_in_date',
-        populate: {
-          path: 'business_id',
-          select: 'business_name business_type owner_name',
-        },
-      })
-      .populate('assigned_officer_id', 'name email')
-      .lean();
+    // A saved search supplies the filters; explicit query parameters override it
+    const params = await applySavedSearch(req.query, req.user);
+    const listOptions = parseListQuery(params, { model: CaseModel, sortFields: CaseSortFields });
+    const filter = await buildCaseFilter(params);
+
+    const result = await paginate(CaseModel, filter, listOptions, {
+      populate: (query) =>
+        query
+          .populate({
+            path: 'check_in_id',
+            select: 'fine business_id check_in_date',
+            populate: {
+              path: 'business_id',
+              select: 'business_name business_type owner_name',
+            },
+          })
+          .populate('assigned_officer_id', 'name email'),
+    });
 
-    // Add evidence count to each case
+    // Add evidence count to each case on this page
     const { EvidenceModel } = await import('../models/index.js');
-    const caseIds = cases.map(c => c._id);
+    const caseIds = result.data.map(c => c._id);
     const evidenceCounts = await EvidenceModel.aggregate([
       { $match: { case_id: { $in: caseIds } } },
       { $group: { _id: '$case_id', count: { $sum: 1 } } },
@@ -401,14 +417,12 @@ router.get('/', requireAuth, async (req, res, next) => {
       evidenceMap[ec._id.toString()] = ec.count;
     });
 
-    cases = cases.map((c) => ({
+    result.data = result.data.map((c) => ({
       ...c,
       evidence_count: evidenceMap[c._id.toString()] || 0,
     }));
 
-    cases.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    res.json(cases);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -441,6 +455,68 @@ router.get('/:id', requireAuth, async (req, res, next) => {
   }
 });
 
+// Statutory fine range and suggested fine for the case's violation codes, in the case's
+// currency (or ?currency=), with the repeat-offender tier that a guilty-fine decision would apply
+router.get('/:id/fine-suggestion', requireAuth, async (req, res, next) => {
+  try {
+    const currency = req.query.currency ? String(req.query.currency) : undefined;
+    if (currency && !Currencies.includes(currency)) throw createError(400, `Unknown currency: ${currency}`);
+
+    const caseItem = await CaseModel.findById(req.params.id)
+      .select('case_type violation_codes check_in_id currency createdAt')
+      .lean();
+    if (!caseItem) throw createError(404, 'Case not found');
+    const schedule = await getFineSchedule(caseItem, currency || caseItem.currency || 'USD');
+    const priorOffences = await findPriorOffences(caseItem);
+    const { tier, multiplier } = getRecidivismTier(priorOffences.length);
+    res.json({
+      ...(schedule || { min_fine: null, suggested_fine: null, max_fine: null, violations: [] }),
+      repeat_offender: { tier, multiplier, prior_offences: priorOffences },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Case dossier for court referrals and ministry requests
+router.get('/:id/dossier.pdf', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const dossier = await generateCaseDossierPDF(req.params.id);
+    if (!dossier) throw createError(404, 'Case not found');
+
+    await recordAudit({
+      action: 'dossier_generated',
+      entity: 'case',
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: {
+        generated_at: dossier.generatedAt,
+        content_sha256: dossier.contentChecksum,
+        file_sha256: dossier.fileChecksum,
+      },
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="dossier-${dossier.caseNumber}.pdf"`);
+    res.setHeader('X-Content-SHA256', dossier.contentChecksum);
+    res.setHeader('X-Document-SHA256', dossier.fileChecksum);
+    res.send(dossier.buffer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Chronological feed of status changes, payments, evidence, papers and reassignments
+router.get('/:id/timeline', requireAuth, async (req, res, next) => {
+  try {
+    const timeline = await getCaseTimeline(req.params.id);
+    if (!timeline) throw createError(404, 'Case not found');
+    res.json(timeline);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Upload resolution paper
 const paperUploadSchema = Joi.object({
   paper_type: Joi.string().valid('fine_paid', 'comeback_date').required(),
@@ -531,14 +607,12 @@ router.put(
       // Update lastActivityAt when paper is confirmed
       caseItem.lastActivityAt = new Date();
       
-      // If paper confirms payment and case is Fined, consider resolving
-      if (paper.paper_type === 'fine_paid' && caseItem.status === 'Fined' && !caseItem.resolvedAt) {
-        const oldStatus = caseItem.status;
-        caseItem.status = 'Resolved';
-        caseItem.resolvedAt = new Date();
-        if (oldStatus !== 'Resolved') {
-          caseItem.statusChangedAt = new Date();
-        }
+      // If paper confirms payment and case is Fined, resolve it (once the payment is verified)
+      if (paper.paper_type === 'fine_paid' && caseItem.status === 'Fined' && isFineSettled(caseItem)) {
+        transitionCase(caseItem, 'Resolved', {}, {
+          actorId: req.user?.sub,
+          reason: 'Fine paid paper confirmed',
+        });
       }
 
       await caseItem.save();
@@ -575,30 +649,120 @@ router.post(
 
       const caseItem = await CaseModel.findById(req.params.id);
       if (!caseItem) throw createError(404, 'Case not found');
-      if (caseItem.status !== 'UnderAssessment') {
-        throw createError(400, 'Case is not in assessment stage');
-      }
 
-      const oldStatus = caseItem.status;
-      caseItem.status = 'NotGuilty';
-      caseItem.result = 'Pass';
-      caseItem.payment_status = 'not_applicable'; // No payment required for NotGuilty
-      caseItem.lastActivityAt = new Date();
-      if (oldStatus !== 'NotGuilty') {
-        caseItem.statusChangedAt = new Date();
-        caseItem.resolvedAt = new Date(); // NotGuilty is a resolution
-      }
-      if (value.notes) {
-        caseItem.description = (caseItem.description || '') + '\n\nDecision: ' + value.notes;
-      }
+      await applyCaseDecision(caseItem, { decision: 'not_guilty', ...value }, req.user);
+      res.json(caseItem);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+const guiltyFineSchema = Joi.object({
+  fine_amount: Joi.number().min(0).optional(), // Defaults to the suggested fine for the case's violation codes
+  currency: Joi.string()
+    .valid(...Currencies)
+    .optional(), // Defaults to the case's currency
+  override_reason: Joi.string().allow('', null), // Required when the fine is outside the statutory range
+  notes: Joi.string().allow('', null),
+});
+
+router.post(
+  '/:id/decision/guilty-fine',
+  requireAuth,
+  requireRole(['supervisor', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { error, value } = guiltyFineSchema.validate(req.body);
+      if (error) throw createError(400, error.message);
+
+      const caseItem = await CaseModel.findById(req.params.id);
+      if (!caseItem) throw createError(404, 'Case not found');
+
+      const { priorOffences } = await applyCaseDecision(caseItem, { decision: 'guilty_fine', ...value }, req.user);
+      res.json({ ...caseItem.toJSON(), prior_offences: priorOffences });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+const guiltyComebackSchema = Joi.object({
+  comeback_date: Joi.date().required(),
+  notes: Joi.string().allow('', null),
+});
+
+router.post(
+  '/:id/decision/guilty-comeback',
+  requireAuth,
+  requireRole(['supervisor', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { error, value } = guiltyComebackSchema.validate(req.body);
+      if (error) throw createError(400, error.message);
+
+      const caseItem = await CaseModel.findById(req.params.id);
+      if (!caseItem) throw createError(404, 'Case not found');
+
+      await applyCaseDecision(caseItem, { decision: 'guilty_comeback', ...value }, req.user);
+      res.json(caseItem);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Record what happened at a comeback visit, then resolve, reschedule or fine
+const comebackOutcomeSchema = Joi.object({
+  showed_up: Joi.boolean().required(),
+  action: Joi.string().valid('resolve', 'reschedule', 'fine').required(),
+  new_comeback_date: Joi.date().when('action', {
+    is: 'reschedule',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  fine_amount: Joi.number().min(0).when('action', {
+    is: 'fine',
+    then: Joi.optional(), // Defaults to the suggested fine for the case's violation codes
+    otherwise: Joi.forbidden(),
+  }),
+  override_reason: Joi.string().allow('', null).when('action', {
+    is: 'fine',
+    then: Joi.optional(), // Required when the fine is outside the statutory range
+    otherwise: Joi.forbidden(),
+  }),
+  notes: Joi.string().allow('', null),
+});
+
+router.post(
+  '/:id/comeback-outcome',
+  requireAuth,
+  requireRole(['officer', 'supervisor', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { error, value } = comebackOutcomeSchema.validate(req.body);
+      if (error) throw createError(400, error.message);
+
+      const caseItem = await CaseModel.findById(req.params.id);
+      if (!caseItem) throw createError(404, 'Case not found');
+
+      const wasFlagged = caseItem.comeback_flagged;
+      const { fine } = await recordComebackOutcome(caseItem, value, req.user?.sub);
 
       await caseItem.save();
       await recordAudit({
-        action: 'update',
+        action: 'comeback_outcome',
         entity: 'case',
         entityId: caseItem.id,
         userId: req.user?.sub,
-        details: { status: 'NotGuilty', decision: 'not_guilty' },
+        details: {
+          showed_up: value.showed_up,
+          action: value.action,
+          new_comeback_date: value.new_comeback_date,
+          ...(fine || {}),
+          status: caseItem.status,
+          flagged: caseItem.comeback_flagged && !wasFlagged,
+        },
       });
 
       res.json(caseItem);
@@ -608,47 +772,40 @@ router.post(
   },
 );
 
-const guiltyFineSchema = Joi.object({
-  fine_amount: Joi.number().min(0).required(),
-  notes: Joi.string().allow('', null),
+const escalateSchema = Joi.object({
+  reason: Joi.string().trim().required(),
+  reviewer_id: Joi.string().hex().length(24).required(),
 });
 
 router.post(
-  '/:id/decision/guilty-fine',
+  '/:id/decision/escalate',
   requireAuth,
-  requireRole(['supervisor', 'admin']),
+  requireRole(['officer', 'supervisor', 'admin']),
   async (req, res, next) => {
     try {
-      const { error, value } = guiltyFineSchema.validate(req.body);
+      const { error, value } = escalateSchema.validate(req.body);
       if (error) throw createError(400, error.message);
 
       const caseItem = await CaseModel.findById(req.params.id);
       if (!caseItem) throw createError(404, 'Case not found');
-      if (caseItem.status !== 'UnderAssessment') {
-        throw createError(400, 'Case is not in assessment stage');
-      }
 
-      const oldStatus = caseItem.status;
-      caseItem.status = 'Fined';
-      caseItem.result = 'Fail';
-      caseItem.fine_amount = value.fine_amount;
-      caseItem.payment_status = 'unpaid'; // Set to unpaid when fine is issued
-      caseItem.lastActivityAt = new Date();
-      if (oldStatus !== 'Fined') {
-        caseItem.statusChangedAt = new Date();
-      }
-      if (value.notes) {
-        caseItem.description = (caseItem.description || '') + '\n\nDecision: ' + value.notes;
-      }
+      await assertValidReviewer(value.reviewer_id, req.user?.sub);
+      const fromStatus = caseItem.status;
+      escalateCase(caseItem, {
+        reason: value.reason,
+        reviewerId: value.reviewer_id,
+        actorId: req.user?.sub,
+      });
 
       await caseItem.save();
       await recordAudit({
-        action: 'update',
+        action: 'escalate',
         entity: 'case',
         entityId: caseItem.id,
         userId: req.user?.sub,
-        details: { status: 'Fined', fine_amount: value.fine_amount, decision: 'guilty_fine' },
+        details: { from_status: fromStatus, reviewer_id: value.reviewer_id, reason: value.reason },
       });
+      await createEscalationNotification(caseItem, value.reviewer_id, value.reason);
 
       res.json(caseItem);
     } catch (err) {
@@ -657,47 +814,45 @@ router.post(
   },
 );
 
-const guiltyComebackSchema = Joi.object({
-  comeback_date: Joi.date().required(),
+// Reviewer returns an escalated case without deciding it: back to assessment or to its previous status
+const deEscalateSchema = Joi.object({
+  return_to: Joi.string().valid(...CaseStatus).optional(),
   notes: Joi.string().allow('', null),
 });
 
 router.post(
-  '/:id/decision/guilty-comeback',
+  '/:id/decision/de-escalate',
   requireAuth,
   requireRole(['supervisor', 'admin']),
   async (req, res, next) => {
     try {
-      const { error, value } = guiltyComebackSchema.validate(req.body);
+      const { error, value } = deEscalateSchema.validate(req.body);
       if (error) throw createError(400, error.message);
 
       const caseItem = await CaseModel.findById(req.params.id);
       if (!caseItem) throw createError(404, 'Case not found');
-      if (caseItem.status !== 'UnderAssessment') {
-        throw createError(400, 'Case is not in assessment stage');
+      if (caseItem.status !== 'Escalated') {
+        throw createError(409, 'Case is not escalated');
       }
+      assertCanReviewEscalation(caseItem, req.user);
 
-      const oldStatus = caseItem.status;
-      caseItem.status = 'PendingComeback';
-      caseItem.result = 'Fail';
-      caseItem.comeback_date = new Date(value.comeback_date);
-      caseItem.comeback_notification_sent = false;
-      caseItem.lastActivityAt = new Date();
-      if (oldStatus !== 'PendingComeback') {
-        caseItem.statusChangedAt = new Date();
-      }
-      if (value.notes) {
-        caseItem.description = (caseItem.description || '') + '\n\nDecision: ' + value.notes;
+      const previousStatus = caseItem.escalation?.previous_status || 'UnderAssessment';
+      const returnTo = value.return_to || previousStatus;
+      if (![previousStatus, 'UnderAssessment'].includes(returnTo)) {
+        throw createError(409, `An escalated case can only be returned to ${previousStatus} or UnderAssessment`);
       }
 
+      transitionCase(caseItem, returnTo, {}, { actorId: req.user?.sub, reason: value.notes });
+
       await caseItem.save();
       await recordAudit({
-        action: 'update',
+        action: 'de_escalate',
         entity: 'case',
         entityId: caseItem.id,
         userId: req.user?.sub,
-        details: { status: 'PendingComeback', comeback_date: value.comeback_date, decision: 'guilty_comeback' },
+        details: { status: returnTo, notes: value.notes },
       });
+      await createEscalationReturnedNotification(caseItem, returnTo, value.notes);
 
       res.json(caseItem);
     } catch (err) {
@@ -706,5 +861,22 @@ router.post(
   },
 );
 
+// Move a case and its payments and evidence to the trash (admin only)
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const deleted = await softDeleteRecord('case', req.params.id, req.user?.sub);
+    await recordAudit({
+      action: 'soft_delete',
+      entity: 'case',
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: { deleted },
+    });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export const caseRoutes = router;
 
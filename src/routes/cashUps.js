@@ -0,0 +1,251 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { CashUpDiscrepancyStatus, CashUpModel, CashUpStatus, UserModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  dayRange,
+  declareCashUp,
+  getCashVarianceReport,
+  getDailyCashUpReport,
+  getExpectedCash,
+  recordCashUpDeposit,
+  signOffCashUpDiscrepancy,
+} from '../services/cashUpService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+/**
+ * Officers whose cash-ups a user may see: null for everyone (finance, admin),
+ * the supervisor and their team, or the officer alone
+ */
+const visibleOfficerIds = async (user) => {
+  if (['finance', 'admin'].includes(user?.role)) return null;
+  if (user?.role === 'supervisor') {
+    const team = await UserModel.find({ supervisor_id: user.sub }).distinct('_id');
+    return [user.sub, ...team.map(String)];
+  }
+  return [user?.sub];
+};
+
+const loadVisibleCashUp = async (id, user) => {
+  const cashUp = await CashUpModel.findById(id);
+  if (!cashUp) throw createError(404, 'Cash-up not found');
+  const visible = await visibleOfficerIds(user);
+  if (visible && !visible.includes(String(cashUp.officer_id))) throw createError(404, 'Cash-up not found');
+  return cashUp;
+};
+
+// Cash the current user (or, for supervisors and finance, another officer) is expected to hold for a day
+router.get('/expected', requireAuth, async (req, res, next) => {
+  try {
+    const officerId = req.query.officer_id ? String(req.query.officer_id) : req.user?.sub;
+    const visible = await visibleOfficerIds(req.user);
+    if (visible && !visible.includes(officerId)) throw createError(403, 'Access denied');
+
+    const date = req.query.date ? new Date(String(req.query.date)) : new Date();
+    if (Number.isNaN(date.getTime())) throw createError(400, 'Invalid date');
+
+    const expected = await getExpectedCash(officerId, date);
+    res.json({
+      officer_id: officerId,
+      date: dayRange(date).start,
+      currency: expected.currency,
+      expected_amount: expected.amount,
+      expected_by_currency: expected.by_currency,
+      payments: expected.payments,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Daily cash-up report: every officer who collected or declared cash that day
+router.get('/reports/daily', requireAuth, requireRole(['supervisor', 'finance', 'admin']), async (req, res, next) => {
+  try {
+    const date = req.query.date ? new Date(String(req.query.date)) : new Date();
+    if (Number.isNaN(date.getTime())) throw createError(400, 'Invalid date');
+
+    const officerIds = await visibleOfficerIds(req.user);
+    res.json(await getDailyCashUpReport(date, { officerIds }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Variance report over a period, grouped by officer or district
+router.get('/reports/variance', requireAuth, requireRole(['supervisor', 'finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = Joi.object({
+      start: Joi.date().optional(),
+      end: Joi.date().optional(),
+      group_by: Joi.string().valid('officer', 'district').default('officer'),
+    }).validate(req.query);
+    if (error) throw createError(400, error.message);
+
+    const officerIds = await visibleOfficerIds(req.user);
+    const rows = await getCashVarianceReport({ start: value.start, end: value.end, groupBy: value.group_by, officerIds });
+    res.json({ start: value.start || null, end: value.end || null, group_by: value.group_by, rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List cash-ups (officers see their own, supervisors their team's)
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: CashUpModel,
+      sortFields: ['business_date', 'variance', 'createdAt'],
+      defaultSort: '-business_date',
+    });
+    const { officer_id, district, status, discrepancy_status, start, end } = req.query;
+    const filter = {};
+    const visible = await visibleOfficerIds(req.user);
+    if (officer_id) {
+      if (visible && !visible.includes(String(officer_id))) throw createError(403, 'Access denied');
+      filter.officer_id = String(officer_id);
+    } else if (visible) {
+      filter.officer_id = { $in: visible };
+    }
+    if (district) filter.district = String(district);
+    if (status) {
+      if (!CashUpStatus.includes(status)) throw createError(400, `Unknown status: ${status}`);
+      filter.status = status;
+    }
+    if (discrepancy_status) {
+      if (!CashUpDiscrepancyStatus.includes(discrepancy_status)) throw createError(400, `Unknown discrepancy status: ${discrepancy_status}`);
+      filter.discrepancy_status = discrepancy_status;
+    }
+    if (start || end) {
+      filter.business_date = {};
+      if (start) filter.business_date.$gte = dayRange(String(start)).start;
+      if (end) filter.business_date.$lte = dayRange(String(end)).start;
+    }
+
+    const result = await paginate(CashUpModel, filter, listOptions, {
+      populate: (query) => query.populate('officer_id', 'name email district').populate('signed_off_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const cashUp = await loadVisibleCashUp(req.params.id, req.user);
+    await cashUp.populate([
+      { path: 'officer_id', select: 'name email district' },
+      { path: 'payment_ids', select: 'case_id amount currency base_amount payment_date receipt_reference status', populate: { path: 'case_id', select: 'case_number' } },
+      { path: 'deposit.recorded_by', select: 'name email' },
+      { path: 'signed_off_by', select: 'name email' },
+    ]);
+    res.json(cashUp);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Declare the cash collected on a day (the officer themselves)
+const declareSchema = Joi.object({
+  date: Joi.date().required(),
+  declared_amount: Joi.number().min(0).required(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/', requireAuth, requireRole(['officer', 'supervisor']), async (req, res, next) => {
+  try {
+    const { error, value } = declareSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const cashUp = await declareCashUp({
+      officerId: req.user?.sub,
+      date: value.date,
+      amount: value.declared_amount,
+      notes: value.notes || undefined,
+    });
+
+    await recordAudit({
+      action: 'declare',
+      entity: 'cash_up',
+      entityId: cashUp.id,
+      userId: req.user?.sub,
+      details: {
+        business_date: cashUp.business_date,
+        declared_amount: cashUp.declared_amount,
+        expected_amount: cashUp.expected_amount,
+        variance: cashUp.variance,
+      },
+    });
+    res.status(201).json(cashUp);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Record the bank deposit of a cash-up (finance)
+const depositSchema = Joi.object({
+  amount: Joi.number().min(0).required(),
+  reference: Joi.string().required(),
+  bank_name: Joi.string().allow('', null).optional(),
+  deposited_at: Joi.date().optional(),
+});
+
+router.post('/:id/deposit', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = depositSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const cashUp = await loadVisibleCashUp(req.params.id, req.user);
+    await recordCashUpDeposit(cashUp, { ...value, bank_name: value.bank_name || undefined }, req.user?.sub);
+
+    await recordAudit({
+      action: 'deposit',
+      entity: 'cash_up',
+      entityId: cashUp.id,
+      userId: req.user?.sub,
+      details: {
+        amount: value.amount,
+        reference: value.reference,
+        deposit_variance: cashUp.deposit_variance,
+        discrepancy_status: cashUp.discrepancy_status,
+      },
+    });
+    res.json(cashUp);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Sign off an open discrepancy (the officer's supervisor, or an admin)
+const signOffSchema = Joi.object({
+  notes: Joi.string().required(),
+});
+
+router.post('/:id/sign-off', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = signOffSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const cashUp = await loadVisibleCashUp(req.params.id, req.user);
+    await signOffCashUpDiscrepancy(cashUp, value, req.user);
+
+    await recordAudit({
+      action: 'sign_off',
+      entity: 'cash_up',
+      entityId: cashUp.id,
+      userId: req.user?.sub,
+      details: { variance: cashUp.variance, deposit_variance: cashUp.deposit_variance, notes: value.notes },
+    });
+    res.json(cashUp);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const cashUpRoutes = router;
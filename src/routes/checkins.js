@@ -8,7 +8,8 @@ import { BusinessModel, CheckInModel, CaseModel } from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
 import { getOrCreateType } from '../services/businessTypeService.js';
 import { nextCaseNumber } from '../services/caseService.js';
-import { CaseTypes } from '../constants/enums.js';
+import { softDeleteRecord } from '../services/trashService.js';
+import { CaseTypes, Currencies } from '../constants/enums.js';
 
 const router = Router();
 
@@ -18,6 +19,9 @@ const checkInSchema = Joi.object({
   location_geo: Joi.string().allow('', null),
   phone: Joi.string().allow('', null),
   fine: Joi.number().min(0).allow(null),
+  fine_currency: Joi.string()
+    .valid(...Currencies)
+    .optional(),
   notes: Joi.string().allow('', null),
   business_type: Joi.string().allow('', null),
   case_type: Joi.string().valid(...CaseTypes).allow('', null), // Optional case type
@@ -45,6 +49,7 @@ router.post('/', requireAuth, requireRole(['officer', 'supervisor', 'admin']), a
       location_geo: value.location_geo,
       phone: value.phone || null,
       fine: value.fine || 0,
+      fine_currency: value.fine_currency,
       notes: value.notes,
       officer_id: req.user?.sub,
     });
@@ -58,6 +63,7 @@ router.post('/', requireAuth, requireRole(['officer', 'supervisor', 'admin']), a
       description: value.notes || `Assessment case for ${business.business_name}`,
       status: 'UnderAssessment',
       assigned_officer_id: req.user?.sub,
+      currency: value.fine_currency,
     });
 
     await recordAudit({
@@ -92,5 +98,22 @@ router.get('/:id', requireAuth, async (req, res, next) => {
   }
 });
 
+// Move a check-in and its cases, payments and evidence to the trash (admin only)
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const deleted = await softDeleteRecord('check_in', req.params.id, req.user?.sub);
+    await recordAudit({
+      action: 'soft_delete',
+      entity: 'check_in',
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: { deleted },
+    });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export const checkInRoutes = router;
 
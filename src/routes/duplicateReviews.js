@@ -6,8 +6,9 @@ import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
 import { DuplicateReviewModel, BusinessModel, CheckInModel, CaseModel } from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
+import { nextCaseNumber } from '../services/caseService.js';
 import { generateBusinessId } from '../utils/businessId.js';
-import { generateCaseNumber } from '../utils/caseNumber.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
@@ -16,20 +17,20 @@ router.get('/', requireAuth, requireRole(['admin', 'supervisor']), async (req, r
   try {
     console.log('[Duplicate Reviews] Fetching reviews with status:', req.query.status || 'pending');
     const { status = 'pending', importJobId } = req.query;
+    const listOptions = parseListQuery(req.query, { model: DuplicateReviewModel });
     
     const query = { status };
     if (importJobId) {
       query.import_job_id = importJobId;
     }
     
-    const reviews = await DuplicateReviewModel.find(query)
-      .populate('existing_business_id')
-      .populate('reviewed_by', 'name email')
-      .populate('import_job_id')
-      .sort({ createdAt: -1 });
+    const result = await paginate(DuplicateReviewModel, query, listOptions, {
+      populate: (q) =>
+        q.populate('existing_business_id').populate('reviewed_by', 'name email').populate('import_job_id'),
+    });
     
-    console.log('[Duplicate Reviews] Found', reviews.length, 'reviews');
-    res.json(reviews);
+    console.log('[Duplicate Reviews] Found', result.pagination.total, 'reviews');
+    res.json(result);
   } catch (err) {
     console.error('[Duplicate Reviews] Error:', err.message);
     console.error('[Duplicate Reviews] Stack:', err.stack);
@@ -134,7 +135,7 @@ router.post('/:id/decide', requireAuth, requireRole(['admin', 'supervisor']), as
           if (upperCaseStr.includes('TCC')) caseType = 'TCC';
           if (upperCaseStr.includes('EVC')) caseType = 'EVC';
           
-          const caseNumber = generateCaseNumber(new Date(), 1);
+          const caseNumber = await nextCaseNumber(new Date());
           await CaseModel.create({
             check_in_id: checkIn._id,
             case_type: caseType,
@@ -218,7 +219,7 @@ router.post('/:id/decide', requireAuth, requireRole(['admin', 'supervisor']), as
           if (upperCaseStr.includes('TCC')) caseType = 'TCC';
           if (upperCaseStr.includes('EVC')) caseType = 'EVC';
           
-          const caseNumber = generateCaseNumber(new Date(), 1);
+          const caseNumber = await nextCaseNumber(new Date());
           await CaseModel.create({
             check_in_id: checkIn._id,
             case_type: caseType,
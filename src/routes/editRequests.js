@@ -4,18 +4,60 @@ import Joi from 'joi';
 
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
-import { EditRequestModel, BusinessModel, UserModel, NotificationModel } from '../models/index.js';
+import {
+  EditRequestModel,
+  BusinessModel,
+  CaseModel,
+  CheckInModel,
+  UserModel,
+  NotificationModel,
+} from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
+import { requestFineAdjustment } from '../services/fineAdjustmentService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
 const createRequestSchema = Joi.object({
   business_id: Joi.string().required(),
   field_to_edit: Joi.string().valid('fine_amount').required(), // Currently only fine_amount is allowed for users
+  // Case whose fine should change (fine_amount requests become fine adjustments on it)
+  case_id: Joi.string().hex().length(24).when('field_to_edit', {
+    is: 'fine_amount',
+    then: Joi.required(),
+  }),
   requested_value: Joi.alternatives().try(Joi.number().min(0), Joi.string()).required(),
   reason: Joi.string().allow('', null),
 });
 
+/**
+ * A fine edit is a reduction of the case's fine: it is raised as a fine adjustment,
+ * which finance approves and applies through /fine-adjustments
+ */
+const requestFineEdit = async (business, value, user) => {
+  const caseItem = await CaseModel.findById(value.case_id);
+  const checkIn = caseItem && (await CheckInModel.findById(caseItem.check_in_id).select('business_id').lean());
+  if (!checkIn || String(checkIn.business_id) !== String(business._id)) {
+    throw createError(404, 'Case not found for this business');
+  }
+
+  const requested = Number(value.requested_value);
+  if (Number.isNaN(requested) || requested < 0) throw createError(400, 'requested_value must be a fine amount');
+  if (requested >= (caseItem.fine_amount || 0)) {
+    throw createError(400, `A fine edit can only lower the fine (currently ${caseItem.fine_amount || 0})`);
+  }
+
+  return requestFineAdjustment(
+    caseItem,
+    {
+      type: 'reduction',
+      amount: caseItem.fine_amount - requested,
+      reason: value.reason || `Fine edit requested: ${caseItem.fine_amount} to ${requested}`,
+    },
+    user,
+  );
+};
+
 // Create edit request (users)
 router.post('/', requireAuth, async (req, res, next) => {
   try {
@@ -25,6 +67,11 @@ router.post('/', requireAuth, async (req, res, next) => {
     const business = await BusinessModel.findById(value.business_id);
     if (!business) throw createError(404, 'Business not found');
 
+    if (value.field_to_edit === 'fine_amount') {
+      const adjustment = await requestFineEdit(business, value, req.user);
+      return res.status(201).json({ fine_adjustment: adjustment });
+    }
+
     // Check if user already has a pending request for this business and field
     const existingRequest = await EditRequestModel.findOne({
       business_id: value.business_id,
@@ -38,22 +85,7 @@ router.post('/', requireAuth, async (req, res, next) => {
     }
 
     // Get current value based on field_to_edit
-    let currentValue = null;
-    if (value.field_to_edit === 'fine_amount') {
-      // Calculate total fine from cases
-      const { CaseModel } = await import('../models/index.js');
-      const cases = await CaseModel.find({
-        'check_in_id.business_id': value.business_id,
-      })
-        .populate({
-          path: 'check_in_id',
-          populate: { path: 'business_id' },
-        })
-        .lean();
-      currentValue = cases.reduce((sum, c) => sum + (c.fine_amount || 0), 0);
-    } else {
-      currentValue = business[value.field_to_edit] || null;
-    }
+    const currentValue = business[value.field_to_edit] || null;
 
     const editRequest = await EditRequestModel.create({
       ...value,
@@ -94,10 +126,13 @@ router.post('/', requireAuth, async (req, res, next) => {
   }
 });
 
+const EditRequestSortFields = ['createdAt', 'updatedAt', 'status'];
+
 // List requests (role-filtered: users see own, admins see all)
 router.get('/', requireAuth, async (req, res, next) => {
   try {
     const { business_id, status } = req.query;
+    const listOptions = parseListQuery(req.query, { model: EditRequestModel, sortFields: EditRequestSortFields });
     const filter = {};
 
     // Regular users can only see their own requests
@@ -108,14 +143,15 @@ router.get('/', requireAuth, async (req, res, next) => {
     if (business_id) filter.business_id = business_id;
     if (status) filter.status = status;
 
-    const requests = await EditRequestModel.find(filter)
-      .populate('business_id', 'business_name business_id tax_id')
-      .populate('requested_by', 'name email')
-      .populate('reviewed_by', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const result = await paginate(EditRequestModel, filter, listOptions, {
+      populate: (query) =>
+        query
+          .populate('business_id', 'business_name business_id tax_id')
+          .populate('requested_by', 'name email')
+          .populate('reviewed_by', 'name email'),
+    });
 
-    res.json(requests);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -124,13 +160,19 @@ router.get('/', requireAuth, async (req, res, next) => {
 // Get pending requests (admin only)
 router.get('/pending', requireAuth, requireRole(['admin']), async (req, res, next) => {
   try {
-    const requests = await EditRequestModel.find({ status: 'pending' })
-      .populate('business_id', 'business_name business_id tax_id owner_name')
-      .populate('requested_by', 'name email role')
-      .sort({ createdAt: 1 }) // Oldest first
-      .limit(50);
+    const listOptions = parseListQuery(req.query, {
+      model: EditRequestModel,
+      sortFields: EditRequestSortFields,
+      defaultSort: 'createdAt', // Oldest first
+    });
+    const result = await paginate(EditRequestModel, { status: 'pending' }, listOptions, {
+      populate: (query) =>
+        query
+          .populate('business_id', 'business_name business_id tax_id owner_name')
+          .populate('requested_by', 'name email role'),
+    });
 
-    res.json(requests);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -170,6 +212,10 @@ router.put('/:id/approve', requireAuth, requireRole(['admin']), async (req, res,
     if (editRequest.status !== 'pending') {
       throw createError(400, `Request is already ${editRequest.status}`);
     }
+    // Approving a fine edit here would change nothing; older ones are raised again as fine adjustments
+    if (editRequest.field_to_edit === 'fine_amount') {
+      throw createError(409, 'Fine changes are approved as fine adjustments; reject this request and use /fine-adjustments');
+    }
 
     // Check if expired
     if (editRequest.expires_at && new Date() > editRequest.expires_at) {
@@ -248,7 +294,7 @@ router.put('/:id/reject', requireAuth, requireRole(['admin']), async (req, res,
       edit_request_id: editRequest.id,
       type: 'edit_request_rejected',
       title: 'Edit Request Rejected',
-      message: `Your request to edit ${editRequest.field_to_edit} for ${editRequest.business_id.business_name} has been rejected.${reviewedNotes ? ` Reason: ${reviewedNotes}` : ''}`,
+      message: `Your request to edit ${editRequest.field_to_edit} for ${editRequest.business_id.business_name} has been rejected.${reviewed_notes ? ` Reason: ${reviewed_notes}` : ''}`,
       read: false,
     });
 
@@ -1,13 +1,14 @@
 import { Router } from 'express';
 import createError from 'http-errors';
 import Joi from 'joi';
-import crypto from 'crypto';
 
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
 import { EvidenceModel, CaseModel } from '../models/index.js';
 import { uploadEvidence } from '../utils/gridfsStorage.js';
 import { recordAudit } from '../services/auditService.js';
+import { notifyCaseWatchers } from '../services/notificationService.js';
+import { softDeleteRecord } from '../services/trashService.js';
 
 const router = Router({ mergeParams: true });
 
@@ -47,9 +48,8 @@ router.post(
       if (!caseItem) throw createError(404, 'Case not found');
       if (!req.file) throw createError(400, 'File is required');
 
-      // For GridFS uploads, we can compute hash from the uploaded file info
-      // Note: The hash is computed during upload in gridfsStorage
-      const sha256 = crypto.randomBytes(32).toString('hex'); // Placeholder hash for now
+      // The hash is computed from the file contents during upload in gridfsStorage
+      const { sha256 } = req.file;
 
       const ev = await EvidenceModel.create({
         case_id: caseItem.id,
@@ -68,6 +68,12 @@ router.post(
         userId: req.user?.sub,
         details: { case_id: caseItem.id, fileId: req.file.fileId },
       });
+      await notifyCaseWatchers(caseItem, {
+        type: 'evidence_added',
+        title: 'New Evidence',
+        message: `New evidence was added to case ${caseItem.case_number}` + (value.description ? `: ${value.description}` : '.'),
+        actorId: req.user?.sub,
+      });
       res.status(201).json(ev);
     } catch (err) {
       next(err);
@@ -75,5 +81,25 @@ router.post(
   },
 );
 
+// Move an evidence item to the trash (admin only)
+router.delete('/:id/evidence/:evidenceId', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const ev = await EvidenceModel.exists({ _id: req.params.evidenceId, case_id: req.params.id });
+    if (!ev) throw createError(404, 'Evidence not found');
+
+    const deleted = await softDeleteRecord('evidence', req.params.evidenceId, req.user?.sub);
+    await recordAudit({
+      action: 'soft_delete',
+      entity: 'evidence',
+      entityId: req.params.evidenceId,
+      userId: req.user?.sub,
+      details: { deleted },
+    });
+    res.json({ success: true, deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export const evidenceRoutes = router;
 
@@ -0,0 +1,135 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { config } from '../config.js';
+import { Currencies } from '../constants/enums.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { ExchangeRateModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import { convertAmount, getCurrentExchangeRates } from '../services/currencyService.js';
+
+const router = Router();
+
+// List rates, latest effective date first
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const filter = { base_currency: config.currency.base };
+    if (req.query.currency) {
+      if (!Currencies.includes(req.query.currency)) throw createError(400, `Unknown currency: ${req.query.currency}`);
+      filter.currency = req.query.currency;
+    }
+    const rates = await ExchangeRateModel.find(filter)
+      .populate('created_by', 'name email')
+      .sort({ currency: 1, effective_from: -1 })
+      .lean();
+    res.json(rates);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Rates in effect now (or on ?date=)
+router.get('/current', requireAuth, async (req, res, next) => {
+  try {
+    const at = req.query.date ? new Date(String(req.query.date)) : new Date();
+    if (Number.isNaN(at.getTime())) throw createError(400, 'Invalid date');
+    res.json(await getCurrentExchangeRates(at));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Convert an amount with the rates effective on a date
+const convertSchema = Joi.object({
+  amount: Joi.number().min(0).required(),
+  from: Joi.string()
+    .valid(...Currencies)
+    .required(),
+  to: Joi.string()
+    .valid(...Currencies)
+    .default(config.currency.base),
+  date: Joi.date().optional(),
+});
+
+router.get('/convert', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = convertSchema.validate(req.query);
+    if (error) throw createError(400, error.message);
+
+    const at = value.date || new Date();
+    const converted = await convertAmount(value.amount, value.from, value.to, at);
+    res.json({ ...value, date: at, converted_amount: converted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Add a rate (admin only). It applies to payments dated on or after effective_from.
+const createSchema = Joi.object({
+  currency: Joi.string()
+    .valid(...Currencies)
+    .invalid(config.currency.base)
+    .required(),
+  rate: Joi.number().positive().required(),
+  effective_from: Joi.date().required(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const exists = await ExchangeRateModel.exists({
+      currency: value.currency,
+      base_currency: config.currency.base,
+      effective_from: value.effective_from,
+    });
+    if (exists) throw createError(409, `A ${value.currency} rate is already effective from that date`);
+
+    const rate = await ExchangeRateModel.create({
+      ...value,
+      notes: value.notes || undefined,
+      base_currency: config.currency.base,
+      created_by: req.user?.sub,
+    });
+
+    await recordAudit({
+      action: 'create',
+      entity: 'exchange_rate',
+      entityId: rate.id,
+      userId: req.user?.sub,
+      details: { currency: rate.currency, base_currency: rate.base_currency, rate: rate.rate, effective_from: rate.effective_from },
+    });
+    res.status(201).json(rate);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a rate that is not yet in effect (admin only); rates already used stay as history
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const rate = await ExchangeRateModel.findById(req.params.id);
+    if (!rate) throw createError(404, 'Exchange rate not found');
+    if (rate.effective_from <= new Date()) {
+      throw createError(409, 'The rate is already in effect; add a new rate with a later effective date instead');
+    }
+    await rate.deleteOne();
+
+    await recordAudit({
+      action: 'delete',
+      entity: 'exchange_rate',
+      entityId: rate.id,
+      userId: req.user?.sub,
+      details: { currency: rate.currency, rate: rate.rate, effective_from: rate.effective_from },
+    });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const exchangeRateRoutes = router;
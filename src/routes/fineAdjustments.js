@@ -0,0 +1,154 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { CaseModel, FineAdjustmentModel, FineAdjustmentStatus, FineAdjustmentTypes } from '../models/index.js';
+import {
+  FineAdjustmentApproverRoles,
+  approveFineAdjustment,
+  rejectFineAdjustment,
+  requestFineAdjustment,
+} from '../services/fineAdjustmentService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+const objectId = Joi.string().hex().length(24);
+
+const loadAdjustment = async (id) => {
+  const adjustment = await FineAdjustmentModel.findById(id);
+  if (!adjustment) throw createError(404, 'Fine adjustment not found');
+  const caseItem = await CaseModel.findById(adjustment.case_id);
+  if (!caseItem) throw createError(404, 'Case not found');
+  return { adjustment, caseItem };
+};
+
+// List adjustments (officers see the ones they requested)
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: FineAdjustmentModel,
+      sortFields: ['createdAt', 'reviewed_at', 'amount'],
+      defaultSort: '-createdAt',
+    });
+    const filter = {};
+    if (req.query.status) {
+      if (!FineAdjustmentStatus.includes(req.query.status)) throw createError(400, `Unknown status: ${req.query.status}`);
+      filter.status = req.query.status;
+    }
+    if (req.query.type) {
+      if (!FineAdjustmentTypes.includes(req.query.type)) throw createError(400, `Unknown type: ${req.query.type}`);
+      filter.type = req.query.type;
+    }
+    if (req.query.case_id) filter.case_id = String(req.query.case_id);
+    if (req.user?.role === 'officer') filter.requested_by = req.user.sub;
+
+    const result = await paginate(FineAdjustmentModel, filter, listOptions, {
+      populate: (query) =>
+        query
+          .populate('case_id', 'case_number fine_amount payment_status')
+          .populate('requested_by', 'name email')
+          .populate('reviewed_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const adjustment = await FineAdjustmentModel.findById(req.params.id)
+      .populate('case_id', 'case_number fine_amount payment_amount outstanding_balance payment_status')
+      .populate('requested_by', 'name email')
+      .populate('reviewed_by', 'name email')
+      .lean();
+    if (!adjustment) throw createError(404, 'Fine adjustment not found');
+    if (req.user?.role === 'officer' && String(adjustment.requested_by?._id) !== String(req.user.sub)) {
+      throw createError(404, 'Fine adjustment not found');
+    }
+    res.json(adjustment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Request a waiver, reduction or refund (a waiver needs no amount: it writes off the outstanding balance)
+const requestSchema = Joi.object({
+  case_id: objectId.required(),
+  type: Joi.string()
+    .valid(...FineAdjustmentTypes)
+    .required(),
+  amount: Joi.when('type', {
+    is: 'waiver',
+    then: Joi.forbidden(),
+    otherwise: Joi.number().positive().required(),
+  }),
+  reason: Joi.string().trim().min(1).required(),
+});
+
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = requestSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const caseItem = await CaseModel.findById(value.case_id);
+    if (!caseItem) throw createError(404, 'Case not found');
+
+    const adjustment = await requestFineAdjustment(caseItem, value, req.user);
+    res.status(201).json(adjustment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Approve and apply an adjustment (finance, admin; not the requester)
+const approveSchema = Joi.object({
+  notes: Joi.string().allow('', null).optional(),
+  refund_method: Joi.string().valid('cash', 'bank_transfer', 'mobile_money', 'other').optional(),
+  refund_reference: Joi.string().optional(),
+});
+
+router.post('/:id/approve', requireAuth, requireRole(FineAdjustmentApproverRoles), async (req, res, next) => {
+  try {
+    const { error, value } = approveSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const { adjustment, caseItem } = await loadAdjustment(req.params.id);
+    await approveFineAdjustment(adjustment, caseItem, { ...value, notes: value.notes || undefined }, req.user);
+    res.json({
+      adjustment,
+      case: {
+        _id: caseItem._id,
+        case_number: caseItem.case_number,
+        fine_amount: caseItem.fine_amount,
+        payment_amount: caseItem.payment_amount,
+        outstanding_balance: caseItem.outstanding_balance,
+        payment_status: caseItem.payment_status,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const rejectSchema = Joi.object({
+  notes: Joi.string().required(),
+});
+
+router.post('/:id/reject', requireAuth, requireRole(FineAdjustmentApproverRoles), async (req, res, next) => {
+  try {
+    const { error, value } = rejectSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const { adjustment, caseItem } = await loadAdjustment(req.params.id);
+    await rejectFineAdjustment(adjustment, caseItem, value, req.user);
+    res.json(adjustment);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const fineAdjustmentRoutes = router;
@@ -1,7 +1,3 @@
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
-
 import { Router } from 'express';
 import createError from 'http-errors';
 import Joi from 'joi';
@@ -12,51 +8,10 @@ import { ImportJobModel } from '../models/importJob.js';
 import { recordAudit } from '../services/auditService.js';
 import { parsePreview, processImport } from '../services/importService.js';
 import { uploadGeneral } from '../utils/gridfsStorage.js';
-import { downloadFromGridFS } from '../utils/gridfs.js';
+import { cleanupTempFile, downloadToTempFile } from '../utils/tempFile.js';
 
 const router = Router();
 
-/**
- * Download file from GridFS to a temporary file for processing
- */
-const downloadToTempFile = async (fileId, originalFilename) => {
-  const { stream, file } = await downloadFromGridFS(fileId);
-  
-  const ext = originalFilename ? path.extname(originalFilename) : '.xlsx';
-  const tempFilePath = path.join(os.tmpdir(), `import-${fileId}-${Date.now()}${ext}`);
-  
-  return new Promise((resolve, reject) => {
-    const writeStream = fs.createWriteStream(tempFilePath);
-    stream.pipe(writeStream);
-    
-    writeStream.on('finish', () => {
-      resolve(tempFilePath);
-    });
-    
-    writeStream.on('error', (error) => {
-      reject(error);
-    });
-    
-    stream.on('error', (error) => {
-      reject(error);
-    });
-  });
-};
-
-/**
- * Clean up temporary file
- */
-const cleanupTempFile = (filePath) => {
-  try {
-    if (filePath && fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log('[Cleanup] Removed temp file:', filePath);
-    }
-  } catch (err) {
-    console.error('[Cleanup] Failed to remove temp file:', err);
-  }
-};
-
 router.post(
   '/upload',
   requireAuth,
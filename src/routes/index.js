@@ -1,22 +1,37 @@
 import { Router } from 'express';
 
+import { appealRoutes } from './appeals.js';
 import { authRoutes } from './auth.js';
 import { businessRoutes } from './businesses.js';
 import { businessTypeRoutes } from './businessTypes.js';
+import { cashUpRoutes } from './cashUps.js';
 import { checkInRoutes } from './checkins.js';
 import { caseRoutes } from './cases.js';
+import { caseBulkRoutes } from './caseBulk.js';
+import { caseCommentRoutes } from './caseComments.js';
 import { evidenceRoutes } from './evidence.js';
 import { importRoutes } from './imports.js';
 import { duplicateReviewRoutes } from './duplicateReviews.js';
 import { reportRoutes } from './reports.js';
+import { savedSearchRoutes } from './savedSearches.js';
+import { slaPolicyRoutes } from './slaPolicies.js';
 import { taskRoutes } from './tasks.js';
+import { trashRoutes } from './trash.js';
 import { userRoutes } from './users.js';
+import { violationCodeRoutes } from './violationCodes.js';
+import { watchRoutes } from './watches.js';
 import { activityRoutes } from './activity.js';
 import { notificationRoutes } from './notifications.js';
 import { auditRoutes } from './audit.js';
 import { editRequestRoutes } from './editRequests.js';
+import { exchangeRateRoutes } from './exchangeRates.js';
 import { fileRoutes } from './files.js';
+import { fineAdjustmentRoutes } from './fineAdjustments.js';
+import { mobileMoneyRoutes } from './mobileMoney.js';
 import { paymentRoutes } from './payments.js';
+import { receiptRoutes } from './receipts.js';
+import { receiptBookRoutes } from './receiptBooks.js';
+import { reconciliationRoutes } from './reconciliations.js';
 
 const router = Router();
 
@@ -56,8 +71,10 @@ router.use('/checkins', checkInRoutes);
 // #region agent log
 fetch('http://127.0.0.1:7242/ingest/5e1cf7b1-92f8-4f5a-9393-0603b1176d2e',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'routes/index.js:53',message:'registering case routes',data:{hasCaseRoutes:!!caseRoutes},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'D'})}).catch(()=>{});
 // #endregion
+router.use('/cases', caseBulkRoutes);
 router.use('/cases', caseRoutes);
 router.use('/cases', evidenceRoutes);
+router.use('/cases', caseCommentRoutes);
 router.use('/imports', importRoutes);
 router.use('/duplicate-reviews', duplicateReviewRoutes);
 // #region agent log
@@ -76,6 +93,19 @@ router.use('/audit', auditRoutes);
 router.use('/edit-requests', editRequestRoutes);
 router.use('/files', fileRoutes);
 router.use('/payments', paymentRoutes);
+router.use('/receipts', receiptRoutes);
+router.use('/receipt-books', receiptBookRoutes);
+router.use('/reconciliations', reconciliationRoutes);
+router.use('/mobile-money', mobileMoneyRoutes);
+router.use('/cash-ups', cashUpRoutes);
+router.use('/fine-adjustments', fineAdjustmentRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/appeals', appealRoutes);
+router.use('/sla-policies', slaPolicyRoutes);
+router.use('/violation-codes', violationCodeRoutes);
+router.use('/saved-searches', savedSearchRoutes);
+router.use('/watches', watchRoutes);
+router.use('/trash', trashRoutes);
 
 export const routes = router;
 
@@ -0,0 +1,131 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { MobileMoneyNotificationModel, MobileMoneyNotificationStatus } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  assignSuspenseNotification,
+  dismissSuspenseNotification,
+  receiveMobileMoneyNotification,
+} from '../services/mobileMoneyService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+// Payment notification from the mobile-money provider (authenticated by its signature, not a user token)
+router.post('/webhook', async (req, res, next) => {
+  try {
+    const { notification, duplicate } = await receiveMobileMoneyNotification({
+      headers: req.headers,
+      rawBody: req.rawBody,
+      body: req.body,
+    });
+    res.json({ received: true, duplicate, status: notification.status });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Notifications received, by status (suspense = the finance suspense queue)
+router.get('/notifications', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: MobileMoneyNotificationModel,
+      sortFields: ['createdAt', 'paid_at', 'amount'],
+    });
+    const filter = {};
+    if (req.query.status) {
+      if (!MobileMoneyNotificationStatus.includes(req.query.status)) throw createError(400, `Unknown status: ${req.query.status}`);
+      filter.status = req.query.status;
+    }
+
+    const result = await paginate(MobileMoneyNotificationModel, filter, listOptions, {
+      populate: (query) =>
+        query.select('-payload').populate('case_id', 'case_number fine_amount outstanding_balance').populate('resolved_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Suspense queue: notifications waiting to be assigned to a case
+router.get('/suspense', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: MobileMoneyNotificationModel,
+      sortFields: ['createdAt', 'paid_at', 'amount'],
+      defaultSort: 'createdAt', // Oldest first
+    });
+    const result = await paginate(MobileMoneyNotificationModel, { status: 'suspense' }, listOptions, {
+      populate: (query) => query.select('-payload').populate('case_id', 'case_number fine_amount outstanding_balance'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const loadNotification = async (id) => {
+  const notification = await MobileMoneyNotificationModel.findById(id);
+  if (!notification) throw createError(404, 'Notification not found');
+  return notification;
+};
+
+// Post a suspense notification to a case as a verified payment
+const assignSchema = Joi.object({
+  case_id: Joi.string().hex().length(24).required(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/suspense/:id/assign', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = assignSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const notification = await loadNotification(req.params.id);
+    await assignSuspenseNotification(notification, value.case_id, { actorId: req.user?.sub, notes: value.notes || undefined });
+
+    await recordAudit({
+      action: 'assign',
+      entity: 'mobile_money_notification',
+      entityId: notification.id,
+      userId: req.user?.sub,
+      details: { case_id: value.case_id, payment_id: String(notification.payment_id), amount: notification.amount },
+    });
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Close a suspense notification without posting it (e.g. not a fine payment, refunded by the provider)
+const dismissSchema = Joi.object({
+  reason: Joi.string().required(),
+});
+
+router.post('/suspense/:id/dismiss', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = dismissSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const notification = await loadNotification(req.params.id);
+    await dismissSuspenseNotification(notification, { actorId: req.user?.sub, reason: value.reason });
+
+    await recordAudit({
+      action: 'dismiss',
+      entity: 'mobile_money_notification',
+      entityId: notification.id,
+      userId: req.user?.sub,
+      details: { reason: value.reason, amount: notification.amount },
+    });
+    res.json(notification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const mobileMoneyRoutes = router;
@@ -3,6 +3,7 @@ import createError from 'http-errors';
 
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
+import { NotificationModel } from '../models/index.js';
 import {
   getUserNotifications,
   markNotificationAsRead,
@@ -10,15 +11,21 @@ import {
   checkComebackDates,
 } from '../services/notificationService.js';
 import { recordAudit } from '../services/auditService.js';
+import { parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
 // Get user's notifications
 router.get('/', requireAuth, async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const notifications = await getUserNotifications(req.user?.sub, limit);
-    res.json(notifications);
+    const listOptions = parseListQuery(req.query, {
+      model: NotificationModel,
+      sortFields: ['createdAt'],
+    });
+    const filter = {};
+    if (req.query.read !== undefined) filter.read = req.query.read === 'true';
+    const result = await getUserNotifications(req.user?.sub, listOptions, filter);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -27,7 +34,6 @@ router.get('/', requireAuth, async (req, res, next) => {
 // Get unread count
 router.get('/unread-count', requireAuth, async (req, res, next) => {
   try {
-    const { NotificationModel } = await import('../models/notification.js');
     const count = await NotificationModel.countDocuments({
       user_id: req.user?.sub,
       read: false,
@@ -2,40 +2,87 @@ import { Router } from 'express';
 import createError from 'http-errors';
 import Joi from 'joi';
 
+import { Currencies } from '../constants/enums.js';
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
 import { PaymentModel, CaseModel } from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
+import { addCaseComment } from '../services/commentService.js';
+import { formatMoney, pricePayment } from '../services/currencyService.js';
+import { notifyCaseWatchers } from '../services/notificationService.js';
+import {
+  getCasePaymentSummary,
+  refreshCaseBalance,
+  setInstalmentPlan,
+  verifyPayment,
+} from '../services/paymentService.js';
+import { getPenaltyBreakdown } from '../services/penaltyService.js';
+import { checkReceiptReference } from '../services/receiptBookService.js';
+import { getRevenueTotals } from '../services/revenueService.js';
+import { softDeleteRecord } from '../services/trashService.js';
 import { uploadGeneral } from '../utils/gridfsStorage.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
+const PaymentSortFields = ['createdAt', 'payment_date', 'amount', 'verified_at'];
+
+const populatePaymentCase = (query) =>
+  query.populate({
+    path: 'case_id',
+    select: 'case_number case_type fine_amount currency payment_amount outstanding_balance payment_status business_name',
+    populate: {
+      path: 'check_in_id',
+      select: 'business_id',
+      populate: {
+        path: 'business_id',
+        select: 'business_name business_id tax_id owner_name',
+      },
+    },
+  });
+
+// List payments with filters (finance)
+router.get('/', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { status, payment_method, case_id, start, end, receipt_flagged, receipt_book_id } = req.query;
+    const listOptions = parseListQuery(req.query, { model: PaymentModel, sortFields: PaymentSortFields });
+    const filter = {};
+    if (status) filter.status = status;
+    if (payment_method) filter.payment_method = payment_method;
+    if (case_id) filter.case_id = case_id;
+    if (receipt_book_id) filter.receipt_book_id = String(receipt_book_id);
+    // Payments whose receipt reference failed the receipt book check
+    if (receipt_flagged === 'true') filter['receipt_flags.0'] = { $exists: true };
+    if (start || end) {
+      filter.payment_date = {};
+      if (start) filter.payment_date.$gte = new Date(String(start));
+      if (end) filter.payment_date.$lte = new Date(String(end));
+    }
+
+    const result = await paginate(PaymentModel, filter, listOptions, {
+      populate: (query) => populatePaymentCase(query).populate('verified_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get pending payments for finance verification
 router.get('/pending', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
   try {
-    const payments = await PaymentModel.find({ status: 'pending_verification' })
-      .populate({
-        path: 'case_id',
-        select: 'case_number case_type fine_amount business_name',
-        populate: {
-          path: 'check_in_id',
-          select: 'business_id',
-          populate: {
-            path: 'business_id',
-            select: 'business_name business_id tax_id owner_name',
-          },
-        },
-      })
-      .sort({ createdAt: -1 })
-      .lean();
+    const listOptions = parseListQuery(req.query, { model: PaymentModel, sortFields: PaymentSortFields });
+    const result = await paginate(PaymentModel, { status: 'pending_verification' }, listOptions, {
+      populate: populatePaymentCase,
+    });
 
-    res.json(payments);
+    res.json(result);
   } catch (err) {
     next(err);
   }
 });
 
-// Get payment by case ID
+// Get the latest payment of a case (see /case/:caseId/summary for all of them)
 router.get('/case/:caseId', requireAuth, async (req, res, next) => {
   try {
     const payment = await PaymentModel.findOne({ case_id: req.params.caseId })
@@ -53,14 +100,123 @@ router.get('/case/:caseId', requireAuth, async (req, res, next) => {
   }
 });
 
+// Payment position of a case: every payment, the outstanding balance and the instalment plan
+router.get('/case/:caseId/summary', requireAuth, async (req, res, next) => {
+  try {
+    const caseItem = await CaseModel.findById(req.params.caseId)
+      .select('case_number fine_amount currency penalty_amount payment_amount outstanding_balance payment_status instalment_plan')
+      .lean();
+    if (!caseItem) throw createError(404, 'Case not found');
+
+    res.json(await getCasePaymentSummary(caseItem));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Late-payment penalty breakdown of a case: the policy, each accrued line item and the total due
+router.get('/case/:caseId/penalties', requireAuth, async (req, res, next) => {
+  try {
+    const caseItem = await CaseModel.findById(req.params.caseId)
+      .select(
+        'case_number status status_history statusChangedAt createdAt fine_amount currency penalties penalty_amount penalty_accrued_until payment_amount outstanding_balance payment_status appeal_pending',
+      )
+      .lean();
+    if (!caseItem) throw createError(404, 'Case not found');
+
+    res.json(getPenaltyBreakdown(caseItem));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Agree an instalment plan for the outstanding balance (replaces any existing plan)
+const instalmentPlanSchema = Joi.object({
+  instalments: Joi.array()
+    .items(
+      Joi.object({
+        due_date: Joi.date().required(),
+        amount: Joi.number().positive().required(),
+      }),
+    )
+    .min(1)
+    .required(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.put(
+  '/case/:caseId/instalment-plan',
+  requireAuth,
+  requireRole(['supervisor', 'admin', 'finance']),
+  async (req, res, next) => {
+    try {
+      const { error, value } = instalmentPlanSchema.validate(req.body);
+      if (error) throw createError(400, error.message);
+
+      const caseItem = await CaseModel.findById(req.params.caseId);
+      if (!caseItem) throw createError(404, 'Case not found');
+
+      setInstalmentPlan(caseItem, value, req.user?.sub);
+      await refreshCaseBalance(caseItem);
+      await caseItem.save();
+
+      await recordAudit({
+        action: 'instalment_plan',
+        entity: 'case',
+        entityId: caseItem.id,
+        userId: req.user?.sub,
+        details: { instalments: value.instalments },
+      });
+
+      res.json(await getCasePaymentSummary(caseItem));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Cancel the instalment plan of a case
+router.delete(
+  '/case/:caseId/instalment-plan',
+  requireAuth,
+  requireRole(['supervisor', 'admin', 'finance']),
+  async (req, res, next) => {
+    try {
+      const caseItem = await CaseModel.findById(req.params.caseId);
+      if (!caseItem) throw createError(404, 'Case not found');
+      if (!caseItem.instalment_plan?.instalments?.length) throw createError(404, 'Case has no instalment plan');
+
+      caseItem.instalment_plan = undefined;
+      caseItem.lastActivityAt = new Date();
+      await caseItem.save();
+
+      await recordAudit({
+        action: 'cancel_instalment_plan',
+        entity: 'case',
+        entityId: caseItem.id,
+        userId: req.user?.sub,
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
 // Upload payment receipt (creates payment record)
 const uploadPaymentSchema = Joi.object({
   case_id: Joi.string().required(),
-  amount: Joi.number().min(0).required(),
+  amount: Joi.number().positive().required(),
+  currency: Joi.string()
+    .valid(...Currencies)
+    .optional(), // Defaults to the currency of the fine
   payment_date: Joi.date().required(),
   payment_method: Joi.string().valid('cash', 'bank_transfer', 'mobile_money', 'other').optional(),
   receipt_reference: Joi.string().required(),
   notes: Joi.string().allow('', null).optional(),
+  // Officer who took the money, when recorded on their behalf (defaults to the uploader)
+  collected_by: Joi.string().hex().length(24).optional(),
 });
 
 router.post(
@@ -81,43 +237,65 @@ router.post(
         throw createError(400, 'Case has no fine amount');
       }
 
-      // Check if payment already exists
-      const existingPayment = await PaymentModel.findOne({ case_id: value.case_id });
-      if (existingPayment && existingPayment.status === 'verified') {
-        throw createError(400, 'Payment already verified for this case');
+      // A case takes any number of payments until verified payments cover the fine and penalties
+      if (caseItem.payment_status === 'paid') {
+        throw createError(400, 'The fine for this case is already fully paid');
       }
 
-      // Create or update payment record
-      const paymentData = {
+      // Converted with the rates effective on the payment date
+      const paymentDate = new Date(value.payment_date);
+      const pricing = await pricePayment({ amount: value.amount, currency: value.currency, paymentDate }, caseItem);
+
+      // Cash is receipted from the collecting officer's receipt book; problems are flagged, not refused
+      const paymentMethod = value.payment_method || 'cash';
+      const collectedBy = value.collected_by || req.user?.sub;
+      const receiptCheck =
+        paymentMethod === 'cash'
+          ? await checkReceiptReference({ reference: value.receipt_reference, officerId: collectedBy, paymentDate })
+          : { flags: [] };
+
+      const payment = await PaymentModel.create({
         case_id: value.case_id,
         amount: value.amount,
-        payment_date: new Date(value.payment_date),
-        payment_method: value.payment_method || 'cash',
+        ...pricing,
+        payment_date: paymentDate,
+        payment_method: paymentMethod,
         receipt_reference: value.receipt_reference,
         receipt_file_id: req.file?.fileId || null,
+        receipt_book_id: receiptCheck.receipt_book_id,
+        receipt_serial: receiptCheck.receipt_serial,
+        receipt_flags: receiptCheck.flags,
+        collected_by: collectedBy,
         notes: value.notes,
         status: 'pending_verification',
-      };
-
-      let payment;
-      if (existingPayment) {
-        // Update existing payment
-        payment = await PaymentModel.findByIdAndUpdate(existingPayment._id, paymentData, { new: true });
-      } else {
-        // Create new payment
-        payment = await PaymentModel.create(paymentData);
-      }
+      });
 
       // Update case payment status
-      caseItem.payment_status = 'pending_verification';
+      await refreshCaseBalance(caseItem);
       await caseItem.save();
 
       await recordAudit({
-        action: existingPayment ? 'update' : 'create',
+        action: 'create',
         entity: 'payment',
         entityId: payment.id,
         userId: req.user?.sub,
-        details: { case_id: value.case_id, amount: value.amount },
+        details: {
+          case_id: value.case_id,
+          amount: value.amount,
+          currency: payment.currency,
+          applied_amount: payment.applied_amount,
+          base_amount: payment.base_amount,
+          receipt_flags: payment.receipt_flags.length ? payment.receipt_flags : undefined,
+        },
+      });
+      await notifyCaseWatchers(caseItem, {
+        type: 'payment_submitted',
+        title: 'Payment Submitted',
+        message:
+          `A payment of ${formatMoney(payment.amount, payment.currency)} (receipt ${payment.receipt_reference}) was submitted for case ${caseItem.case_number} and awaits verification.` +
+          (payment.receipt_flags.length ? ` Receipt flagged: ${payment.receipt_flags.join(', ').replace(/_/g, ' ')}.` : ''),
+        paymentId: payment._id,
+        actorId: req.user?.sub,
       });
 
       res.status(201).json(payment);
@@ -140,40 +318,8 @@ router.post('/:id/verify', requireAuth, requireRole(['finance', 'admin']), async
     const payment = await PaymentModel.findById(req.params.id);
     if (!payment) throw createError(404, 'Payment not found');
 
-    if (payment.status !== 'pending_verification') {
-      throw createError(400, 'Payment is not pending verification');
-    }
-
-    const caseItem = await CaseModel.findById(payment.case_id);
-    if (!caseItem) throw createError(404, 'Case not found');
-
-    // Verify payment amount matches or exceeds fine
-    if (payment.amount < caseItem.fine_amount) {
-      throw createError(400, `Payment amount ($${payment.amount}) is less than fine amount ($${caseItem.fine_amount})`);
-    }
-
-    // Update payment
-    payment.status = 'verified';
-    payment.verified_by = req.user?.sub;
-    payment.verified_at = new Date();
-    if (value.notes) {
-      payment.notes = (payment.notes || '') + '\n\nVerification: ' + value.notes;
-    }
-    await payment.save();
-
-    // Update case
-    caseItem.payment_status = 'paid';
-    caseItem.payment_amount = payment.amount;
-    caseItem.payment_date = payment.verified_at;
-    await caseItem.save();
-
-    await recordAudit({
-      action: 'verify',
-      entity: 'payment',
-      entityId: payment.id,
-      userId: req.user?.sub,
-      details: { case_id: caseItem.id, amount: payment.amount },
-    });
+    // Partial payments are accepted; the case becomes paid once verified payments cover the fine
+    await verifyPayment(payment, { actorId: req.user?.sub, notes: value.notes });
 
     res.json(payment);
   } catch (err) {
@@ -205,11 +351,10 @@ router.post('/:id/reject', requireAuth, requireRole(['finance', 'admin']), async
     payment.status = 'rejected';
     payment.verified_by = req.user?.sub;
     payment.verified_at = new Date();
-    payment.notes = (payment.notes || '') + '\n\nRejected: ' + value.reason;
     await payment.save();
 
-    // Reset case payment status
-    caseItem.payment_status = 'unpaid';
+    // Recalculate the case payment status from the remaining payments
+    await refreshCaseBalance(caseItem);
     await caseItem.save();
 
     await recordAudit({
@@ -219,6 +364,19 @@ router.post('/:id/reject', requireAuth, requireRole(['finance', 'admin']), async
       userId: req.user?.sub,
       details: { case_id: caseItem.id, reason: value.reason },
     });
+    await addCaseComment(caseItem, {
+      authorId: req.user?.sub,
+      body: `Payment rejected: ${value.reason}`,
+      kind: 'payment_verification',
+      paymentId: payment._id,
+    });
+    await notifyCaseWatchers(caseItem, {
+      type: 'payment_rejected',
+      title: 'Payment Rejected',
+      message: `The payment of ${formatMoney(payment.amount, payment.currency)} for case ${caseItem.case_number} was rejected: ${value.reason}`,
+      paymentId: payment._id,
+      actorId: req.user?.sub,
+    });
 
     res.json(payment);
   } catch (err) {
@@ -255,18 +413,49 @@ router.get('/stats', requireAuth, requireRole(['finance', 'admin']), async (req,
       status: 'pending_verification',
     });
 
-    const totalAmount = await PaymentModel.aggregate([
-      { $match: { ...filter, status: 'verified' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } },
-    ]);
-
-    const totalCollected = totalAmount[0]?.total || 0;
+    // Amounts in the base currency, converted at payment time, with a breakdown per currency paid in
+    const revenue = await getRevenueTotals({ start: filter.verified_at?.$gte, end: filter.verified_at?.$lte });
 
     res.json({
+      base_currency: revenue.base_currency,
       total_verified: totalVerified,
       total_pending: totalPending,
-      total_collected: totalCollected,
+      total_collected: revenue.gross_collected,
+      total_refunded: revenue.refunds,
+      net_collected: revenue.net_collected,
+      total_waived: revenue.waived,
+      total_reduced: revenue.reduced,
+      by_currency: revenue.by_currency,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move a payment that was not verified to the trash (admin only)
+router.delete('/:id', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const payment = await PaymentModel.findById(req.params.id).select('case_id status').lean();
+    // Money received stays on the books: it is paid back through a refund adjustment instead
+    if (payment?.status === 'verified') {
+      throw createError(409, 'Verified payments cannot be deleted; refund them through POST /fine-adjustments');
+    }
+    const deleted = await softDeleteRecord('payment', req.params.id, req.user?.sub);
+
+    // The deleted payment no longer counts towards the case balance
+    const caseItem = payment && (await CaseModel.findById(payment.case_id));
+    if (caseItem) {
+      await refreshCaseBalance(caseItem);
+      await caseItem.save();
+    }
+    await recordAudit({
+      action: 'soft_delete',
+      entity: 'payment',
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: { deleted },
     });
+    res.json({ success: true, deleted });
   } catch (err) {
     next(err);
   }
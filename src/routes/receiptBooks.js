@@ -0,0 +1,211 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { ReceiptBookModel, ReceiptBookStatus, UserModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  assertReceiptBookRangeFree,
+  checkReceiptReference,
+  getReceiptBookReport,
+  getReceiptBookUsage,
+} from '../services/receiptBookService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+const ManagerRoles = ['supervisor', 'finance', 'admin'];
+
+// Largest book the registry accepts, in leaves
+const MAX_BOOK_SIZE = 10000;
+
+const objectId = Joi.string().hex().length(24);
+
+const loadBook = async (id, user) => {
+  const book = await ReceiptBookModel.findById(id);
+  if (!book) throw createError(404, 'Receipt book not found');
+  if (!ManagerRoles.includes(user?.role) && String(book.officer_id) !== String(user?.sub)) {
+    throw createError(404, 'Receipt book not found');
+  }
+  return book;
+};
+
+// Missing and unused serials per book
+const reportSchema = Joi.object({
+  officer_id: objectId.optional(),
+  status: Joi.string()
+    .valid(...ReceiptBookStatus)
+    .optional(),
+});
+
+router.get('/report', requireAuth, requireRole(ManagerRoles), async (req, res, next) => {
+  try {
+    const { error, value } = reportSchema.validate(req.query);
+    if (error) throw createError(400, error.message);
+
+    res.json(await getReceiptBookReport(value));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Check a receipt reference before recording a payment
+const checkSchema = Joi.object({
+  reference: Joi.string().required(),
+  officer_id: objectId.optional(), // Collecting officer (defaults to the current user)
+  payment_date: Joi.date().optional(),
+});
+
+router.get('/check', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = checkSchema.validate(req.query);
+    if (error) throw createError(400, error.message);
+
+    const result = await checkReceiptReference({
+      reference: value.reference,
+      officerId: value.officer_id || req.user?.sub,
+      paymentDate: value.payment_date,
+    });
+    res.json({ reference: value.reference, valid: result.flags.length === 0, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List books (officers see the books issued to them)
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: ReceiptBookModel,
+      sortFields: ['book_number', 'issued_at', 'returned_at', 'serial_start'],
+      defaultSort: '-issued_at',
+    });
+    const filter = {};
+    if (req.query.status) {
+      if (!ReceiptBookStatus.includes(req.query.status)) throw createError(400, `Unknown status: ${req.query.status}`);
+      filter.status = req.query.status;
+    }
+    if (req.query.officer_id) filter.officer_id = String(req.query.officer_id);
+    if (!ManagerRoles.includes(req.user?.role)) filter.officer_id = req.user?.sub;
+
+    const result = await paginate(ReceiptBookModel, filter, listOptions, {
+      populate: (query) => query.populate('officer_id', 'name email district').populate('issued_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// A book with its used, missing and unused serials and the payments written from it
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const book = await loadBook(req.params.id, req.user);
+    await book.populate([
+      { path: 'officer_id', select: 'name email district' },
+      { path: 'issued_by', select: 'name email' },
+      { path: 'returned_by', select: 'name email' },
+    ]);
+    res.json({ ...book.toJSON(), usage: await getReceiptBookUsage(book) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Issue a book to an officer
+const issueSchema = Joi.object({
+  book_number: Joi.string().trim().required(),
+  prefix: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z]*$/)
+    .allow('')
+    .default(''),
+  serial_start: Joi.number().integer().min(0).required(),
+  serial_end: Joi.number().integer().min(Joi.ref('serial_start')).required(),
+  officer_id: objectId.required(),
+  issued_at: Joi.date().optional(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/', requireAuth, requireRole(ManagerRoles), async (req, res, next) => {
+  try {
+    const { error, value } = issueSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+    if (value.serial_end - value.serial_start + 1 > MAX_BOOK_SIZE) {
+      throw createError(400, `A receipt book cannot have more than ${MAX_BOOK_SIZE} leaves`);
+    }
+
+    if (!(await UserModel.exists({ _id: value.officer_id }))) throw createError(400, 'Officer not found');
+    if (await ReceiptBookModel.exists({ book_number: value.book_number })) {
+      throw createError(409, `Receipt book ${value.book_number} is already registered`);
+    }
+    await assertReceiptBookRangeFree(value);
+
+    const book = await ReceiptBookModel.create({
+      ...value,
+      issued_at: value.issued_at || new Date(),
+      issued_by: req.user?.sub,
+      notes: value.notes || undefined,
+    });
+
+    await recordAudit({
+      action: 'issue',
+      entity: 'receipt_book',
+      entityId: book.id,
+      userId: req.user?.sub,
+      details: {
+        book_number: book.book_number,
+        prefix: book.prefix,
+        serial_start: book.serial_start,
+        serial_end: book.serial_end,
+        officer_id: value.officer_id,
+      },
+    });
+    res.status(201).json(book);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Record the return of a book; receipts written from it afterwards are flagged
+const returnSchema = Joi.object({
+  returned_at: Joi.date().optional(),
+  notes: Joi.string().allow('', null).optional(),
+});
+
+router.post('/:id/return', requireAuth, requireRole(ManagerRoles), async (req, res, next) => {
+  try {
+    const { error, value } = returnSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const book = await loadBook(req.params.id, req.user);
+    if (book.status === 'returned') throw createError(409, 'Receipt book is already returned');
+
+    book.status = 'returned';
+    book.returned_at = value.returned_at || new Date();
+    book.returned_by = req.user?.sub;
+    book.return_notes = value.notes || undefined;
+    await book.save();
+
+    const usage = await getReceiptBookUsage(book);
+    await recordAudit({
+      action: 'return',
+      entity: 'receipt_book',
+      entityId: book.id,
+      userId: req.user?.sub,
+      details: {
+        book_number: book.book_number,
+        used: usage.used,
+        missing_count: usage.missing_count,
+        unused_count: usage.unused_count,
+      },
+    });
+    res.json({ ...book.toJSON(), usage });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const receiptBookRoutes = router;
@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { PaymentModel, ReceiptModel, ReceiptStatus } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import { generateReceiptPDF, issueReceipt, voidReceipt } from '../services/receiptService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+const loadReceipt = async (id) => {
+  const receipt = await ReceiptModel.findById(id);
+  if (!receipt) throw createError(404, 'Receipt not found');
+  return receipt;
+};
+
+const sendReceiptPDF = (res, receipt, buffer) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.receipt_number}.pdf"`);
+  res.send(buffer);
+};
+
+// Check a receipt is genuine from its number and verification code (no login needed)
+router.get('/verify/:receiptNumber', async (req, res, next) => {
+  try {
+    const code = String(req.query.code || '').trim().toUpperCase();
+    if (!code) throw createError(400, 'code is required');
+
+    const receipt = await ReceiptModel.findOne({ receipt_number: req.params.receiptNumber, verification_code: code }).lean();
+    if (!receipt) return res.json({ valid: false });
+
+    res.json({
+      valid: receipt.status === 'issued',
+      status: receipt.status,
+      receipt_number: receipt.receipt_number,
+      case_number: receipt.case_number,
+      business_name: receipt.business_name,
+      amount: receipt.amount,
+      currency: receipt.currency,
+      issued_at: receipt.issued_at,
+      voided_at: receipt.voided_at,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List receipts in number order, voided ones included (finance)
+router.get('/', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: ReceiptModel,
+      sortFields: ['receipt_number', 'issued_at'],
+      defaultSort: '-receipt_number',
+    });
+    const filter = {};
+    if (req.query.status) {
+      if (!ReceiptStatus.includes(req.query.status)) throw createError(400, `Unknown status: ${req.query.status}`);
+      filter.status = req.query.status;
+    }
+    if (req.query.case_id) filter.case_id = String(req.query.case_id);
+    if (req.query.payment_id) filter.payment_id = String(req.query.payment_id);
+
+    const result = await paginate(ReceiptModel, filter, listOptions, {
+      populate: (query) => query.populate('issued_by', 'name email').populate('voided_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Receipts of a payment, current one first
+router.get('/payment/:paymentId', requireAuth, async (req, res, next) => {
+  try {
+    const receipts = await ReceiptModel.find({ payment_id: req.params.paymentId }).sort({ issued_at: -1 }).lean();
+    res.json(receipts);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Issue a receipt for a verified payment that has none (e.g. after voiding the previous one)
+const issueSchema = Joi.object({
+  payment_id: Joi.string().hex().length(24).required(),
+});
+
+router.post('/', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = issueSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const payment = await PaymentModel.findById(value.payment_id).lean();
+    if (!payment) throw createError(404, 'Payment not found');
+
+    const receipt = await issueReceipt(payment, req.user?.sub);
+    await recordAudit({
+      action: 'issue',
+      entity: 'receipt',
+      entityId: receipt.id,
+      userId: req.user?.sub,
+      details: { receipt_number: receipt.receipt_number, payment_id: value.payment_id },
+    });
+    res.status(201).json(receipt);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const receipt = await ReceiptModel.findById(req.params.id)
+      .populate('issued_by', 'name email')
+      .populate('voided_by', 'name email')
+      .populate('last_printed_by', 'name email')
+      .lean();
+    if (!receipt) throw createError(404, 'Receipt not found');
+    res.json(receipt);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Download the receipt. The first download is the original; later ones are marked as reprints.
+router.get('/:id/pdf', requireAuth, async (req, res, next) => {
+  try {
+    const receipt = await loadReceipt(req.params.id);
+    const reprint = receipt.print_count > 0 ? receipt.print_count : undefined;
+    const buffer = await generateReceiptPDF(receipt, { reprint });
+
+    receipt.print_count += 1;
+    receipt.last_printed_at = new Date();
+    receipt.last_printed_by = req.user?.sub;
+    await receipt.save();
+
+    await recordAudit({
+      action: reprint ? 'reprint' : 'print',
+      entity: 'receipt',
+      entityId: receipt.id,
+      userId: req.user?.sub,
+      details: { receipt_number: receipt.receipt_number, print_count: receipt.print_count },
+    });
+    sendReceiptPDF(res, receipt, buffer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Void a receipt; it stays in the numbering, marked as void
+const voidSchema = Joi.object({
+  reason: Joi.string().required(),
+});
+
+router.post('/:id/void', requireAuth, requireRole(['finance', 'admin']), async (req, res, next) => {
+  try {
+    const { error, value } = voidSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const receipt = await loadReceipt(req.params.id);
+    await voidReceipt(receipt, { actorId: req.user?.sub, reason: value.reason });
+
+    await recordAudit({
+      action: 'void',
+      entity: 'receipt',
+      entityId: receipt.id,
+      userId: req.user?.sub,
+      details: { receipt_number: receipt.receipt_number, reason: value.reason },
+    });
+    res.json(receipt);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const receiptRoutes = router;
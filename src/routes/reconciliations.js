@@ -0,0 +1,208 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { config } from '../config.js';
+import { Currencies } from '../constants/enums.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { StatementReconciliationModel, StatementSources } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import { parseFile } from '../services/importService.js';
+import {
+  confirmStatementMatches,
+  getUnmatchedPayments,
+  matchStatementLines,
+  parseStatementRows,
+  summarizeReconciliation,
+} from '../services/reconciliationService.js';
+import { uploadGeneral } from '../utils/gridfsStorage.js';
+import { cleanupTempFile, downloadToTempFile } from '../utils/tempFile.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+const FinanceRoles = ['finance', 'admin'];
+
+const uploadStatementSchema = Joi.object({
+  source: Joi.string()
+    .valid(...StatementSources)
+    .required(),
+  currency: Joi.string()
+    .valid(...Currencies)
+    .default(config.currency.base), // Only payments in this currency are matched
+  // Statement column headers, when they are not detected automatically (JSON in multipart forms)
+  mapping: Joi.object({
+    reference: Joi.string(),
+    amount: Joi.string(),
+    date: Joi.string(),
+    description: Joi.string(),
+  }).optional(),
+  date_tolerance_days: Joi.number().integer().min(0).max(31).optional(),
+});
+
+const loadReconciliation = async (id) => {
+  const reconciliation = await StatementReconciliationModel.findById(id);
+  if (!reconciliation) throw createError(404, 'Reconciliation not found');
+  return reconciliation;
+};
+
+// Upload a bank or mobile-money statement (CSV/XLSX) and match its lines to pending payments
+router.post('/', requireAuth, requireRole(FinanceRoles), uploadGeneral.single('file'), async (req, res, next) => {
+  let tempFilePath = null;
+  try {
+    if (!req.file) throw createError(400, 'Statement file required');
+    const body = { ...req.body };
+    if (typeof body.mapping === 'string') {
+      try {
+        body.mapping = JSON.parse(body.mapping);
+      } catch {
+        throw createError(400, 'mapping must be a JSON object');
+      }
+    }
+    const { error, value } = uploadStatementSchema.validate(body);
+    if (error) throw createError(400, error.message);
+
+    tempFilePath = await downloadToTempFile(req.file.fileId, req.file.originalname);
+    let rows;
+    try {
+      rows = parseFile(tempFilePath);
+    } catch (parseError) {
+      throw createError(400, parseError.message);
+    }
+    const { mapping, lines } = parseStatementRows(rows, value.mapping);
+    if (lines.length === 0) throw createError(400, 'No credit lines found in the statement');
+
+    const reconciliation = new StatementReconciliationModel({
+      source: value.source,
+      currency: value.currency,
+      file_id: req.file.fileId,
+      original_filename: req.file.originalname,
+      uploaded_by: req.user?.sub,
+      mapping,
+      date_tolerance_days: value.date_tolerance_days ?? config.reconciliation.dateToleranceDays,
+      lines,
+    });
+    await matchStatementLines(reconciliation);
+    await reconciliation.save();
+
+    const summary = summarizeReconciliation(reconciliation);
+    await recordAudit({
+      action: 'create',
+      entity: 'reconciliation',
+      entityId: reconciliation.id,
+      userId: req.user?.sub,
+      details: { source: value.source, currency: value.currency, filename: req.file.originalname, ...summary },
+    });
+
+    res.status(201).json({
+      reconciliation,
+      summary,
+      unmatched_payments: await getUnmatchedPayments(reconciliation),
+    });
+  } catch (err) {
+    next(err);
+  } finally {
+    cleanupTempFile(tempFilePath);
+  }
+});
+
+// List reconciliations (without their lines)
+router.get('/', requireAuth, requireRole(FinanceRoles), async (req, res, next) => {
+  try {
+    const listOptions = parseListQuery(req.query, {
+      model: StatementReconciliationModel,
+      sortFields: ['createdAt', 'period_start'],
+    });
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.source) filter.source = String(req.query.source);
+
+    const result = await paginate(StatementReconciliationModel, filter, listOptions, {
+      populate: (query) => query.select('-lines').populate('uploaded_by', 'name email'),
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Suggested matches, unmatched statement lines and unmatched pending payments
+router.get('/:id', requireAuth, requireRole(FinanceRoles), async (req, res, next) => {
+  try {
+    const reconciliation = await StatementReconciliationModel.findById(req.params.id)
+      .populate('uploaded_by', 'name email')
+      .populate({
+        path: 'lines.payment_id',
+        select: 'case_id amount payment_date payment_method receipt_reference status',
+        populate: { path: 'case_id', select: 'case_number fine_amount outstanding_balance' },
+      })
+      .lean();
+    if (!reconciliation) throw createError(404, 'Reconciliation not found');
+
+    res.json({
+      ...reconciliation,
+      summary: summarizeReconciliation(reconciliation),
+      suggested: reconciliation.lines.filter((l) => l.status === 'suggested'),
+      unmatched_lines: reconciliation.lines.filter((l) => l.status === 'unmatched'),
+      unmatched_payments: await getUnmatchedPayments(reconciliation),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Match the lines that are not confirmed yet again, e.g. after more payments were submitted
+router.post('/:id/rematch', requireAuth, requireRole(FinanceRoles), async (req, res, next) => {
+  try {
+    const reconciliation = await loadReconciliation(req.params.id);
+    await matchStatementLines(reconciliation);
+    await reconciliation.save();
+
+    res.json({
+      summary: summarizeReconciliation(reconciliation),
+      unmatched_payments: await getUnmatchedPayments(reconciliation),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Confirm matches in bulk, verifying the matched payments.
+// Without line_ids or matches every suggested line is confirmed.
+const confirmSchema = Joi.object({
+  line_ids: Joi.array().items(Joi.string().hex().length(24)).min(1).optional(),
+  matches: Joi.array()
+    .items(
+      Joi.object({
+        line_id: Joi.string().hex().length(24).required(),
+        payment_id: Joi.string().hex().length(24).required(),
+      }),
+    )
+    .optional(),
+});
+
+router.post('/:id/confirm', requireAuth, requireRole(FinanceRoles), async (req, res, next) => {
+  try {
+    const { error, value } = confirmSchema.validate(req.body || {});
+    if (error) throw createError(400, error.message);
+
+    const reconciliation = await loadReconciliation(req.params.id);
+    const result = await confirmStatementMatches(reconciliation, value, req.user?.sub);
+    await reconciliation.save();
+
+    await recordAudit({
+      action: 'confirm',
+      entity: 'reconciliation',
+      entityId: reconciliation.id,
+      userId: req.user?.sub,
+      details: { confirmed: result.confirmed.length, failed: result.failed.length },
+    });
+
+    res.json({ ...result, status: reconciliation.status, summary: summarizeReconciliation(reconciliation) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const reconciliationRoutes = router;
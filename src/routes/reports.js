@@ -4,13 +4,31 @@ import cron from 'node-cron';
 
 import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
-import { CaseModel, BusinessModel, CheckInModel, EvidenceModel, ReportScheduleModel } from '../models/index.js';
+import {
+  CaseModel,
+  BusinessModel,
+  CheckInModel,
+  EvidenceModel,
+  ReportScheduleModel,
+  SavedSearchModel,
+} from '../models/index.js';
 import { generateExcelReport, generatePDFReport } from '../services/reportExportService.js';
 import { recordAudit } from '../services/auditService.js';
+import { buildCaseFilter } from '../services/caseService.js';
+import {
+  applySavedSearch,
+  findVisibleSavedSearch,
+  resolveSavedSearchFilters,
+} from '../services/savedSearchService.js';
+import { getRevenueLedger } from '../services/revenueService.js';
+import { getSlaBreachReport } from '../services/slaService.js';
 
 const router = Router();
 const activeSchedules = new Map();
 
+// Report endpoints name the saved-search date range startDate/endDate
+const DateRangeParams = { startParam: 'startDate', endParam: 'endDate' };
+
 const sendCsv = (res, filename, fields, data) => {
   const parser = new Parser({ fields });
   const csv = parser.parse(data);
@@ -19,15 +37,44 @@ const sendCsv = (res, filename, fields, data) => {
   res.send(csv);
 };
 
+// Generate a scheduled report. A saved search is resolved at run time so relative date ranges roll forward.
+const runScheduledReport = async (scheduleDoc) => {
+  let filters = scheduleDoc.filters || {};
+  if (scheduleDoc.saved_search_id) {
+    const search = await SavedSearchModel.findById(scheduleDoc.saved_search_id).lean();
+    if (!search) {
+      console.warn(`[report schedule] Saved search ${scheduleDoc.saved_search_id} no longer exists, skipping`);
+      return null;
+    }
+    filters = resolveSavedSearchFilters(search);
+  }
+
+  const { start, end, ...caseFilters } = filters;
+  delete caseFilters.sort; // Report sheets keep their own ordering
+  const generate = scheduleDoc.format === 'pdf' ? generatePDFReport : generateExcelReport;
+  return generate(
+    scheduleDoc.report_type,
+    start ? new Date(start) : undefined,
+    end ? new Date(end) : undefined,
+    caseFilters,
+  );
+};
+
 const scheduleJob = (scheduleDoc) => {
   if (!scheduleDoc || !scheduleDoc.cron) return;
   if (activeSchedules.has(scheduleDoc.id)) {
     activeSchedules.get(scheduleDoc.id)?.stop();
   }
   const job = cron.schedule(scheduleDoc.cron, async () => {
-    console.log(`[report schedule] ${scheduleDoc.report_type} → ${scheduleDoc.email}`);
-    scheduleDoc.last_run_at = new Date();
-    await scheduleDoc.save();
+    try {
+      const buffer = await runScheduledReport(scheduleDoc);
+      if (!buffer) return;
+      console.log(`[report schedule] ${scheduleDoc.report_type} → ${scheduleDoc.email} (${buffer.length} bytes)`);
+      scheduleDoc.last_run_at = new Date();
+      await scheduleDoc.save();
+    } catch (err) {
+      console.error(`[report schedule] ${scheduleDoc.report_type} failed:`, err);
+    }
   });
   activeSchedules.set(scheduleDoc.id, job);
 };
@@ -450,6 +497,66 @@ router.get(
   },
 );
 
+// SLA breaches by officer and district
+router.get(
+  '/sla-breaches',
+  requireAuth,
+  requireRole(['supervisor', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate, case_type, status } = req.query;
+      const report = await getSlaBreachReport({ startDate, endDate, case_type, status });
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+router.get(
+  '/sla-breaches.csv',
+  requireAuth,
+  requireRole(['supervisor', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate, case_type, status } = req.query;
+      const report = await getSlaBreachReport({ startDate, endDate, case_type, status });
+      const officerNames = new Map(report.by_officer.map((o) => [String(o.officer_id), o.officer_name]));
+      const data = report.breaches.map((b) => ({
+        ...b,
+        officer_name: officerNames.get(String(b.officer_id)) || '',
+      }));
+      sendCsv(
+        res,
+        'sla-breaches.csv',
+        ['case_number', 'case_type', 'status', 'deadline_date', 'breached_at', 'officer_name', 'district'],
+        data,
+      );
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// Revenue ledger: verified payments and approved fine adjustments as separate lines
+router.get(
+  '/revenue',
+  requireAuth,
+  requireRole(['finance', 'admin']),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate } = req.query;
+      const start = startDate ? new Date(startDate) : undefined;
+      if (start) start.setHours(0, 0, 0, 0);
+      const end = endDate ? new Date(endDate) : undefined;
+      if (end) end.setHours(23, 59, 59, 999);
+      res.json(await getRevenueLedger({ start, end }));
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
 router.get(
   '/repeated-offenders',
   requireAuth,
@@ -463,11 +570,12 @@ router.get(
           $group: {
             _id: '$check.business_id',
             cases: { $sum: 1 },
-            totalFine: { $sum: { $ifNull: ['$check.fine', 0] } }
+            totalFine: { $sum: { $ifNull: ['$check.fine', 0] } },
+            repeatOffenderTier: { $max: { $ifNull: ['$recidivism.tier', 0] } }
           }
         },
         { $match: { cases: { $gte: 2 } } },
-        { $project: { business_id: '$_id', cases: 1, totalFine: 1, _id: 0 } },
+        { $project: { business_id: '$_id', cases: 1, totalFine: 1, repeatOffenderTier: 1, _id: 0 } },
       ];
       const offenders = await CaseModel.aggregate(pipeline);
 
@@ -483,6 +591,7 @@ router.get(
           tax_id: b?.tax_id || '',
           cases: o.cases,
           totalFine: o.totalFine || 0,
+          repeatOffenderTier: o.repeatOffenderTier || 0,
         };
       });
       res.json(data);
@@ -501,9 +610,15 @@ router.get(
       const pipeline = [
         { $lookup: { from: 'checkins', localField: 'check_in_id', foreignField: '_id', as: 'check' } },
         { $unwind: '$check' },
-        { $group: { _id: '$check.business_id', cases: { $sum: 1 } } },
+        {
+          $group: {
+            _id: '$check.business_id',
+            cases: { $sum: 1 },
+            repeatOffenderTier: { $max: { $ifNull: ['$recidivism.tier', 0] } },
+          },
+        },
         { $match: { cases: { $gte: 2 } } },
-        { $project: { business_id: '$_id', cases: 1, _id: 0 } },
+        { $project: { business_id: '$_id', cases: 1, repeatOffenderTier: 1, _id: 0 } },
       ];
       const offenders = await CaseModel.aggregate(pipeline);
       const businessIds = offenders.map((o) => o.business_id);
@@ -517,9 +632,15 @@ router.get(
           business_name: b?.business_name || '',
           tax_id: b?.tax_id || '',
           cases: o.cases,
+          repeatOffenderTier: o.repeatOffenderTier || 0,
         };
       });
-      sendCsv(res, 'repeated-offenders.csv', ['business_id', 'business_name', 'tax_id', 'cases'], data);
+      sendCsv(
+        res,
+        'repeated-offenders.csv',
+        ['business_id', 'business_name', 'tax_id', 'cases', 'repeatOffenderTier'],
+        data,
+      );
     } catch (err) {
       next(err);
     }
@@ -532,11 +653,8 @@ router.get(
   requireAuth,
   async (req, res, next) => {
     try {
-      const { case_type, status, startDate, endDate, business_name, business_type } = req.query;
-      const filter = {};
-
-      if (case_type) filter.case_type = case_type;
-      if (status) filter.status = status;
+      const { startDate, endDate, ...params } = await applySavedSearch(req.query, req.user, DateRangeParams);
+      const filter = await buildCaseFilter(params);
 
       if (startDate || endDate) {
         filter.createdAt = {};
@@ -552,25 +670,6 @@ router.get(
         }
       }
 
-      // Apply business filters if provided
-      if (business_name || business_type) {
-        const businessFilter = {};
-        if (business_name) {
-          businessFilter.business_name = { $regex: business_name, $options: 'i' };
-        }
-        if (business_type) {
-          businessFilter.business_type = { $regex: business_type, $options: 'i' };
-        }
-
-        const matchingBusinesses = await BusinessModel.find(businessFilter).select('_id');
-        const businessIds = matchingBusinesses.map(b => b._id);
-
-        const matchingCheckIns = await CheckInModel.find({ business_id: { $in: businessIds } }).select('_id');
-        const checkInIds = matchingCheckIns.map(c => c._id);
-
-        filter.check_in_id = { $in: checkInIds };
-      }
-
       const cases = await CaseModel.find(filter)
         .populate({
           path: 'check_in_id',
@@ -597,13 +696,27 @@ router.get(
   async (req, res, next) => {
     try {
       const { reportType } = req.params;
-      const { format, startDate, endDate, case_type, status, business_name, business_type } = req.query;
+      const query = await applySavedSearch(req.query, req.user, DateRangeParams);
+      const { format, startDate, endDate } = query;
+      const caseFilters = {
+        case_type: query.case_type || undefined,
+        status: query.status || undefined,
+        assigned_officer_id: query.assigned_officer_id || undefined,
+        business_name: query.business_name || undefined,
+        business_type: query.business_type || undefined,
+        business_search: query.business_search || undefined,
+        overdue: query.overdue,
+      };
 
       // Admin-only reports
       const adminOnlyReports = ['officer-workload', 'users', 'officers'];
       if (adminOnlyReports.includes(reportType) && req.user?.role !== 'admin') {
         return res.status(403).json({ message: 'Admin access required' });
       }
+      const financeReports = ['revenue'];
+      if (financeReports.includes(reportType) && !['finance', 'admin'].includes(req.user?.role)) {
+        return res.status(403).json({ message: 'Finance access required' });
+      }
 
       // Optional date range; if not provided, export all data
       const start = startDate ? new Date(startDate) : null;
@@ -611,39 +724,13 @@ router.get(
       const end = endDate ? new Date(endDate) : null;
       if (end) end.setHours(23, 59, 59, 999);
 
-      // Build business filter if provided
-      let businessFilter = {};
-      if (business_name) {
-        businessFilter.business_name = { $regex: business_name, $options: 'i' };
-      }
-      if (business_type) {
-        businessFilter.business_type = { $regex: business_type, $options: 'i' };
-      }
-
-      let checkInFilter = {};
-      if (Object.keys(businessFilter).length > 0) {
-        const matchingBusinesses = await BusinessModel.find(businessFilter).select('_id');
-        const businessIds = matchingBusinesses.map(b => b._id);
-        checkInFilter.business_id = { $in: businessIds };
-      }
-
       if (format === 'excel' || format === 'xlsx') {
-        const buffer = await generateExcelReport(reportType, start || undefined, end || undefined, {
-          case_type: case_type || undefined,
-          status: status || undefined,
-          business_name: business_name || undefined,
-          business_type: business_type || undefined,
-        });
+        const buffer = await generateExcelReport(reportType, start || undefined, end || undefined, caseFilters);
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
         res.setHeader('Content-Disposition', `attachment; filename="${reportType}-${startDate || 'all'}.xlsx"`);
         res.send(buffer);
       } else if (format === 'pdf') {
-        const buffer = await generatePDFReport(reportType, start || undefined, end || undefined, {
-          case_type: case_type || undefined,
-          status: status || undefined,
-          business_name: business_name || undefined,
-          business_type: business_type || undefined,
-        });
+        const buffer = await generatePDFReport(reportType, start || undefined, end || undefined, caseFilters);
         res.setHeader('Content-Type', 'application/pdf');
         res.setHeader('Content-Disposition', `attachment; filename="${reportType}-${startDate || 'all'}.pdf"`);
         res.send(buffer);
@@ -655,21 +742,12 @@ router.get(
         switch (reportType) {
           case 'cases':
           case 'cases-summary':
-            const caseFilter = {};
+            const caseFilter = await buildCaseFilter(caseFilters);
             if (start || end) {
               caseFilter.createdAt = {};
               if (start) caseFilter.createdAt.$gte = start;
               if (end) caseFilter.createdAt.$lte = end;
             }
-            if (case_type) caseFilter.case_type = case_type;
-            if (status) caseFilter.status = status;
-
-            // Apply business filter through check-ins
-            if (Object.keys(checkInFilter).length > 0) {
-              const matchingCheckIns = await CheckInModel.find(checkInFilter).select('_id');
-              const checkInIds = matchingCheckIns.map(c => c._id);
-              caseFilter.check_in_id = { $in: checkInIds };
-            }
 
             data = await CaseModel.find(caseFilter)
               .populate({
@@ -681,7 +759,7 @@ router.get(
                 },
               })
               .populate('assigned_officer_id', 'name email')
-              .select('case_number case_type status description createdAt check_in_id assigned_officer_id payment_status payment_amount payment_date fine_amount')
+              .select('case_number case_type status description createdAt check_in_id assigned_officer_id payment_status payment_amount outstanding_balance payment_date fine_amount currency penalty_amount')
               .sort({ createdAt: -1 })
               .lean();
 
@@ -704,7 +782,10 @@ router.get(
               created_at: c.createdAt,
               fine: c.fine_amount || c.check_in_id?.fine || 0,
               payment_status: c.payment_status || 'unpaid',
+              currency: c.currency || 'USD',
+              penalties: c.penalty_amount || 0,
               payment_amount: c.payment_amount || 0,
+              outstanding_balance: c.outstanding_balance || 0,
               payment_date: c.payment_date || '',
               business_name: c.check_in_id?.business_id?.business_name || '',
               business_type: c.check_in_id?.business_id?.business_type || '',
@@ -715,7 +796,7 @@ router.get(
               assigned_officer: c.assigned_officer_id?.name || '',
               evidence_urls: (evidenceMap[c._id.toString()] || []).map((u) => `http://localhost:4000${u}`).join('|'),
             }));
-            fields = ['case_number', 'case_type', 'status', 'description', 'fine', 'payment_status', 'payment_amount', 'payment_date', 'business_name', 'business_type', 'owner_name', 'business_id', 'business_tax_id', 'phone', 'assigned_officer', 'evidence_urls', 'created_at'];
+            fields = ['case_number', 'case_type', 'status', 'description', 'fine', 'currency', 'penalties', 'payment_status', 'payment_amount', 'outstanding_balance', 'payment_date', 'business_name', 'business_type', 'owner_name', 'business_id', 'business_tax_id', 'phone', 'assigned_officer', 'evidence_urls', 'created_at'];
             break;
           case 'cases-summary':
             data = await CaseModel.aggregate([
@@ -733,6 +814,12 @@ router.get(
             ]);
             fields = ['status', 'count'];
             break;
+          case 'revenue': {
+            const ledger = await getRevenueLedger({ start, end });
+            data = ledger.lines;
+            fields = ['date', 'type', 'case_number', 'currency', 'amount', 'base_amount', 'cash_effect', 'fine_effect', 'method', 'reference', 'approved_by', 'reason'];
+            break;
+          }
           default:
             throw new Error('Invalid report type');
         }
@@ -751,16 +838,18 @@ router.post(
   requireRole(['admin']),
   async (req, res, next) => {
     try {
-      const { email, report_type, format = 'excel', cron: cronExp, filters = {} } = req.body;
+      const { email, report_type, format = 'excel', cron: cronExp, filters = {}, saved_search_id } = req.body;
       if (!email || !report_type || !cronExp) {
         return res.status(400).json({ message: 'email, report_type, cron are required' });
       }
+      if (saved_search_id) await findVisibleSavedSearch(saved_search_id, req.user);
       const schedule = await ReportScheduleModel.create({
         email,
         report_type,
         format,
         cron: cronExp,
         filters,
+        saved_search_id,
       });
       scheduleJob(schedule);
 
@@ -769,7 +858,7 @@ router.post(
         entity: 'report_schedule',
         entityId: schedule.id,
         userId: req.user?.sub,
-        details: { report_type, email, cron: cronExp },
+        details: { report_type, email, cron: cronExp, saved_search_id },
       });
 
       res.status(201).json(schedule);
@@ -785,7 +874,9 @@ router.get(
   requireRole(['admin']),
   async (_req, res, next) => {
     try {
-      const schedules = await ReportScheduleModel.find().sort({ createdAt: -1 });
+      const schedules = await ReportScheduleModel.find()
+        .populate('saved_search_id', 'name scope filters')
+        .sort({ createdAt: -1 });
       res.json(schedules);
     } catch (err) {
       next(err);
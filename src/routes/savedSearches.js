@@ -0,0 +1,133 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { SavedSearchModel, SavedSearchScopes } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  SavedSearchFilterSchema,
+  assertCanManageSavedSearch,
+  findVisibleSavedSearch,
+  resolveSavedSearchFilters,
+  resolveSavedSearchScope,
+  savedSearchVisibilityFilter,
+} from '../services/savedSearchService.js';
+
+const router = Router();
+
+// List the saved searches visible to the user
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { scope } = req.query;
+    const filter = await savedSearchVisibilityFilter(req.user);
+    if (scope) filter.scope = scope;
+
+    const searches = await SavedSearchModel.find(filter)
+      .populate('owner_id', 'name email')
+      .sort({ scope: 1, name: 1 })
+      .lean();
+    res.json(searches);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get a saved search with its filters resolved as they would run now
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const search = await findVisibleSavedSearch(req.params.id, req.user);
+    res.json({ ...search.toJSON(), resolved_filters: resolveSavedSearchFilters(search) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  scope: Joi.string()
+    .valid(...SavedSearchScopes)
+    .default('private'),
+  filters: SavedSearchFilterSchema.required(),
+});
+
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const teamSupervisorId = await resolveSavedSearchScope(value.scope, req.user);
+    const search = await SavedSearchModel.create({
+      ...value,
+      owner_id: req.user?.sub,
+      team_supervisor_id: teamSupervisorId,
+      updated_by: req.user?.sub,
+    });
+
+    await recordAudit({
+      action: 'create',
+      entity: 'saved_search',
+      entityId: search.id,
+      userId: req.user?.sub,
+      details: value,
+    });
+    res.status(201).json(search);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  scope: Joi.string().valid(...SavedSearchScopes),
+  filters: SavedSearchFilterSchema,
+}).min(1);
+
+// Update a saved search (owner or admin). New filters replace the old ones.
+router.put('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const search = await findVisibleSavedSearch(req.params.id, req.user);
+    assertCanManageSavedSearch(search, req.user);
+
+    if (value.scope && value.scope !== search.scope) {
+      search.team_supervisor_id = await resolveSavedSearchScope(value.scope, req.user);
+    }
+    Object.assign(search, value, { updated_by: req.user?.sub });
+    await search.save();
+
+    await recordAudit({
+      action: 'update',
+      entity: 'saved_search',
+      entityId: search.id,
+      userId: req.user?.sub,
+      details: value,
+    });
+    res.json(search);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const search = await findVisibleSavedSearch(req.params.id, req.user);
+    assertCanManageSavedSearch(search, req.user);
+    await search.deleteOne();
+
+    await recordAudit({
+      action: 'delete',
+      entity: 'saved_search',
+      entityId: search.id,
+      userId: req.user?.sub,
+      details: { name: search.name, scope: search.scope },
+    });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const savedSearchRoutes = router;
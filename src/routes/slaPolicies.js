@@ -0,0 +1,91 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { CaseTypes } from '../constants/enums.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { SlaPolicyModel, SlaStatuses } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+
+const router = Router();
+
+const keySchema = Joi.object({
+  case_type: Joi.string()
+    .valid(...CaseTypes)
+    .required(),
+  status: Joi.string()
+    .valid(...Object.keys(SlaStatuses))
+    .required(),
+});
+
+// List SLA policies
+router.get('/', requireAuth, async (_req, res, next) => {
+  try {
+    const policies = await SlaPolicyModel.find()
+      .populate('updated_by', 'name email')
+      .sort({ case_type: 1, status: 1 })
+      .lean();
+    res.json(policies.map((p) => ({ ...p, measures: SlaStatuses[p.status] })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+const upsertSchema = Joi.object({
+  hours: Joi.number().integer().min(1).required(),
+  active: Joi.boolean().default(true),
+});
+
+// Create or update the policy for a case type and status (admin only).
+// Applies to cases entering the status from now on.
+router.put('/:case_type/:status', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const { error: keyError, value: key } = keySchema.validate(req.params);
+    if (keyError) throw createError(400, keyError.message);
+    const { error, value } = upsertSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const policy = await SlaPolicyModel.findOneAndUpdate(
+      key,
+      { ...value, updated_by: req.user?.sub },
+      { new: true, upsert: true, runValidators: true },
+    );
+
+    await recordAudit({
+      action: 'upsert',
+      entity: 'sla_policy',
+      entityId: policy.id,
+      userId: req.user?.sub,
+      details: { ...key, ...value },
+    });
+
+    res.json(policy);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:case_type/:status', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const { error, value: key } = keySchema.validate(req.params);
+    if (error) throw createError(400, error.message);
+
+    const policy = await SlaPolicyModel.findOneAndDelete(key);
+    if (!policy) throw createError(404, 'SLA policy not found');
+
+    await recordAudit({
+      action: 'delete',
+      entity: 'sla_policy',
+      entityId: policy.id,
+      userId: req.user?.sub,
+      details: key,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const slaPolicyRoutes = router;
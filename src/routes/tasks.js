@@ -6,6 +6,7 @@ import { requireAuth } from '../middleware/auth.js';
 import { requireRole } from '../middleware/roles.js';
 import { TaskModel, CaseModel, UserModel } from '../models/index.js';
 import { recordAudit } from '../services/auditService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
 
 const router = Router();
 
@@ -20,10 +21,13 @@ const taskSchema = Joi.object({
   priority: Joi.string().valid('low', 'medium', 'high'),
 });
 
+const TaskSortFields = ['createdAt', 'updatedAt', 'due_date', 'status'];
+
 // List tasks with filters
 router.get('/', requireAuth, async (req, res, next) => {
   try {
     const { assigned_to, status, type, case_id } = req.query;
+    const listOptions = parseListQuery(req.query, { model: TaskModel, sortFields: TaskSortFields });
     const filter = {};
 
     // Regular users can only see their own tasks
@@ -37,14 +41,15 @@ router.get('/', requireAuth, async (req, res, next) => {
     if (type) filter.type = type;
     if (case_id) filter.case_id = case_id;
 
-    const tasks = await TaskModel.find(filter)
-      .populate('assigned_to', 'name email')
-      .populate('assigned_by', 'name email')
-      .populate('case_id', 'case_number')
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const result = await paginate(TaskModel, filter, listOptions, {
+      populate: (query) =>
+        query
+          .populate('assigned_to', 'name email')
+          .populate('assigned_by', 'name email')
+          .populate('case_id', 'case_number'),
+    });
 
-    res.json(tasks);
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+
+import { config } from '../config.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { recordAudit } from '../services/auditService.js';
+import { TrashEntities, purgeExpiredTrash, restoreRecord, trashFilter } from '../services/trashService.js';
+import { paginate, parseListQuery } from '../utils/pagination.js';
+
+const router = Router();
+
+// Trash of one entity: business, check_in, case, payment or evidence (admin only).
+// include_cascaded=true also lists the records that were deleted along with another one.
+router.get('/:entity', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const target = TrashEntities[req.params.entity];
+    if (!target) throw createError(400, `Unknown entity: ${req.params.entity}`);
+
+    const listOptions = parseListQuery(req.query, {
+      model: target.model,
+      sortFields: ['deletedAt'],
+      defaultSort: '-deletedAt',
+    });
+    const filter = trashFilter({ includeCascaded: req.query.include_cascaded === 'true' });
+    const result = await paginate(target.model, filter, listOptions, {
+      populate: (query) => query.select(`${target.select} deletedAt deletedBy deletedWith`).populate('deletedBy', 'name email'),
+    });
+
+    const purgeAfter = config.trash.retentionDays > 0 ? config.trash.retentionDays * 24 * 60 * 60 * 1000 : null;
+    result.data = result.data.map((record) => ({
+      ...record,
+      purge_at: purgeAfter ? new Date(new Date(record.deletedAt).getTime() + purgeAfter) : null,
+    }));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Restore a record and everything deleted with it (admin only)
+router.post('/:entity/:id/restore', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const restored = await restoreRecord(req.params.entity, req.params.id);
+    await recordAudit({
+      action: 'restore',
+      entity: req.params.entity,
+      entityId: req.params.id,
+      userId: req.user?.sub,
+      details: { restored },
+    });
+    res.json({ success: true, restored });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Purge records past the retention period now instead of waiting for the daily job (admin only)
+router.post('/purge', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const purged = await purgeExpiredTrash();
+    await recordAudit({
+      action: 'purge',
+      entity: 'trash',
+      userId: req.user?.sub,
+      details: { purged, retention_days: config.trash.retentionDays },
+    });
+    res.json({ success: true, retention_days: config.trash.retentionDays, purged });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const trashRoutes = router;
@@ -27,6 +27,7 @@ const createUserSchema = Joi.object({
   role: Joi.string().valid(...Roles).required(),
   status: Joi.string().valid(...UserStatus).default('active'),
   supervisor_id: Joi.string().hex().length(24).allow(null, ''),
+  district: Joi.string().trim().allow(null, ''),
 });
 
 const updateUserSchema = Joi.object({
@@ -36,6 +37,7 @@ const updateUserSchema = Joi.object({
   role: Joi.string().valid(...Roles),
   status: Joi.string().valid(...UserStatus),
   supervisor_id: Joi.string().hex().length(24).allow(null, ''),
+  district: Joi.string().trim().allow(null, ''),
 });
 
 // List all users with search, filter, pagination (admin only)
@@ -253,6 +255,7 @@ router.post('/', requireAuth, requireRole(['admin']), async (req, res, next) =>
         role: value.role,
         status: value.status || 'active',
         supervisor_id: value.supervisor_id || null,
+        district: value.district || undefined,
       });
     } catch (dbError) {
       // Handle MongoDB duplicate key error
@@ -303,11 +306,12 @@ router.put('/:id', requireAuth, async (req, res, next) => {
     const { error, value } = updateUserSchema.validate(req.body);
     if (error) throw createError(400, error.message);
 
-    // Non-admins can't change role, status, or supervisor
+    // Non-admins can't change role, status, supervisor or district
     if (!isAdmin) {
       delete value.role;
       delete value.status;
       delete value.supervisor_id;
+      delete value.district;
     }
 
     // Validate supervisor_id if provided
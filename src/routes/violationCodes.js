@@ -0,0 +1,142 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { CaseTypes, Currencies } from '../constants/enums.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { CaseModel, ViolationCodeModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+
+const router = Router();
+
+const checkFineRange = (value, helpers) => {
+  if (value.min_fine > value.default_fine || value.default_fine > value.max_fine) {
+    return helpers.message('Fines must satisfy min_fine <= default_fine <= max_fine');
+  }
+  return value;
+};
+
+// List violation codes
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const { case_type, active } = req.query;
+    const filter = {};
+    if (case_type) filter.case_type = case_type;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const codes = await ViolationCodeModel.find(filter).sort({ case_type: 1, code: 1 }).lean();
+    res.json(codes);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:code', requireAuth, async (req, res, next) => {
+  try {
+    const code = await ViolationCodeModel.findOne({ code: req.params.code.toUpperCase() }).lean();
+    if (!code) throw createError(404, 'Violation code not found');
+    res.json(code);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createSchema = Joi.object({
+  code: Joi.string().trim().max(32).required(),
+  description: Joi.string().required(),
+  case_type: Joi.string()
+    .valid(...CaseTypes)
+    .required(),
+  min_fine: Joi.number().min(0).required(),
+  default_fine: Joi.number().min(0).required(),
+  max_fine: Joi.number().min(0).required(),
+  currency: Joi.string()
+    .valid(...Currencies)
+    .default('USD'), // Currency of the fine schedule
+  active: Joi.boolean().default(true),
+}).custom(checkFineRange);
+
+// Create violation code (admin only)
+router.post('/', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const exists = await ViolationCodeModel.exists({ code: value.code.toUpperCase() });
+    if (exists) throw createError(409, `Violation code ${value.code.toUpperCase()} already exists`);
+
+    const code = await ViolationCodeModel.create({ ...value, updated_by: req.user?.sub });
+    await recordAudit({
+      action: 'create',
+      entity: 'violation_code',
+      entityId: code.id,
+      userId: req.user?.sub,
+      details: value,
+    });
+    res.status(201).json(code);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateSchema = Joi.object({
+  description: Joi.string(),
+  case_type: Joi.string().valid(...CaseTypes),
+  min_fine: Joi.number().min(0),
+  default_fine: Joi.number().min(0),
+  max_fine: Joi.number().min(0),
+  currency: Joi.string().valid(...Currencies),
+  active: Joi.boolean(),
+}).min(1);
+
+// Update violation code (admin only). The code itself cannot change because cases reference it,
+// and neither can its case type once a case uses it.
+router.put('/:code', requireAuth, requireRole(['admin']), async (req, res, next) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const code = await ViolationCodeModel.findOne({ code: req.params.code.toUpperCase() });
+    if (!code) throw createError(404, 'Violation code not found');
+    if (value.case_type && value.case_type !== code.case_type) {
+      // Cases in the trash count too: they would come back with a mismatched code
+      const used = await CaseModel.exists({ violation_codes: code.code }).setOptions({
+        withDeleted: true,
+      });
+      if (used) {
+        throw createError(
+          409,
+          `Violation code ${code.code} is used on cases; create a new code for ${value.case_type} cases`,
+        );
+      }
+    }
+
+    const before = code.toObject();
+    Object.assign(code, value, { updated_by: req.user?.sub });
+    await code.save(); // Model validation re-checks the fine range
+
+    await recordAudit({
+      action: 'update',
+      entity: 'violation_code',
+      entityId: code.id,
+      userId: req.user?.sub,
+      details: {
+        changes: value,
+        previous: {
+          min_fine: before.min_fine,
+          default_fine: before.default_fine,
+          max_fine: before.max_fine,
+          currency: before.currency,
+          active: before.active,
+        },
+      },
+    });
+    res.json(code);
+  } catch (err) {
+    if (err.name === 'ValidationError') return next(createError(400, err.message));
+    next(err);
+  }
+});
+
+export const violationCodeRoutes = router;
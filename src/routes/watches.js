@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { requireAuth } from '../middleware/auth.js';
+import { requireRole } from '../middleware/roles.js';
+import { BusinessModel, CaseModel, WatchEntities, WatchModel } from '../models/index.js';
+import { recordAudit } from '../services/auditService.js';
+import { unwatchEntity, watchEntity } from '../services/watchService.js';
+
+const router = Router();
+
+const WatchTargets = {
+  case: { model: CaseModel, select: 'case_number case_type status' },
+  business: { model: BusinessModel, select: 'business_name business_id' },
+};
+
+const targetSchema = Joi.object({
+  entity: Joi.string()
+    .valid(...WatchEntities)
+    .required(),
+  entity_id: Joi.string().hex().length(24).required(),
+});
+
+// List what the current user is watching
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const watches = await WatchModel.find({ user_id: req.user?.sub }).sort({ createdAt: -1 }).lean();
+
+    // Attach a summary of each watched case or business
+    const summaries = {};
+    for (const entity of WatchEntities) {
+      const ids = watches.filter((w) => w.entity === entity).map((w) => w.entity_id);
+      if (ids.length === 0) continue;
+      const { model, select } = WatchTargets[entity];
+      const docs = await model.find({ _id: { $in: ids } }).select(select).lean();
+      docs.forEach((doc) => {
+        summaries[`${entity}:${doc._id}`] = doc;
+      });
+    }
+
+    res.json(watches.map((w) => ({ ...w, target: summaries[`${w.entity}:${w.entity_id}`] || null })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Watchers of a case or business
+router.get('/:entity/:entityId', requireAuth, requireRole(['supervisor', 'admin']), async (req, res, next) => {
+  try {
+    const { error } = targetSchema.validate({ entity: req.params.entity, entity_id: req.params.entityId });
+    if (error) throw createError(400, error.message);
+
+    const watchers = await WatchModel.find({ entity: req.params.entity, entity_id: req.params.entityId })
+      .populate('user_id', 'name email role')
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json(watchers);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Watch a case or business
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const { error, value } = targetSchema.validate(req.body);
+    if (error) throw createError(400, error.message);
+
+    const exists = await WatchTargets[value.entity].model.exists({ _id: value.entity_id });
+    if (!exists) throw createError(404, `${value.entity === 'case' ? 'Case' : 'Business'} not found`);
+
+    const watch = await watchEntity(req.user?.sub, value.entity, value.entity_id);
+    await recordAudit({
+      action: 'watch',
+      entity: value.entity,
+      entityId: value.entity_id,
+      userId: req.user?.sub,
+    });
+    res.status(201).json(watch);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Stop watching a case or business
+router.delete('/:entity/:entityId', requireAuth, async (req, res, next) => {
+  try {
+    const { error } = targetSchema.validate({ entity: req.params.entity, entity_id: req.params.entityId });
+    if (error) throw createError(400, error.message);
+
+    const removed = await unwatchEntity(req.user?.sub, req.params.entity, req.params.entityId);
+    if (!removed) throw createError(404, 'You are not watching this');
+
+    await recordAudit({
+      action: 'unwatch',
+      entity: req.params.entity,
+      entityId: req.params.entityId,
+      userId: req.user?.sub,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export const watchRoutes = router;
@@ -0,0 +1,99 @@
+import createError from 'http-errors';
+
+import { AppealModel, UserModel } from '../models/index.js';
+import { transitionCase } from './caseLifecycleService.js';
+import { settleCaseBalance } from './paymentService.js';
+
+// Decisions that can be appealed: a fine, or a guilty verdict with a comeback
+export const AppealableStatuses = ['Fined', 'PendingComeback'];
+
+export const OpenAppealStatuses = ['pending', 'under_review'];
+
+/**
+ * The user who made the decision under appeal: whoever last moved the case into its current status
+ */
+export const getDecisionMaker = (caseItem) => {
+  const entry = [...(caseItem.status_history || [])].reverse().find((h) => h.to === caseItem.status);
+  return entry?.changed_by || null;
+};
+
+/**
+ * Throw if the case cannot be appealed right now
+ */
+export const assertAppealable = async (caseItem) => {
+  if (!AppealableStatuses.includes(caseItem.status)) {
+    throw createError(409, `Only ${AppealableStatuses.join(' or ')} decisions can be appealed (case is ${caseItem.status})`);
+  }
+  const open = await AppealModel.exists({ case_id: caseItem._id, status: { $in: OpenAppealStatuses } });
+  if (open) {
+    throw createError(409, 'Case already has an outstanding appeal');
+  }
+};
+
+/**
+ * Validate an appeal reviewer: an active supervisor or admin who did not make the original decision
+ */
+export const assertValidAppealReviewer = async (reviewerId, appeal) => {
+  if (appeal.decided_by_original && String(appeal.decided_by_original) === String(reviewerId)) {
+    throw createError(400, 'The original decision-maker cannot review the appeal');
+  }
+  const reviewer = await UserModel.findById(reviewerId).select('role status');
+  if (!reviewer || reviewer.status !== 'active') {
+    throw createError(400, 'Reviewer not found or inactive');
+  }
+  if (!['supervisor', 'admin'].includes(reviewer.role)) {
+    throw createError(400, 'Reviewer must be a supervisor or admin');
+  }
+  return reviewer;
+};
+
+/**
+ * Apply an appeal outcome to the appeal and its case. The caller saves both documents.
+ * - upheld: the case is unchanged
+ * - fine_reduced: the fine is lowered; verified payments that cover the lower fine make it paid
+ * - overturned: the case becomes NotGuilty and no payment is due
+ * @param {Document} appeal - Appeal document
+ * @param {Document} caseItem - Case document
+ * @param {Object} decision - { outcome, revised_fine_amount, notes }
+ * @param {string} actorId - Reviewer deciding the appeal
+ */
+export const decideAppeal = (appeal, caseItem, { outcome, revised_fine_amount, notes }, actorId) => {
+  if (!OpenAppealStatuses.includes(appeal.status)) {
+    throw createError(409, `Appeal is already ${appeal.status}`);
+  }
+
+  switch (outcome) {
+    case 'upheld':
+      break;
+    case 'fine_reduced':
+      if (!(revised_fine_amount < (caseItem.fine_amount || 0))) {
+        throw createError(400, `Revised fine must be lower than the current fine (${caseItem.fine_amount || 0})`);
+      }
+      caseItem.fine_amount = revised_fine_amount;
+      // Payments already verified may now cover the lower fine
+      settleCaseBalance(caseItem, {
+        paidAmount: caseItem.payment_amount || 0,
+        hasPending: caseItem.payment_status === 'pending_verification',
+      });
+      caseItem.lastActivityAt = new Date();
+      break;
+    case 'overturned':
+      transitionCase(caseItem, 'NotGuilty', { fine_amount: 0 }, { actorId, reason: notes || 'Overturned on appeal' });
+      // Late-payment penalties fall with the fine
+      caseItem.penalties = [];
+      caseItem.penalty_amount = 0;
+      break;
+    default:
+      throw createError(400, `Unknown appeal outcome: ${outcome}`);
+  }
+
+  appeal.status = 'decided';
+  appeal.outcome = outcome;
+  appeal.revised_fine_amount = outcome === 'fine_reduced' ? revised_fine_amount : undefined;
+  appeal.outcome_notes = notes;
+  appeal.decided_by = actorId;
+  appeal.decided_at = new Date();
+  caseItem.appeal_pending = false;
+
+  return appeal;
+};
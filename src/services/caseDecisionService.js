@@ -0,0 +1,105 @@
+import createError from 'http-errors';
+
+import { recordAudit } from './auditService.js';
+import { assertTransition, transitionCase } from './caseLifecycleService.js';
+import { addCaseComment } from './commentService.js';
+import { assertCanReviewEscalation } from './escalationService.js';
+import { createEscalationReturnedNotification } from './notificationService.js';
+import { applyRecidivism } from './recidivismService.js';
+import { resolveFineAmount } from './violationService.js';
+
+// Assessment decisions and the status each one moves the case to
+export const CaseDecisions = {
+  not_guilty: 'NotGuilty',
+  guilty_fine: 'Fined',
+  guilty_comeback: 'PendingComeback',
+};
+
+/**
+ * Decide the fine for a case moving to Fined: checked against the statutory
+ * schedule of its violation codes, then escalated for repeat offenders.
+ * @param {Document} caseItem - Case document
+ * @param {Object} fine - { fine_amount, currency, override_reason }
+ * @returns {Promise<{ fields: Object, details: Object, priorOffences: Array }>} Case fields to set and audit details
+ */
+export const resolveCaseFine = async (caseItem, { fine_amount, currency, override_reason }) => {
+  const fine = await resolveFineAmount(caseItem, fine_amount, override_reason, currency);
+  const repeat = await applyRecidivism(caseItem, fine.fine_amount, fine.schedule, fine.override);
+
+  const fields = {
+    fine_amount: repeat.fine_amount,
+    fine_override_reason: fine.override ? override_reason : null,
+    recidivism: repeat.recidivism,
+  };
+  if (currency) fields.currency = currency;
+
+  const details = {
+    fine_amount: repeat.fine_amount,
+    currency: currency || caseItem.currency,
+    base_fine: fine.fine_amount,
+    repeat_offender_tier: repeat.recidivism.tier,
+  };
+  if (fine.schedule) details.suggested_fine = fine.schedule.suggested_fine;
+  if (fine.override) details.override_reason = override_reason;
+
+  return { fields, details, priorOffences: repeat.prior_offences };
+};
+
+/**
+ * Apply an assessment decision to a case: transition it (fines are checked
+ * against the statutory schedule and escalated for repeat offenders), save it, record
+ * the decision notes as a comment, audit it, and tell the escalating officer
+ * if the case was escalated.
+ * @param {Document} caseItem - Case document
+ * @param {Object} decision - { decision, fine_amount, currency, override_reason, comeback_date, notes }
+ * @param {Object} user - req.user
+ * @param {Object} auditDetails - Extra details for the audit entry
+ * @returns {Promise<{ caseItem: Document, priorOffences: Array }>} Prior offences are only looked up for fines
+ */
+export const applyCaseDecision = async (
+  caseItem,
+  { decision, fine_amount, currency, override_reason, comeback_date, notes },
+  user,
+  auditDetails = {},
+) => {
+  const status = CaseDecisions[decision];
+  if (!status) throw createError(400, `Unknown decision: ${decision}`);
+
+  assertCanReviewEscalation(caseItem, user);
+  assertTransition(caseItem, status);
+  const fromStatus = caseItem.status;
+
+  let fields = {};
+  let details = { status, decision };
+  let priorOffences = [];
+  if (status === 'Fined') {
+    const fine = await resolveCaseFine(caseItem, { fine_amount, currency, override_reason });
+    fields = fine.fields;
+    details = { ...details, ...fine.details };
+    priorOffences = fine.priorOffences;
+  }
+  if (status === 'PendingComeback') {
+    fields.comeback_date = comeback_date ? new Date(comeback_date) : undefined;
+    details.comeback_date = comeback_date;
+  }
+
+  transitionCase(caseItem, status, fields, { actorId: user?.sub, reason: notes });
+  await caseItem.save();
+  if (notes) {
+    await addCaseComment(caseItem, { authorId: user?.sub, body: notes, kind: 'decision' });
+  }
+
+  await recordAudit({
+    action: 'update',
+    entity: 'case',
+    entityId: caseItem.id,
+    userId: user?.sub,
+    details: { ...details, ...auditDetails },
+  });
+
+  if (fromStatus === 'Escalated') {
+    await createEscalationReturnedNotification(caseItem, status, notes);
+  }
+
+  return { caseItem, priorOffences };
+};
@@ -0,0 +1,158 @@
+/**
+ * Case Lifecycle Service
+ *
+ * Single source of truth for case status changes: which transitions are
+ * allowed, which fields each transition requires, and the fields a
+ * transition stamps on the case. Routes must not assign `status` directly.
+ */
+
+import createError from 'http-errors';
+
+import { CaseStatus } from '../constants/enums.js';
+import { settleCaseBalance } from './paymentService.js';
+
+/**
+ * Allowed transitions, keyed by current status
+ */
+export const CaseTransitions = {
+  UnderAssessment: ['Fined', 'PendingComeback', 'NotGuilty', 'Escalated'],
+  Escalated: ['UnderAssessment', 'Fined', 'PendingComeback', 'NotGuilty'],
+  PendingComeback: ['Resolved', 'Fined', 'Escalated', 'NotGuilty'], // NotGuilty when overturned on appeal
+  Guilty: ['Fined', 'PendingComeback', 'Resolved'],
+  Fined: ['Resolved', 'Escalated', 'NotGuilty'],
+  NotGuilty: [],
+  Resolved: [],
+};
+
+const ResolvedStatuses = ['Resolved', 'NotGuilty'];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Whether nothing is left to collect on a case: no fine, or the fine (and penalties) paid or waived
+ */
+export const isFineSettled = (caseItem) =>
+  !(caseItem.fine_amount > 0) || ['paid', 'not_applicable'].includes(caseItem.payment_status);
+
+// Fields a transition cannot happen without (either supplied with the change or already on the case)
+const TransitionRequirements = {
+  Fined: {
+    fine_amount: (value, caseItem) => hasValue(value) || caseItem.fine_amount > 0,
+  },
+  PendingComeback: {
+    comeback_date: (value, caseItem) => hasValue(value) || hasValue(caseItem.comeback_date),
+  },
+  // A fined case is only resolved once its fine is paid in full or waived
+  Resolved: {
+    paid_fine: (value, caseItem) => isFineSettled(caseItem),
+  },
+};
+
+// Cases created before the lifecycle existed were stored as 'Open'
+const normalizeStatus = (status) => (status === 'Open' ? 'UnderAssessment' : status);
+
+/**
+ * Check whether a case may move from one status to another
+ */
+export const canTransition = (from, to) => {
+  return (CaseTransitions[normalizeStatus(from)] || []).includes(to);
+};
+
+/**
+ * Throw a 409 if the case cannot move to the target status
+ */
+export const assertTransition = (caseItem, to) => {
+  if (!CaseStatus.includes(to)) {
+    throw createError(400, `Unknown case status: ${to}`);
+  }
+  const from = normalizeStatus(caseItem.status);
+  if (!canTransition(from, to)) {
+    const allowed = CaseTransitions[from] || [];
+    throw createError(
+      409,
+      `Cannot change case status from ${from} to ${to}` +
+        (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is a final status)`),
+    );
+  }
+};
+
+/**
+ * Move a case to a new status.
+ * Validates the transition and its required fields, applies `fields` to the
+ * case, stamps the lifecycle side effects and appends a status history
+ * entry. The caller saves the document.
+ * @param {Document} caseItem - Case document (not lean)
+ * @param {string} to - Target status
+ * @param {Object} fields - Field values supplied with the change (e.g. fine_amount)
+ * @param {Object} options - { actorId, reason } recorded in the status history
+ * @returns {{ from: string, to: string }}
+ */
+export const transitionCase = (caseItem, to, fields = {}, { actorId, reason } = {}) => {
+  assertTransition(caseItem, to);
+  const from = normalizeStatus(caseItem.status);
+
+  const requirements = TransitionRequirements[to] || {};
+  const missing = Object.entries(requirements)
+    .filter(([field, isSatisfied]) => !isSatisfied(fields[field], caseItem))
+    .map(([field]) => field);
+  if (missing.length > 0) {
+    throw createError(400, `${missing.join(', ')} required to move a case to ${to}`);
+  }
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value !== undefined) caseItem[field] = value;
+  });
+
+  const now = new Date();
+  caseItem.status = to;
+  caseItem.statusChangedAt = now;
+  caseItem.lastActivityAt = now;
+
+  if (ResolvedStatuses.includes(to)) {
+    caseItem.resolvedAt = now;
+  }
+
+  switch (to) {
+    case 'NotGuilty':
+      caseItem.result = 'Pass';
+      caseItem.payment_status = 'not_applicable'; // No payment required for NotGuilty
+      break;
+    case 'Fined':
+      caseItem.result = 'Fail';
+      // Measured against the fine it is now given: a higher fine reopens a paid case
+      settleCaseBalance(caseItem, {
+        paidAmount: caseItem.payment_amount || 0,
+        hasPending: caseItem.payment_status === 'pending_verification',
+        paidAt: caseItem.payment_date,
+      });
+      break;
+    case 'PendingComeback':
+      caseItem.result = 'Fail';
+      caseItem.comeback_notification_sent = false;
+      break;
+    case 'Resolved':
+      if (!caseItem.fine_amount) {
+        caseItem.payment_status = 'not_applicable';
+      }
+      break;
+    default:
+      break;
+  }
+
+  // Leaving Escalated closes the open escalation with the reviewer's outcome
+  if (from === 'Escalated' && caseItem.escalation && !caseItem.escalation.resolved_at) {
+    caseItem.escalation.resolved_at = now;
+    caseItem.escalation.outcome = to;
+    caseItem.escalation.outcome_notes = reason || undefined;
+  }
+
+  caseItem.status_history.push({
+    from,
+    to,
+    changed_by: actorId,
+    changed_at: now,
+    reason: reason || undefined,
+  });
+
+  return { from, to };
+};
@@ -1,14 +1,15 @@
-import { CaseModel, CheckInModel } from '../models/index.js';
-import { generateCaseNumber } from '../utils/caseNumber.js';
-
-export const nextCaseNumber = async (date = new Date()) => {
-  const start = new Date(date);
-  start.setHours(0, 0, 0, 0);
-  const end = new Date(date);
-  end.setHours(23, 59, 59, 999);
-  const count = await CaseModel.countDocuments({ createdAt: { $gte: start, $lte: end } });
-  return generateCaseNumber(date, count + 1);
-};
+import createError from 'http-errors';
+import { Types } from 'mongoose';
+
+import { BusinessModel, CheckInModel, UserModel } from '../models/index.js';
+import { recordAudit } from './auditService.js';
+import { notifyCaseWatchers } from './notificationService.js';
+import { nextSequenceValue } from './sequenceService.js';
+
+/**
+ * Next case number for the given date (CASE-YYYYMMDD-XXXX by default, see config.sequences)
+ */
+export const nextCaseNumber = async (date = new Date()) => nextSequenceValue('case', date);
 
 export const assertCheckInExists = async (checkInId) => {
   const exists = await CheckInModel.exists({ _id: checkInId });
@@ -17,3 +18,128 @@ export const assertCheckInExists = async (checkInId) => {
   }
 };
 
+/**
+ * Build the case query for the shared case filters (GET /cases, report exports, saved searches).
+ * Business filters are resolved to check-in IDs; IDs are cast so the result also works in $match.
+ * @param {Object} params - { status, case_type, assigned_officer_id, business_name, business_type,
+ *   business_search, overdue, start, end }
+ * @returns {Promise<Object>} Mongo filter for CaseModel
+ */
+export const buildCaseFilter = async ({
+  status,
+  case_type,
+  assigned_officer_id,
+  business_name,
+  business_type,
+  business_search,
+  overdue,
+  start,
+  end,
+} = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (case_type) filter.case_type = case_type;
+  if (assigned_officer_id) {
+    if (!Types.ObjectId.isValid(String(assigned_officer_id))) throw createError(400, 'Invalid assigned_officer_id');
+    filter.assigned_officer_id = new Types.ObjectId(String(assigned_officer_id));
+  }
+
+  // Overdue only applies to PendingComeback cases
+  if ((overdue === true || overdue === 'true') && status === 'PendingComeback') {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    filter.comeback_date = { $lt: today };
+  }
+
+  const businessFilter = {};
+  if (business_name) businessFilter.business_name = { $regex: business_name, $options: 'i' };
+  if (business_type) businessFilter.business_type = { $regex: business_type, $options: 'i' };
+  if (business_search) {
+    businessFilter.$or = [
+      { business_name: { $regex: business_search, $options: 'i' } },
+      { business_type: { $regex: business_search, $options: 'i' } },
+    ];
+  }
+  if (Object.keys(businessFilter).length > 0) {
+    const businessIds = await BusinessModel.find(businessFilter).distinct('_id');
+    const checkInIds = await CheckInModel.find({ business_id: { $in: businessIds } }).distinct('_id');
+    filter.check_in_id = { $in: checkInIds };
+  }
+
+  if (start || end) {
+    filter.createdAt = {};
+    if (start) filter.createdAt.$gte = new Date(String(start));
+    if (end) filter.createdAt.$lte = new Date(String(end));
+  }
+
+  return filter;
+};
+
+/**
+ * IDs (as strings) of the officers supervised by a user
+ */
+export const getSupervisedOfficerIds = async (supervisorId) => {
+  const officers = await UserModel.find({ supervisor_id: supervisorId }).select('_id');
+  return officers.map((o) => o._id.toString());
+};
+
+/**
+ * Supervisors may only act on cases assigned to their own officers (admins are unrestricted)
+ * @param {Object} caseItem - Case
+ * @param {Object} user - req.user
+ * @param {string[]} officerIds - Result of getSupervisedOfficerIds for the user
+ */
+export const assertCaseInSupervisorScope = (caseItem, user, officerIds, action = 'reassign cases') => {
+  if (user.role !== 'supervisor') return;
+  if (caseItem.assigned_officer_id && !officerIds.includes(caseItem.assigned_officer_id.toString())) {
+    throw createError(403, `You can only ${action} from officers under your supervision`);
+  }
+};
+
+/**
+ * Reassign a case to another officer, enforcing supervisor scope. Saves the case and audits the change.
+ * @param {Document} caseItem - Case document
+ * @param {string} officerId - New assigned officer
+ * @param {Object} user - req.user
+ * @param {Object} options - { officerIds (supervisor scope, loaded if omitted), auditDetails }
+ */
+export const reassignCase = async (caseItem, officerId, user, { officerIds, auditDetails = {} } = {}) => {
+  if (user.role === 'supervisor') {
+    const scope = officerIds || (await getSupervisedOfficerIds(user.sub));
+
+    // Check if new officer is under this supervisor
+    if (!scope.includes(String(officerId))) {
+      throw createError(403, 'You can only reassign cases to officers under your supervision');
+    }
+
+    // Check if current officer is under this supervisor
+    assertCaseInSupervisorScope(caseItem, user, scope);
+  }
+
+  // Verify new officer exists
+  const newOfficer = await UserModel.findById(officerId);
+  if (!newOfficer) throw createError(400, 'Officer not found');
+
+  const oldOfficerId = caseItem.assigned_officer_id;
+  caseItem.assigned_officer_id = officerId;
+  caseItem.lastActivityAt = new Date();
+  await caseItem.save();
+
+  await recordAudit({
+    action: 'reassign',
+    entity: 'case',
+    entityId: caseItem.id,
+    userId: user.sub,
+    details: { from_officer: oldOfficerId, to_officer: officerId, ...auditDetails },
+  });
+
+  // The new officer is already subscribed by the save
+  await notifyCaseWatchers(caseItem, {
+    type: 'case_reassigned',
+    title: 'Case Reassigned',
+    message: `Case ${caseItem.case_number} was reassigned to ${newOfficer.name}.`,
+    actorId: user.sub,
+  });
+
+  return caseItem;
+};
@@ -0,0 +1,152 @@
+import { AppealModel, AuditLogModel, CaseModel, EvidenceModel, PaymentModel } from '../models/index.js';
+
+const actorOf = (user) => (user ? { id: user._id, name: user.name, email: user.email } : null);
+
+/**
+ * Build a chronological feed of everything that happened to a case:
+ * status changes, payments, evidence uploads, resolution papers, comeback visits, appeals and reassignments
+ * @param {string} caseId - Case ID
+ * @returns {Promise<Array|null>} Events sorted oldest first, or null if the case does not exist
+ */
+export const getCaseTimeline = async (caseId) => {
+  const caseItem = await CaseModel.findById(caseId)
+    .select('case_number createdAt assigned_officer_id status_history resolution_papers comeback_outcomes')
+    .populate('status_history.changed_by', 'name email')
+    .populate('comeback_outcomes.recorded_by', 'name email')
+    .populate('resolution_papers.officer_id', 'name email')
+    .lean();
+  if (!caseItem) return null;
+
+  const [payments, evidence, appeals, reassignments] = await Promise.all([
+    PaymentModel.find({ case_id: caseItem._id }).populate('verified_by', 'name email').lean(),
+    EvidenceModel.find({ case_id: caseItem._id }).populate('uploaded_by', 'name email').lean(),
+    AppealModel.find({ case_id: caseItem._id })
+      .populate('filed_by', 'name email')
+      .populate('decided_by', 'name email')
+      .lean(),
+    AuditLogModel.find({ entity: 'case', entityId: String(caseItem._id), action: 'reassign' })
+      .populate('user', 'name email')
+      .lean(),
+  ]);
+
+  const events = [
+    {
+      type: 'case_created',
+      timestamp: caseItem.createdAt,
+      actor: null,
+      details: { case_number: caseItem.case_number },
+    },
+  ];
+
+  (caseItem.status_history || []).forEach((entry) => {
+    events.push({
+      type: 'status_change',
+      timestamp: entry.changed_at,
+      actor: actorOf(entry.changed_by),
+      details: { from: entry.from, to: entry.to, reason: entry.reason || null },
+    });
+  });
+
+  payments.forEach((payment) => {
+    events.push({
+      type: 'payment_submitted',
+      timestamp: payment.createdAt,
+      actor: null,
+      details: {
+        payment_id: payment._id,
+        amount: payment.amount,
+        payment_method: payment.payment_method,
+        receipt_reference: payment.receipt_reference,
+      },
+    });
+    if (payment.verified_at && payment.status !== 'pending_verification') {
+      events.push({
+        type: payment.status === 'verified' ? 'payment_verified' : 'payment_rejected',
+        timestamp: payment.verified_at,
+        actor: actorOf(payment.verified_by),
+        details: { payment_id: payment._id, amount: payment.amount },
+      });
+    }
+  });
+
+  evidence.forEach((ev) => {
+    events.push({
+      type: 'evidence_uploaded',
+      timestamp: ev.uploaded_at,
+      actor: actorOf(ev.uploaded_by),
+      details: {
+        evidence_id: ev._id,
+        file_type: ev.file_type,
+        file_url: ev.file_url,
+        description: ev.description || null,
+      },
+    });
+  });
+
+  (caseItem.resolution_papers || []).forEach((paper) => {
+    events.push({
+      type: 'resolution_paper_uploaded',
+      timestamp: paper.uploaded_at,
+      actor: actorOf(paper.officer_id),
+      details: {
+        paper_id: paper._id,
+        paper_type: paper.paper_type,
+        file_url: paper.file_url,
+        confirmed_date: paper.confirmed_date || null,
+      },
+    });
+  });
+
+  (caseItem.comeback_outcomes || []).forEach((outcome) => {
+    events.push({
+      type: 'comeback_outcome',
+      timestamp: outcome.recorded_at,
+      actor: actorOf(outcome.recorded_by),
+      details: {
+        scheduled_date: outcome.scheduled_date || null,
+        showed_up: outcome.showed_up,
+        action: outcome.action,
+        new_comeback_date: outcome.new_comeback_date || null,
+        notes: outcome.notes || null,
+      },
+    });
+  });
+
+  appeals.forEach((appeal) => {
+    events.push({
+      type: 'appeal_filed',
+      timestamp: appeal.createdAt,
+      actor: actorOf(appeal.filed_by),
+      details: { appeal_id: appeal._id, decision_status: appeal.decision_status, grounds: appeal.grounds },
+    });
+    if (appeal.decided_at) {
+      events.push({
+        type: appeal.status === 'withdrawn' ? 'appeal_withdrawn' : 'appeal_decided',
+        timestamp: appeal.decided_at,
+        actor: actorOf(appeal.decided_by),
+        details: {
+          appeal_id: appeal._id,
+          outcome: appeal.outcome || null,
+          revised_fine_amount: appeal.revised_fine_amount ?? null,
+          notes: appeal.outcome_notes || null,
+        },
+      });
+    }
+  });
+
+  reassignments.forEach((log) => {
+    events.push({
+      type: 'reassignment',
+      timestamp: log.createdAt,
+      actor: actorOf(log.user),
+      details: {
+        from_officer: log.details?.from_officer || null,
+        to_officer: log.details?.to_officer || null,
+      },
+    });
+  });
+
+  return events
+    .filter((event) => event.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
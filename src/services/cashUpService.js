@@ -0,0 +1,290 @@
+/**
+ * Cash-up Service
+ *
+ * Daily cash custody for officers collecting cash fines. Each officer declares
+ * the cash they collected on a day; the declaration is compared with the cash
+ * payments attributed to them that day, and finance records the bank deposit.
+ * Any difference stays open as a discrepancy until the officer's supervisor signs it off.
+ * Amounts are in the base currency: cash taken in other currencies counts at the
+ * base amount recorded when it was paid.
+ */
+
+import createError from 'http-errors';
+import { Types } from 'mongoose';
+
+import { config } from '../config.js';
+import { CashUpModel, PaymentModel, UserModel } from '../models/index.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+// Payments from before currencies were tracked have no separate base amount
+const baseAmountOf = (payment) => payment.base_amount ?? payment.amount;
+
+/**
+ * Start and end of the day a date falls on
+ */
+export const dayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Cash payments attributed to an officer on a day (rejected payments excluded)
+ * @returns {Promise<{ amount: number, currency: string, by_currency: Object, payments: Array }>}
+ *   amount is in the base currency; by_currency is the cash to count per currency
+ */
+export const getExpectedCash = async (officerId, date) => {
+  const { start, end } = dayRange(date);
+  const payments = await PaymentModel.find({
+    collected_by: officerId,
+    payment_method: 'cash',
+    status: { $ne: 'rejected' },
+    payment_date: { $gte: start, $lte: end },
+  })
+    .select('case_id amount currency base_amount payment_date receipt_reference status')
+    .populate('case_id', 'case_number')
+    .sort({ payment_date: 1 })
+    .lean();
+
+  const byCurrency = {};
+  payments.forEach((p) => {
+    const currency = p.currency || 'USD';
+    byCurrency[currency] = roundMoney((byCurrency[currency] || 0) + p.amount);
+  });
+  return {
+    amount: roundMoney(payments.reduce((sum, p) => sum + baseAmountOf(p), 0)),
+    currency: config.currency.base,
+    by_currency: byCurrency,
+    payments,
+  };
+};
+
+// Refresh expected cash and variances, and open or clear the discrepancy
+const evaluateCashUp = async (cashUp) => {
+  const expected = await getExpectedCash(cashUp.officer_id, cashUp.business_date);
+  cashUp.expected_amount = expected.amount;
+  cashUp.payment_ids = expected.payments.map((p) => p._id);
+  cashUp.variance = roundMoney(cashUp.declared_amount - expected.amount);
+  cashUp.deposit_variance = cashUp.deposit ? roundMoney(cashUp.deposit.amount - cashUp.declared_amount) : undefined;
+
+  const balanced = cashUp.variance === 0 && (cashUp.deposit_variance || 0) === 0;
+  if (balanced) {
+    cashUp.discrepancy_status = 'none';
+  } else if (cashUp.discrepancy_status !== 'signed_off') {
+    cashUp.discrepancy_status = 'open';
+  }
+
+  if (cashUp.deposit) {
+    cashUp.status = cashUp.discrepancy_status === 'open' ? 'deposited' : 'closed';
+  }
+  return cashUp;
+};
+
+const clearSignOff = (cashUp) => {
+  cashUp.discrepancy_status = 'none';
+  cashUp.signed_off_by = undefined;
+  cashUp.signed_off_at = undefined;
+  cashUp.sign_off_notes = undefined;
+};
+
+/**
+ * Declare (or correct, until finance records the deposit) an officer's cash for a day
+ * @returns {Promise<Document>} The cash-up
+ */
+export const declareCashUp = async ({ officerId, date, amount, notes }) => {
+  const { start } = dayRange(date);
+  if (start > new Date()) throw createError(400, 'Cannot declare cash for a future day');
+
+  let cashUp = await CashUpModel.findOne({ officer_id: officerId, business_date: start });
+  if (cashUp && cashUp.status !== 'declared') {
+    throw createError(409, 'The deposit for this day is already recorded; the declaration can no longer change');
+  }
+  if (!cashUp) {
+    const officer = await UserModel.findById(officerId).select('district').lean();
+    cashUp = new CashUpModel({
+      officer_id: officerId,
+      business_date: start,
+      district: officer?.district,
+      currency: config.currency.base,
+    });
+  }
+
+  cashUp.declared_amount = amount;
+  cashUp.declared_at = new Date();
+  cashUp.declared_notes = notes;
+  // A corrected declaration needs a fresh sign-off
+  clearSignOff(cashUp);
+
+  await evaluateCashUp(cashUp);
+  await cashUp.save();
+  return cashUp;
+};
+
+/**
+ * Record the bank deposit for a cash-up (finance)
+ */
+export const recordCashUpDeposit = async (cashUp, { amount, reference, bank_name, deposited_at }, actorId) => {
+  if (cashUp.deposit) throw createError(409, 'The deposit for this cash-up is already recorded');
+
+  // A sign-off covers the declaration variance only; a deposit shortfall needs its own
+  if (cashUp.discrepancy_status === 'signed_off' && roundMoney(amount - cashUp.declared_amount) !== 0) {
+    clearSignOff(cashUp);
+  }
+  cashUp.deposit = {
+    amount,
+    reference,
+    bank_name,
+    deposited_at: deposited_at ? new Date(deposited_at) : new Date(),
+    recorded_by: actorId,
+    recorded_at: new Date(),
+  };
+  await evaluateCashUp(cashUp);
+  await cashUp.save();
+  return cashUp;
+};
+
+/**
+ * Accept an open discrepancy: the officer's supervisor, or an admin
+ */
+export const signOffCashUpDiscrepancy = async (cashUp, { notes }, user) => {
+  if (cashUp.discrepancy_status !== 'open') throw createError(409, 'Cash-up has no open discrepancy');
+  if (String(cashUp.officer_id) === String(user?.sub)) {
+    throw createError(403, 'Officers cannot sign off their own discrepancies');
+  }
+  if (user?.role !== 'admin') {
+    const officer = await UserModel.findById(cashUp.officer_id).select('supervisor_id').lean();
+    if (String(officer?.supervisor_id) !== String(user?.sub)) {
+      throw createError(403, "Only the officer's supervisor or an admin can sign off this discrepancy");
+    }
+  }
+
+  cashUp.discrepancy_status = 'signed_off';
+  cashUp.signed_off_by = user.sub;
+  cashUp.signed_off_at = new Date();
+  cashUp.sign_off_notes = notes;
+  if (cashUp.deposit) cashUp.status = 'closed';
+  await cashUp.save();
+  return cashUp;
+};
+
+/**
+ * Cash-up position of every officer who collected or declared cash on a day,
+ * including officers who collected cash but have not declared it
+ * @param {Date} date - Day of the report
+ * @param {Object} options - { officerIds } to limit the report (and its totals) to some officers
+ */
+export const getDailyCashUpReport = async (date, { officerIds: only } = {}) => {
+  const { start, end } = dayRange(date);
+  const scope = only ? only.map((id) => new Types.ObjectId(String(id))) : null;
+  const [collected, cashUps] = await Promise.all([
+    PaymentModel.aggregate([
+      {
+        $match: {
+          payment_method: 'cash',
+          status: { $ne: 'rejected' },
+          collected_by: scope ? { $in: scope } : { $ne: null },
+          payment_date: { $gte: start, $lte: end },
+        },
+      },
+      {
+        $group: {
+          _id: '$collected_by',
+          expected: { $sum: { $ifNull: ['$base_amount', '$amount'] } },
+          payments: { $sum: 1 },
+        },
+      },
+    ]),
+    CashUpModel.find({ business_date: start, ...(scope ? { officer_id: { $in: scope } } : {}) }).lean(),
+  ]);
+
+  const officerIds = [...new Set([...collected.map((c) => String(c._id)), ...cashUps.map((c) => String(c.officer_id))])];
+  const officers = await UserModel.find({ _id: { $in: officerIds } }).select('name email district').lean();
+  const officerById = Object.fromEntries(officers.map((o) => [String(o._id), o]));
+  const cashUpByOfficer = Object.fromEntries(cashUps.map((c) => [String(c.officer_id), c]));
+  const collectedByOfficer = Object.fromEntries(collected.map((c) => [String(c._id), c]));
+
+  const rows = officerIds.map((id) => {
+    const cashUp = cashUpByOfficer[id];
+    const expected = roundMoney(collectedByOfficer[id]?.expected || 0);
+    return {
+      officer_id: id,
+      officer_name: officerById[id]?.name,
+      district: cashUp?.district || officerById[id]?.district || null,
+      cash_up_id: cashUp?._id || null,
+      payments: collectedByOfficer[id]?.payments || 0,
+      expected_amount: expected,
+      declared_amount: cashUp ? cashUp.declared_amount : null,
+      deposited_amount: cashUp?.deposit?.amount ?? null,
+      variance: cashUp ? roundMoney(cashUp.declared_amount - expected) : null,
+      status: cashUp?.status || 'not_declared',
+      discrepancy_status: cashUp?.discrepancy_status || null,
+    };
+  });
+  rows.sort((a, b) => String(a.district || '').localeCompare(String(b.district || '')) || String(a.officer_name || '').localeCompare(String(b.officer_name || '')));
+
+  const total = (field) => roundMoney(rows.reduce((sum, r) => sum + (r[field] || 0), 0));
+  return {
+    date: start,
+    currency: config.currency.base,
+    rows,
+    totals: {
+      expected_amount: total('expected_amount'),
+      declared_amount: total('declared_amount'),
+      deposited_amount: total('deposited_amount'),
+      variance: total('variance'),
+      not_declared: rows.filter((r) => r.status === 'not_declared').length,
+      open_discrepancies: rows.filter((r) => r.discrepancy_status === 'open').length,
+    },
+  };
+};
+
+/**
+ * Cash-up variances over a period, per officer or per district
+ * @param {Object} options - { start, end, groupBy: 'officer' | 'district', officerIds }
+ */
+export const getCashVarianceReport = async ({ start, end, groupBy = 'officer', officerIds }) => {
+  const match = {};
+  if (start || end) {
+    match.business_date = {};
+    if (start) match.business_date.$gte = dayRange(start).start;
+    if (end) match.business_date.$lte = dayRange(end).start;
+  }
+  if (officerIds) match.officer_id = { $in: officerIds.map((id) => new Types.ObjectId(String(id))) };
+
+  const groups = await CashUpModel.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupBy === 'district' ? { $ifNull: ['$district', null] } : '$officer_id',
+        cash_ups: { $sum: 1 },
+        expected_amount: { $sum: '$expected_amount' },
+        declared_amount: { $sum: '$declared_amount' },
+        deposited_amount: { $sum: { $ifNull: ['$deposit.amount', 0] } },
+        variance: { $sum: '$variance' },
+        short_days: { $sum: { $cond: [{ $lt: ['$variance', 0] }, 1, 0] } },
+        open_discrepancies: { $sum: { $cond: [{ $eq: ['$discrepancy_status', 'open'] }, 1, 0] } },
+        signed_off_discrepancies: { $sum: { $cond: [{ $eq: ['$discrepancy_status', 'signed_off'] }, 1, 0] } },
+        awaiting_deposit: { $sum: { $cond: [{ $eq: ['$status', 'declared'] }, 1, 0] } },
+      },
+    },
+    { $sort: { variance: 1 } }, // Largest shortfalls first
+  ]);
+
+  let names = {};
+  if (groupBy === 'officer') {
+    const officers = await UserModel.find({ _id: { $in: groups.map((g) => g._id) } }).select('name district').lean();
+    names = Object.fromEntries(officers.map((o) => [String(o._id), o]));
+  }
+
+  return groups.map(({ _id, ...totals }) => ({
+    ...(groupBy === 'district'
+      ? { district: _id }
+      : { officer_id: _id, officer_name: names[String(_id)]?.name, district: names[String(_id)]?.district || null }),
+    ...Object.fromEntries(
+      Object.entries(totals).map(([key, value]) => [key, key.endsWith('amount') || key === 'variance' ? roundMoney(value) : value]),
+    ),
+  }));
+};
@@ -0,0 +1,68 @@
+import createError from 'http-errors';
+
+import { config } from '../config.js';
+import { resolveCaseFine } from './caseDecisionService.js';
+import { transitionCase } from './caseLifecycleService.js';
+
+/**
+ * Record the outcome of a comeback visit on a PendingComeback case.
+ * Resolves the case, reschedules it (counting reschedules) or turns it into
+ * a fine (checked like a guilty-fine decision), and flags the case once
+ * no-shows reach the configured threshold. The caller saves the document.
+ * @param {Document} caseItem - Case document
+ * @param {Object} outcome - { showed_up, action, new_comeback_date, fine_amount, override_reason, notes }
+ * @param {string} actorId - User recording the outcome
+ * @returns {Promise<{ caseItem: Document, fine: Object|null }>} fine holds the audit details of a fine
+ */
+export const recordComebackOutcome = async (caseItem, outcome, actorId) => {
+  if (caseItem.status !== 'PendingComeback') {
+    throw createError(409, `Case is ${caseItem.status}, not PendingComeback`);
+  }
+
+  const { showed_up, action, new_comeback_date, fine_amount, override_reason, notes } = outcome;
+  const now = new Date();
+
+  // Resolved before anything is recorded, so a rejected fine leaves the case untouched
+  const fine =
+    action === 'fine' ? await resolveCaseFine(caseItem, { fine_amount, override_reason }) : null;
+
+  caseItem.comeback_outcomes.push({
+    scheduled_date: caseItem.comeback_date,
+    showed_up,
+    action,
+    new_comeback_date: action === 'reschedule' ? new_comeback_date : undefined,
+    fine_amount: fine ? fine.fields.fine_amount : undefined,
+    recorded_by: actorId,
+    recorded_at: now,
+    notes,
+  });
+
+  if (!showed_up) {
+    caseItem.comeback_no_show_count = (caseItem.comeback_no_show_count || 0) + 1;
+    const threshold = config.comeback.noShowFlagThreshold;
+    if (threshold > 0 && caseItem.comeback_no_show_count >= threshold && !caseItem.comeback_flagged) {
+      caseItem.comeback_flagged = true;
+      caseItem.comeback_flagged_at = now;
+    }
+  }
+
+  const reason = notes || (showed_up ? 'Owner attended comeback visit' : 'Owner did not attend comeback visit');
+  switch (action) {
+    case 'resolve':
+      transitionCase(caseItem, 'Resolved', {}, { actorId, reason });
+      break;
+    case 'fine':
+      transitionCase(caseItem, 'Fined', fine.fields, { actorId, reason });
+      break;
+    case 'reschedule':
+      caseItem.comeback_date = new Date(new_comeback_date);
+      caseItem.comeback_notification_sent = false;
+      caseItem.comeback_reschedule_count = (caseItem.comeback_reschedule_count || 0) + 1;
+      caseItem.lastActivityAt = now;
+      break;
+    default:
+      throw createError(400, `Unknown comeback action: ${action}`);
+  }
+
+  return { caseItem, fine: fine?.details || null };
+};
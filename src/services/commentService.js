@@ -0,0 +1,83 @@
+import { CaseCommentModel, UserModel } from '../models/index.js';
+import { createMentionNotifications, notifyCaseWatchers } from './notificationService.js';
+
+// @mentions use the colleague's email address, e.g. "@jane.doe@example.com"
+const MENTION_PATTERN = /@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Resolve the users mentioned in a comment body, plus any explicitly supplied user IDs
+ * @returns {Promise<Array>} Active users (_id, name, email), deduplicated
+ */
+export const resolveMentions = async (body, mentionIds = []) => {
+  const emails = [...(body || '').matchAll(MENTION_PATTERN)].map((m) => m[1].toLowerCase());
+  if (emails.length === 0 && mentionIds.length === 0) return [];
+
+  return UserModel.find({
+    status: 'active',
+    $or: [{ email: { $in: emails } }, { _id: { $in: mentionIds } }],
+  })
+    .select('_id name email')
+    .lean();
+};
+
+// Roles that may see internal-only comments
+const InternalCommentRoles = ['supervisor', 'admin', 'finance'];
+
+/**
+ * Whether a user may see internal-only comments
+ */
+export const canSeeInternal = (user) => InternalCommentRoles.includes(user?.role);
+
+/**
+ * Visibility filter for a case's comment thread
+ */
+export const commentVisibilityFilter = (caseId, user) => {
+  const filter = { case_id: caseId };
+  if (!canSeeInternal(user)) {
+    filter.$or = [{ internal: { $ne: true } }, { author_id: user?.sub }, { mentions: user?.sub }];
+  }
+  return filter;
+};
+
+/**
+ * Add a comment to a case thread and notify mentioned users.
+ * Plain comments also notify the case's watchers (internal ones only those who can see them);
+ * decision and payment notes are covered by the status and payment notifications.
+ * @param {Object} caseItem - Case (needs _id and case_number)
+ * @param {Object} params - { authorId, body, internal, kind, mentionIds, paymentId }
+ */
+export const addCaseComment = async (
+  caseItem,
+  { authorId, body, internal = false, kind = 'comment', mentionIds = [], paymentId },
+) => {
+  const mentioned = (await resolveMentions(body, mentionIds)).filter((u) => String(u._id) !== String(authorId));
+
+  const comment = await CaseCommentModel.create({
+    case_id: caseItem._id,
+    author_id: authorId,
+    body,
+    internal,
+    kind,
+    mentions: mentioned.map((u) => u._id),
+    payment_id: paymentId,
+  });
+
+  if (mentioned.length > 0) {
+    await createMentionNotifications(comment, caseItem, mentioned, authorId);
+  }
+
+  if (kind === 'comment') {
+    const excerpt = body.length > 140 ? `${body.slice(0, 137)}...` : body;
+    await notifyCaseWatchers(caseItem, {
+      type: 'case_comment',
+      title: 'New Comment',
+      message: `New comment on case ${caseItem.case_number}: ${excerpt}`,
+      commentId: comment._id,
+      actorId: authorId,
+      exclude: mentioned.map((u) => u._id),
+      roles: internal ? InternalCommentRoles : undefined,
+    });
+  }
+
+  return comment;
+};
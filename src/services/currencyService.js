@@ -0,0 +1,83 @@
+/**
+ * Currency Service
+ *
+ * Fines and payments carry their own currency (USD or SOS). Payments are converted
+ * at payment time, with the rates effective on the payment date, into the case's
+ * currency (to settle the fine) and into the base reporting currency (for finance
+ * totals). Rates come from the admin-maintained ExchangeRate table.
+ */
+
+import createError from 'http-errors';
+
+import { config } from '../config.js';
+import { Currencies } from '../constants/enums.js';
+import { ExchangeRateModel } from '../models/index.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * An amount with its currency code, e.g. "USD 25.00"
+ */
+export const formatMoney = (amount, currency = 'USD') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Rate effective on a date: base currency units per unit of currency
+ * @returns {Promise<{ rate: number, effective_from: Date|null }>}
+ */
+export const getExchangeRate = async (currency, at = new Date(), baseCurrency = config.currency.base) => {
+  if (currency === baseCurrency) return { rate: 1, effective_from: null };
+
+  const entry = await ExchangeRateModel.findOne({
+    currency,
+    base_currency: baseCurrency,
+    effective_from: { $lte: at },
+  })
+    .sort({ effective_from: -1 })
+    .lean();
+  if (!entry) {
+    throw createError(400, `No ${currency} to ${baseCurrency} exchange rate is effective on ${new Date(at).toISOString().slice(0, 10)}`);
+  }
+  return { rate: entry.rate, effective_from: entry.effective_from };
+};
+
+/**
+ * Convert an amount between currencies through the base currency, with the rates effective on a date
+ */
+export const convertAmount = async (amount, from, to, at = new Date()) => {
+  if (from === to) return roundMoney(amount);
+  const [fromRate, toRate] = await Promise.all([getExchangeRate(from, at), getExchangeRate(to, at)]);
+  return roundMoney((amount * fromRate.rate) / toRate.rate);
+};
+
+/**
+ * Conversion fields of a payment made in a currency on a case, at the payment date
+ * @returns {Promise<Object>} { currency, applied_amount, base_amount, base_currency, exchange_rate }
+ */
+export const pricePayment = async ({ amount, currency, paymentDate }, caseItem) => {
+  const caseCurrency = caseItem.currency || 'USD';
+  const paidIn = currency || caseCurrency;
+  const { rate } = await getExchangeRate(paidIn, paymentDate);
+  return {
+    currency: paidIn,
+    applied_amount: await convertAmount(amount, paidIn, caseCurrency, paymentDate),
+    base_amount: roundMoney(amount * rate),
+    base_currency: config.currency.base,
+    exchange_rate: rate,
+  };
+};
+
+/**
+ * Current rate of every non-base currency (null where none is effective yet)
+ */
+export const getCurrentExchangeRates = async (at = new Date()) => {
+  const base = config.currency.base;
+  const rates = await Promise.all(
+    Currencies.filter((c) => c !== base).map(async (currency) => {
+      const entry = await ExchangeRateModel.findOne({ currency, base_currency: base, effective_from: { $lte: at } })
+        .sort({ effective_from: -1 })
+        .lean();
+      return { currency, base_currency: base, rate: entry?.rate ?? null, effective_from: entry?.effective_from ?? null };
+    }),
+  );
+  return { base_currency: base, at, rates };
+};
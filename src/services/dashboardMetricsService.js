@@ -5,6 +5,7 @@
  * across dashboard cards, reports, and needs-attention panels.
  */
 
+import { config } from '../config.js';
 import { CaseModel } from '../models/index.js';
 
 /**
@@ -109,31 +110,99 @@ export const getOverdueComebacksList = async (limit = 10) => {
 };
 
 /**
- * Get aging/stale assessments
- * Definition: Cases with status UnderAssessment and lastActivityAt > 48 hours ago
- * Hardened against null/undefined fields
+ * Get flagged comebacks count
+ * Definition: Cases with status PendingComeback flagged for repeated no-shows
  */
-export const getAgingAssessments = async (hoursThreshold = 48, limit = 10) => {
+export const getFlaggedComebacks = async (filters = {}) => {
   try {
-    const threshold = new Date();
-    threshold.setHours(threshold.getHours() - hoursThreshold);
-    
-    // Build query with proper null handling
-    const query = {
-      status: 'UnderAssessment',
-      $or: [
-        { lastActivityAt: { $exists: true, $ne: null, $lt: threshold } },
-        { 
-          $and: [
-            { lastActivityAt: { $exists: false } },
-            { updatedAt: { $exists: true, $ne: null, $lt: threshold } }
-          ]
+    return await CaseModel.countDocuments({
+      ...filters,
+      status: 'PendingComeback',
+      comeback_flagged: true
+    });
+  } catch (error) {
+    console.error('[getFlaggedComebacks] Error:', error);
+    return 0;
+  }
+};
+
+/**
+ * Get flagged comebacks list (for needs-attention)
+ */
+export const getFlaggedComebacksList = async (limit = 10) => {
+  try {
+    return await CaseModel.find({
+      status: 'PendingComeback',
+      comeback_flagged: true
+    })
+      .select('case_number status comeback_date comeback_no_show_count comeback_reschedule_count comeback_flagged_at assigned_officer_id check_in_id')
+      .populate({
+        path: 'assigned_officer_id',
+        select: 'name'
+      })
+      .populate({
+        path: 'check_in_id',
+        select: 'business_id',
+        populate: {
+          path: 'business_id',
+          select: 'business_name'
         }
+      })
+      .sort({ comeback_no_show_count: -1, comeback_flagged_at: 1 })
+      .limit(limit)
+      .lean();
+  } catch (error) {
+    console.error('[getFlaggedComebacksList] Error:', error);
+    return [];
+  }
+};
+
+// UnderAssessment cases with no activity since the threshold
+const inactiveSince = (threshold) => ({
+  $or: [
+    { lastActivityAt: { $exists: true, $ne: null, $lt: threshold } },
+    {
+      $and: [
+        { lastActivityAt: { $exists: false } },
+        { updatedAt: { $exists: true, $ne: null, $lt: threshold } }
       ]
-    };
+    }
+  ]
+});
+
+/**
+ * Query for stale assessments.
+ * With an explicit hour threshold: UnderAssessment with no activity for that long.
+ * Otherwise the SLA decides: past the case's assessment deadline, or, for cases
+ * without a deadline, inactive for longer than config.sla.defaultAssessmentHours.
+ */
+export const buildStaleAssessmentQuery = (hoursThreshold = null) => {
+  const threshold = new Date();
+  if (hoursThreshold !== null && hoursThreshold !== undefined) {
+    threshold.setHours(threshold.getHours() - hoursThreshold);
+    return { status: 'UnderAssessment', ...inactiveSince(threshold) };
+  }
+
+  threshold.setHours(threshold.getHours() - config.sla.defaultAssessmentHours);
+  return {
+    status: 'UnderAssessment',
+    $or: [
+      { deadline_date: { $ne: null, $lt: new Date() } },
+      { $and: [{ deadline_date: null }, inactiveSince(threshold)] }
+    ]
+  };
+};
+
+/**
+ * Get aging/stale assessments (see buildStaleAssessmentQuery)
+ * Hardened against null/undefined fields
+ */
+export const getAgingAssessments = async (hoursThreshold = null, limit = 10) => {
+  try {
+    const query = buildStaleAssessmentQuery(hoursThreshold);
     
     const cases = await CaseModel.find(query)
-      .select('case_number status lastActivityAt updatedAt assigned_officer_id check_in_id')
+      .select('case_number status lastActivityAt updatedAt deadline_date assigned_officer_id check_in_id')
       .populate({
         path: 'assigned_officer_id',
         select: 'name',
@@ -0,0 +1,120 @@
+import createError from 'http-errors';
+
+import { config } from '../config.js';
+import { CaseModel, UserModel } from '../models/index.js';
+import { recordAudit } from './auditService.js';
+import { transitionCase } from './caseLifecycleService.js';
+import { getAgingAssessments } from './dashboardMetricsService.js';
+import { createEscalationNotification } from './notificationService.js';
+
+// Upper bound on cases auto-escalated per run; the rest are picked up on the next run
+const AUTO_ESCALATE_BATCH = 100;
+
+/**
+ * Validate the target reviewer for an escalation.
+ * The reviewer must be an active admin, or the escalating user's own supervisor.
+ */
+export const assertValidReviewer = async (reviewerId, escalatingUserId) => {
+  if (String(reviewerId) === String(escalatingUserId)) {
+    throw createError(400, 'You cannot escalate a case to yourself');
+  }
+
+  const [reviewer, escalatingUser] = await Promise.all([
+    UserModel.findById(reviewerId).select('role status'),
+    UserModel.findById(escalatingUserId).select('supervisor_id'),
+  ]);
+  if (!reviewer || reviewer.status !== 'active') {
+    throw createError(400, 'Reviewer not found or inactive');
+  }
+
+  const isAdmin = reviewer.role === 'admin';
+  const isOwnSupervisor =
+    reviewer.role === 'supervisor' &&
+    escalatingUser?.supervisor_id &&
+    escalatingUser.supervisor_id.toString() === reviewer._id.toString();
+  if (!isAdmin && !isOwnSupervisor) {
+    throw createError(400, 'Reviewer must be an admin or your supervisor');
+  }
+
+  return reviewer;
+};
+
+/**
+ * Only the target reviewer (or any admin) may decide an escalated case
+ */
+export const assertCanReviewEscalation = (caseItem, user) => {
+  if (caseItem.status !== 'Escalated' || user?.role === 'admin') return;
+  if (!caseItem.escalation?.reviewer_id || caseItem.escalation.reviewer_id.toString() !== user?.sub) {
+    throw createError(403, 'Only the escalation reviewer can decide this case');
+  }
+};
+
+/**
+ * Escalate a case to a reviewer. The caller saves the document.
+ * @param {Document} caseItem - Case document
+ * @param {Object} params - { reason, reviewerId, actorId, auto }
+ */
+export const escalateCase = (caseItem, { reason, reviewerId, actorId, auto = false }) => {
+  const previousStatus = caseItem.status;
+  transitionCase(caseItem, 'Escalated', {}, { actorId, reason });
+  caseItem.escalation = {
+    reason,
+    escalated_by: actorId,
+    escalated_at: caseItem.statusChangedAt,
+    reviewer_id: reviewerId,
+    previous_status: previousStatus,
+    auto,
+  };
+  return caseItem;
+};
+
+/**
+ * Pick the reviewer for an auto-escalated case: the assigned officer's
+ * supervisor, falling back to the longest-standing active admin
+ */
+const findAutoReviewer = async (caseItem) => {
+  if (caseItem.assigned_officer_id) {
+    const officer = await UserModel.findById(caseItem.assigned_officer_id).select('supervisor_id');
+    if (officer?.supervisor_id) {
+      const supervisor = await UserModel.findOne({ _id: officer.supervisor_id, status: 'active' }).select('_id');
+      if (supervisor) return supervisor._id;
+    }
+  }
+  const admin = await UserModel.findOne({ role: 'admin', status: 'active' }).sort({ createdAt: 1 }).select('_id');
+  return admin?._id || null;
+};
+
+/**
+ * Auto-escalate stale assessments (see getAgingAssessments) older than the configured number of days
+ */
+export const autoEscalateStaleAssessments = async (days = config.escalation.autoEscalateDays) => {
+  if (!days || days <= 0) return { checked: 0, escalated: 0 };
+
+  const stale = await getAgingAssessments(days * 24, AUTO_ESCALATE_BATCH);
+  const cases = await CaseModel.find({ _id: { $in: stale.map((c) => c._id) }, status: 'UnderAssessment' });
+
+  let escalated = 0;
+  for (const caseItem of cases) {
+    try {
+      const reviewerId = await findAutoReviewer(caseItem);
+      if (!reviewerId) continue;
+
+      const reason = `No assessment decision for ${days} days`;
+      escalateCase(caseItem, { reason, reviewerId, auto: true });
+      await caseItem.save();
+
+      await recordAudit({
+        action: 'auto_escalate',
+        entity: 'case',
+        entityId: caseItem.id,
+        details: { reviewer_id: reviewerId, days },
+      });
+      await createEscalationNotification(caseItem, reviewerId, reason, { auto: true });
+      escalated += 1;
+    } catch (error) {
+      console.error(`Error auto-escalating case ${caseItem.case_number}:`, error);
+    }
+  }
+
+  return { checked: cases.length, escalated };
+};
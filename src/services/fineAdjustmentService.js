@@ -0,0 +1,183 @@
+/**
+ * Fine Adjustment Service
+ *
+ * Waivers, reductions and refunds of fines. Each is requested with a reason and
+ * only changes the case once approved by finance or an admin. Verified payments
+ * are never rewritten: a refund is its own record, deducted from what the case has
+ * paid, and every adjustment shows as a separate line in the revenue reports.
+ */
+
+import createError from 'http-errors';
+
+import { config } from '../config.js';
+import { FineAdjustmentModel, UserModel } from '../models/index.js';
+import { recordAudit } from './auditService.js';
+import { convertAmount } from './currencyService.js';
+import { createFineAdjustmentNotification } from './notificationService.js';
+import { getAmountDue, refreshCaseBalance } from './paymentService.js';
+
+export const FineAdjustmentApproverRoles = ['finance', 'admin'];
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Largest amount an adjustment of a type can have on a case right now
+ */
+export const adjustableAmount = (type, caseItem) => {
+  const fine = caseItem.fine_amount || 0;
+  const due = getAmountDue(caseItem);
+  const paid = caseItem.payment_amount || 0;
+  switch (type) {
+    case 'waiver':
+      return roundMoney(Math.min(Math.max(due - paid, 0), fine)); // The outstanding balance, as far as the fine goes
+    case 'reduction':
+      return roundMoney(fine);
+    case 'refund':
+      return roundMoney(Math.max(paid - due, 0)); // What was paid beyond the fine and penalties
+    default:
+      throw createError(400, `Unknown adjustment type: ${type}`);
+  }
+};
+
+const assertAdjustable = (type, amount, caseItem) => {
+  const limit = adjustableAmount(type, caseItem);
+  if (limit <= 0) {
+    const why = {
+      waiver: 'the case has no outstanding balance',
+      reduction: 'the case has no fine',
+      refund: 'nothing was paid beyond what is due',
+    };
+    throw createError(400, `Cannot ${type === 'refund' ? 'refund' : type === 'waiver' ? 'waive' : 'reduce'} this fine: ${why[type]}`);
+  }
+  if (type !== 'waiver' && amount > limit) {
+    throw createError(400, `The ${type} cannot exceed ${limit}`);
+  }
+};
+
+/**
+ * Request a waiver, reduction or refund on a case
+ * @param {Document} caseItem - Case document
+ * @param {Object} request - { type, amount, reason } (the amount of a waiver is the outstanding balance)
+ * @param {Object} user - req.user
+ * @returns {Promise<Document>} The pending adjustment
+ */
+export const requestFineAdjustment = async (caseItem, { type, amount, reason }, user) => {
+  const requested = type === 'waiver' ? adjustableAmount('waiver', caseItem) : roundMoney(amount);
+  assertAdjustable(type, requested, caseItem);
+
+  const open = await FineAdjustmentModel.exists({ case_id: caseItem._id, status: 'pending' });
+  if (open) throw createError(409, 'Case already has a fine adjustment awaiting approval');
+
+  const adjustment = await FineAdjustmentModel.create({
+    case_id: caseItem._id,
+    type,
+    amount: requested,
+    currency: caseItem.currency || 'USD',
+    reason,
+    requested_by: user?.sub,
+  });
+
+  await recordAudit({
+    action: 'request',
+    entity: 'fine_adjustment',
+    entityId: adjustment.id,
+    userId: user?.sub,
+    details: { case_id: caseItem.id, type, amount: requested, reason },
+  });
+
+  const approvers = await UserModel.find({ role: { $in: FineAdjustmentApproverRoles }, status: 'active' }).distinct('_id');
+  await createFineAdjustmentNotification(adjustment, caseItem, approvers.filter((id) => String(id) !== String(user?.sub)));
+  return adjustment;
+};
+
+/**
+ * Approve a pending adjustment and apply it to the case: the fine, the amount paid,
+ * the outstanding balance and the payment status. Amounts are checked again against
+ * the case as it is now.
+ * @param {Document} adjustment - FineAdjustment document
+ * @param {Document} caseItem - Case document
+ * @param {Object} review - { notes, refund_method, refund_reference }
+ * @param {Object} user - req.user (finance or admin)
+ */
+export const approveFineAdjustment = async (adjustment, caseItem, { notes, refund_method, refund_reference } = {}, user) => {
+  if (adjustment.status !== 'pending') throw createError(409, `Adjustment is already ${adjustment.status}`);
+  if (String(adjustment.requested_by) === String(user?.sub)) {
+    throw createError(403, 'An adjustment cannot be approved by the person who requested it');
+  }
+  if (adjustment.type === 'refund' && !refund_reference) {
+    throw createError(400, 'refund_reference is required to approve a refund');
+  }
+
+  // A waiver writes off whatever is outstanding at approval
+  if (adjustment.type === 'waiver') adjustment.amount = adjustableAmount('waiver', caseItem);
+  assertAdjustable(adjustment.type, adjustment.amount, caseItem);
+
+  // Converted for the revenue reports with the rate on the day it takes effect
+  adjustment.currency = caseItem.currency || 'USD';
+  adjustment.base_amount = await convertAmount(adjustment.amount, adjustment.currency, config.currency.base);
+  adjustment.fine_before = caseItem.fine_amount || 0;
+  adjustment.paid_before = caseItem.payment_amount || 0;
+  if (adjustment.type !== 'refund') {
+    caseItem.fine_amount = roundMoney(adjustment.fine_before - adjustment.amount);
+  }
+
+  adjustment.status = 'approved';
+  adjustment.reviewed_by = user?.sub;
+  adjustment.reviewed_at = new Date();
+  adjustment.review_notes = notes;
+  if (adjustment.type === 'refund') {
+    adjustment.refund_method = refund_method;
+    adjustment.refund_reference = refund_reference;
+  }
+  await adjustment.save();
+
+  // Refunds count once saved as approved
+  await refreshCaseBalance(caseItem);
+  caseItem.lastActivityAt = new Date();
+  await caseItem.save();
+
+  adjustment.fine_after = caseItem.fine_amount;
+  adjustment.paid_after = caseItem.payment_amount;
+  adjustment.payment_status_after = caseItem.payment_status;
+  await adjustment.save();
+
+  await recordAudit({
+    action: 'approve',
+    entity: 'fine_adjustment',
+    entityId: adjustment.id,
+    userId: user?.sub,
+    details: {
+      case_id: caseItem.id,
+      type: adjustment.type,
+      amount: adjustment.amount,
+      fine_before: adjustment.fine_before,
+      fine_after: adjustment.fine_after,
+      payment_status: caseItem.payment_status,
+    },
+  });
+  await createFineAdjustmentNotification(adjustment, caseItem, [adjustment.requested_by]);
+  return adjustment;
+};
+
+/**
+ * Reject a pending adjustment; the case is unchanged
+ */
+export const rejectFineAdjustment = async (adjustment, caseItem, { notes }, user) => {
+  if (adjustment.status !== 'pending') throw createError(409, `Adjustment is already ${adjustment.status}`);
+
+  adjustment.status = 'rejected';
+  adjustment.reviewed_by = user?.sub;
+  adjustment.reviewed_at = new Date();
+  adjustment.review_notes = notes;
+  await adjustment.save();
+
+  await recordAudit({
+    action: 'reject',
+    entity: 'fine_adjustment',
+    entityId: adjustment.id,
+    userId: user?.sub,
+    details: { case_id: String(adjustment.case_id), type: adjustment.type, notes },
+  });
+  await createFineAdjustmentNotification(adjustment, caseItem, [adjustment.requested_by]);
+  return adjustment;
+};
@@ -3,8 +3,8 @@ import fs from 'fs';
 import xlsx from 'xlsx';
 
 import { BusinessModel, CaseModel, CheckInModel, ImportJobModel, DuplicateReviewModel } from '../models/index.js';
-import { generateCaseNumber } from '../utils/caseNumber.js';
 import { generateBusinessId } from '../utils/businessId.js';
+import { nextCaseNumber } from './caseService.js';
 
 // Batch size for processing - smaller batches = more frequent progress updates
 const BATCH_SIZE = 50;
@@ -78,7 +78,7 @@ const autoDetectMapping = (headers) => {
   return mapping;
 };
 
-const parseFile = (filePath) => {
+export const parseFile = (filePath) => {
   try {
     // Check if file exists
     if (!fs.existsSync(filePath)) {
@@ -612,7 +612,7 @@ const processRow = async (row, headers, mapping, options, userId, summary, impor
   // Handle case field - extract type and description
   if (hasCaseField && checkInId) {
     const { type: caseType, description: caseDescription } = extractCaseType(caseFieldRaw);
-    const case_number = generateCaseNumber(checkInDate, summary.createdCases + 1);
+    const case_number = await nextCaseNumber(checkInDate);
     
     const caseData = {
       check_in_id: checkInId,
@@ -0,0 +1,62 @@
+/**
+ * Mobile-money provider adapters
+ *
+ * Each provider signs and shapes its payment notifications differently. An adapter
+ * turns one provider's notification into the common form used by mobileMoneyService:
+ *
+ *   verifySignature({ headers, rawBody, secret }) -> { valid, timestamp }
+ *     timestamp is when the provider signed the notification (Date), used against replays
+ *   parseNotification(body) -> { transaction_id, amount, currency, msisdn, payer_name, reference, paid_at }
+ *   signNotification({ rawBody, secret, timestamp }) -> headers (optional; used by the simulator)
+ *
+ * Register further providers with registerMobileMoneyProvider and select one with
+ * MOBILE_MONEY_PROVIDER.
+ */
+
+import crypto from 'crypto';
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqualHex = (expected, actual) => {
+  const a = Buffer.from(String(expected || ''), 'hex');
+  const b = Buffer.from(String(actual || ''), 'hex');
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Generic provider: JSON notification, HMAC-SHA256 over "<timestamp>.<raw body>"
+ * in X-Signature (hex), signing time in X-Timestamp (Unix seconds)
+ */
+const genericProvider = {
+  verifySignature: ({ headers, rawBody, secret }) => {
+    const timestamp = Number(headers['x-timestamp']);
+    if (!Number.isFinite(timestamp) || !rawBody) return { valid: false };
+    const expected = hmacHex(secret, `${timestamp}.${rawBody.toString('utf8')}`);
+    return { valid: safeEqualHex(expected, headers['x-signature']), timestamp: new Date(timestamp * 1000) };
+  },
+
+  parseNotification: (body = {}) => ({
+    transaction_id: body.transaction_id,
+    amount: Number(body.amount),
+    currency: body.currency,
+    msisdn: body.msisdn,
+    payer_name: body.payer_name,
+    reference: body.reference,
+    paid_at: body.paid_at ? new Date(body.paid_at) : new Date(),
+  }),
+
+  signNotification: ({ rawBody, secret, timestamp = Math.floor(Date.now() / 1000) }) => ({
+    'X-Timestamp': String(timestamp),
+    'X-Signature': hmacHex(secret, `${timestamp}.${rawBody}`),
+  }),
+};
+
+const providers = {
+  generic: genericProvider,
+};
+
+export const registerMobileMoneyProvider = (name, adapter) => {
+  providers[name] = adapter;
+};
+
+export const getMobileMoneyProvider = (name) => providers[name] || null;
@@ -0,0 +1,178 @@
+/**
+ * Mobile Money Service
+ *
+ * Inbound payment notifications from the mobile-money provider. A signed, fresh
+ * notification is stored once per provider transaction; when its reference names
+ * a case with an outstanding fine it is posted as a verified payment on that case,
+ * otherwise it waits in the finance suspense queue.
+ */
+
+import createError from 'http-errors';
+import Joi from 'joi';
+
+import { config } from '../config.js';
+import { Currencies } from '../constants/enums.js';
+import { CaseModel, MobileMoneyNotificationModel, PaymentModel } from '../models/index.js';
+import { pricePayment } from './currencyService.js';
+import { getMobileMoneyProvider } from './mobileMoneyProviders.js';
+import { getAmountDue, verifyPayment } from './paymentService.js';
+
+const notificationSchema = Joi.object({
+  transaction_id: Joi.string().trim().required(),
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().allow('', null).optional(),
+  msisdn: Joi.string().allow('', null).optional(),
+  payer_name: Joi.string().allow('', null).optional(),
+  reference: Joi.string().allow('', null).optional(),
+  paid_at: Joi.date().required(),
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The case a payer's reference points to: the case number itself, or a case number within it
+ */
+const findCaseByReference = async (reference) => {
+  const text = String(reference || '').trim();
+  if (!text) return null;
+
+  const exact = await CaseModel.findOne({ case_number: new RegExp(`^${escapeRegex(text)}$`, 'i') });
+  if (exact) return exact;
+
+  const pattern = new RegExp(`${escapeRegex(config.sequences.case.prefix)}-\\d{4,8}-\\d+`, 'i');
+  const found = text.match(pattern);
+  return found ? CaseModel.findOne({ case_number: found[0].toUpperCase() }) : null;
+};
+
+/**
+ * Create the payment for a notification on a case and verify it
+ * @returns {Promise<Document>} Verified payment
+ */
+const postNotificationPayment = async (notification, caseItem, { actorId, notes } = {}) => {
+  // verifyPayment's checks, made before the payment exists so a failure leaves nothing to undo
+  if (!(caseItem.fine_amount > 0)) throw createError(400, `Case ${caseItem.case_number} has no fine amount`);
+  if (caseItem.payment_status === 'paid') throw createError(400, `The fine for case ${caseItem.case_number} is already fully paid`);
+  if (!(getAmountDue(caseItem) > 0)) {
+    throw createError(400, `Case ${caseItem.case_number} has no fine or penalties to pay`);
+  }
+
+  const currency = notification.currency ? String(notification.currency).toUpperCase() : undefined;
+  if (currency && !Currencies.includes(currency)) throw createError(400, `Unsupported currency: ${notification.currency}`);
+  const paymentDate = notification.paid_at || notification.createdAt;
+  const pricing = await pricePayment({ amount: notification.amount, currency, paymentDate }, caseItem);
+
+  const payment = await PaymentModel.create({
+    case_id: caseItem._id,
+    amount: notification.amount,
+    ...pricing,
+    payment_date: paymentDate,
+    payment_method: 'mobile_money',
+    receipt_reference: notification.transaction_id,
+    notes: [notification.msisdn && `Paid from ${notification.msisdn}`, notification.payer_name, notes].filter(Boolean).join(' - ') || undefined,
+    source: 'mobile_money_webhook',
+    status: 'pending_verification',
+  });
+  try {
+    await verifyPayment(payment, {
+      actorId,
+      auditDetails: { provider: notification.provider, notification_id: String(notification._id) },
+    });
+  } catch (err) {
+    // Once saved as verified the payment is on the case balance and may have a receipt:
+    // keep it, so the notification is still matched to it
+    if (await PaymentModel.exists({ _id: payment._id, status: 'verified' })) {
+      console.error(`[mobile-money] Payment ${payment.id} was verified but posting it failed:`, err.message);
+      return payment;
+    }
+    // Nothing was posted to the case; do not leave a pending payment behind
+    await PaymentModel.deleteOne({ _id: payment._id });
+    throw err;
+  }
+  return payment;
+};
+
+/**
+ * Check, store and apply a provider notification
+ * @param {Object} request - { headers, rawBody, body }
+ * @returns {Promise<{ notification: Object, duplicate: boolean }>}
+ */
+export const receiveMobileMoneyNotification = async ({ headers, rawBody, body }) => {
+  const { provider: providerName, webhookSecret, signatureToleranceSeconds } = config.mobileMoney;
+  const provider = getMobileMoneyProvider(providerName);
+  if (!provider || !webhookSecret) throw createError(503, 'Mobile money webhook is not configured');
+
+  const { valid, timestamp } = provider.verifySignature({ headers, rawBody, secret: webhookSecret });
+  if (!valid) throw createError(401, 'Invalid signature');
+  if (Math.abs(Date.now() - timestamp.getTime()) > signatureToleranceSeconds * 1000) {
+    throw createError(401, 'Notification timestamp is outside the allowed window');
+  }
+
+  const { error, value } = notificationSchema.validate(provider.parseNotification(body));
+  if (error) throw createError(400, error.message);
+
+  // A transaction already received is a replay: acknowledge it without posting it again
+  const existing = await MobileMoneyNotificationModel.findOne({ provider: providerName, transaction_id: value.transaction_id }).lean();
+  if (existing) return { notification: existing, duplicate: true };
+
+  let notification;
+  try {
+    notification = await MobileMoneyNotificationModel.create({ ...value, provider: providerName, payload: body });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const raced = await MobileMoneyNotificationModel.findOne({ provider: providerName, transaction_id: value.transaction_id }).lean();
+    return { notification: raced, duplicate: true };
+  }
+
+  const caseItem = await findCaseByReference(value.reference);
+  if (!caseItem) {
+    notification.status = 'suspense';
+    notification.suspense_reason = value.reference ? `No case matches reference "${value.reference}"` : 'No reference given';
+  } else {
+    notification.case_id = caseItem._id;
+    try {
+      const payment = await postNotificationPayment(notification, caseItem);
+      notification.status = 'matched';
+      notification.payment_id = payment._id;
+    } catch (err) {
+      notification.status = 'suspense';
+      notification.suspense_reason = err.message;
+    }
+  }
+  await notification.save();
+  return { notification: notification.toObject(), duplicate: false };
+};
+
+/**
+ * Post a suspense notification to a case chosen by finance
+ * @returns {Promise<Document>} The resolved notification
+ */
+export const assignSuspenseNotification = async (notification, caseId, { actorId, notes } = {}) => {
+  if (notification.status !== 'suspense') throw createError(409, `Notification is ${notification.status}, not in suspense`);
+
+  const caseItem = await CaseModel.findById(caseId);
+  if (!caseItem) throw createError(404, 'Case not found');
+
+  const payment = await postNotificationPayment(notification, caseItem, { actorId, notes });
+  notification.status = 'resolved';
+  notification.case_id = caseItem._id;
+  notification.payment_id = payment._id;
+  notification.resolved_by = actorId;
+  notification.resolved_at = new Date();
+  notification.resolution_notes = notes;
+  await notification.save();
+  return notification;
+};
+
+/**
+ * Close a suspense notification without posting a payment
+ */
+export const dismissSuspenseNotification = async (notification, { actorId, reason }) => {
+  if (notification.status !== 'suspense') throw createError(409, `Notification is ${notification.status}, not in suspense`);
+
+  notification.status = 'dismissed';
+  notification.resolved_by = actorId;
+  notification.resolved_at = new Date();
+  notification.resolution_notes = reason;
+  await notification.save();
+  return notification;
+};
@@ -1,4 +1,7 @@
 import { NotificationModel, CaseModel, CheckInModel, BusinessModel, UserModel } from '../models/index.js';
+import { paginate } from '../utils/pagination.js';
+import { formatMoney } from './currencyService.js';
+import { DecisionStatuses, getCaseWatcherIds, watchEntity } from './watchService.js';
 
 /**
  * Create a notification for comeback date reminder
@@ -8,7 +11,7 @@ export const createComebackNotification = async (caseItem, checkIn, business) =>
     const comebackDate = new Date(caseItem.comeback_date);
     const localDate = comebackDate.toLocaleDateString();
     const localTime = comebackDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const fineAmount = caseItem.fine_amount ? `$${caseItem.fine_amount.toFixed(2)}` : 'Not recorded';
+    const fineAmount = caseItem.fine_amount ? formatMoney(caseItem.fine_amount, caseItem.currency) : 'Not recorded';
     const title = 'Comeback Date Reminder';
     const message = [
       `• Owner: ${business.owner_name || 'Unknown owner'}`,
@@ -18,26 +21,16 @@ export const createComebackNotification = async (caseItem, checkIn, business) =>
       `• Comeback: ${localDate} at ${localTime}`,
     ].join('\n');
 
-    // Notify the admin
+    // Notify the admins, the officer who registered the check-in and the case's watchers
     const admins = await UserModel.find({ role: 'admin' }).select('_id');
+    const recipientIds = new Set(admins.map((admin) => admin._id.toString()));
+    if (checkIn.officer_id) recipientIds.add(checkIn.officer_id.toString());
+    (await getCaseWatcherIds(caseItem)).forEach((id) => recipientIds.add(id));
+
     const notifications = [];
-    
-    for (const admin of admins) {
+    for (const userId of recipientIds) {
       const notification = await NotificationModel.create({
-        user_id: admin._id,
-        case_id: caseItem._id,
-        type: 'comeback_reminder',
-        title,
-        message,
-        read: false,
-      });
-      notifications.push(notification);
-    }
-    
-    // Notify the officer who registered the check-in
-    if (checkIn.officer_id) {
-      const notification = await NotificationModel.create({
-        user_id: checkIn.officer_id,
+        user_id: userId,
         case_id: caseItem._id,
         type: 'comeback_reminder',
         title,
@@ -78,6 +71,7 @@ export const checkComebackDates = async () => {
       status: 'PendingComeback',
       comeback_date: { $lt: today },
       comeback_notification_sent: false, // Only notify once
+      appeal_pending: { $ne: true }, // Reminders pause while an appeal is outstanding
     })
       .populate({
         path: 'check_in_id',
@@ -96,6 +90,7 @@ export const checkComebackDates = async () => {
         $lte: tomorrow
       },
       comeback_notification_sent: false,
+      appeal_pending: { $ne: true },
     })
       .populate({
         path: 'check_in_id',
@@ -133,16 +128,252 @@ export const checkComebackDates = async () => {
 };
 
 /**
- * Get notifications for a user
+ * Notify the target reviewer that a case was escalated to them
  */
-export const getUserNotifications = async (userId, limit = 50) => {
+export const createEscalationNotification = async (caseItem, reviewerId, reason, { auto = false } = {}) => {
   try {
-    const notifications = await NotificationModel.find({ user_id: userId })
-      .populate('case_id', 'case_number status')
-      .sort({ createdAt: -1 })
-      .limit(limit);
-    
+    return await NotificationModel.create({
+      user_id: reviewerId,
+      case_id: caseItem._id,
+      type: 'case_escalated',
+      title: auto ? 'Case Auto-Escalated' : 'Case Escalated',
+      message: `Case ${caseItem.case_number} was escalated to you for review.\nReason: ${reason}`,
+      read: false,
+    });
+  } catch (error) {
+    console.error('Error creating escalation notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the escalating user and the assigned officer of the reviewer's decision
+ */
+export const createEscalationReturnedNotification = async (caseItem, outcome, notes) => {
+  try {
+    const recipients = new Set(
+      [caseItem.escalation?.escalated_by, caseItem.assigned_officer_id]
+        .filter(Boolean)
+        .map((id) => id.toString()),
+    );
+    const notifications = [];
+    for (const userId of recipients) {
+      const notification = await NotificationModel.create({
+        user_id: userId,
+        case_id: caseItem._id,
+        type: 'escalation_returned',
+        title: 'Escalation Reviewed',
+        message: `Case ${caseItem.case_number} was reviewed and moved to ${outcome}.${notes ? `\nNotes: ${notes}` : ''}`,
+        read: false,
+      });
+      notifications.push(notification);
+    }
     return notifications;
+  } catch (error) {
+    console.error('Error creating escalation returned notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify a reviewer that an appeal was assigned to them
+ */
+export const createAppealAssignedNotification = async (appeal, caseItem) => {
+  try {
+    return await NotificationModel.create({
+      user_id: appeal.reviewer_id,
+      case_id: caseItem._id,
+      appeal_id: appeal._id,
+      type: 'appeal_assigned',
+      title: 'Appeal Assigned',
+      message: `You have been assigned to review an appeal against the ${appeal.decision_status} decision on case ${caseItem.case_number}.`,
+      read: false,
+    });
+  } catch (error) {
+    console.error('Error creating appeal assigned notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the officer who filed an appeal of its outcome
+ */
+export const createAppealDecidedNotification = async (appeal, caseItem) => {
+  try {
+    const outcomeLabel = {
+      upheld: 'the decision was upheld',
+      fine_reduced: `the fine was reduced to ${formatMoney(appeal.revised_fine_amount, caseItem.currency)}`,
+      overturned: 'the decision was overturned (Not Guilty)',
+    }[appeal.outcome];
+    return await NotificationModel.create({
+      user_id: appeal.filed_by,
+      case_id: caseItem._id,
+      appeal_id: appeal._id,
+      type: 'appeal_decided',
+      title: 'Appeal Decided',
+      message: `The appeal on case ${caseItem.case_number} was decided: ${outcomeLabel}.`,
+      read: false,
+    });
+  } catch (error) {
+    console.error('Error creating appeal decided notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell approvers about a requested fine adjustment, or the requester about the decision
+ */
+export const createFineAdjustmentNotification = async (adjustment, caseItem, userIds) => {
+  try {
+    if (userIds.length === 0) return [];
+    const pending = adjustment.status === 'pending';
+    return await NotificationModel.insertMany(
+      userIds.map((userId) => ({
+        user_id: userId,
+        case_id: caseItem._id,
+        fine_adjustment_id: adjustment._id,
+        type: pending ? 'fine_adjustment_requested' : 'fine_adjustment_decided',
+        title: pending ? 'Fine Adjustment Requested' : `Fine Adjustment ${adjustment.status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: pending
+          ? `A fine ${adjustment.type} of ${formatMoney(adjustment.amount, adjustment.currency)} on case ${caseItem.case_number} awaits approval: ${adjustment.reason}`
+          : `The fine ${adjustment.type} of ${formatMoney(adjustment.amount, adjustment.currency)} on case ${caseItem.case_number} was ${adjustment.status}.`,
+        read: false,
+      })),
+    );
+  } catch (error) {
+    console.error('Error creating fine adjustment notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify users mentioned in a case comment
+ */
+export const createMentionNotifications = async (comment, caseItem, users, authorId) => {
+  try {
+    const author = authorId ? await UserModel.findById(authorId).select('name').lean() : null;
+    const excerpt = comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body;
+    return await NotificationModel.insertMany(
+      users.map((user) => ({
+        user_id: user._id,
+        case_id: caseItem._id,
+        comment_id: comment._id,
+        type: 'comment_mention',
+        title: 'You were mentioned',
+        message: `${author?.name || 'Someone'} mentioned you on case ${caseItem.case_number}: ${excerpt}`,
+        read: false,
+      })),
+    );
+  } catch (error) {
+    console.error('Error creating mention notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the assigned officer and supervisor that a case missed its SLA deadline
+ */
+export const createSlaBreachNotification = async (caseItem, userIds) => {
+  try {
+    const deadline = new Date(caseItem.deadline_date).toLocaleString();
+    return await NotificationModel.insertMany(
+      userIds.map((userId) => ({
+        user_id: userId,
+        case_id: caseItem._id,
+        type: 'sla_breach',
+        title: 'SLA Deadline Missed',
+        message: `Case ${caseItem.case_number} (${caseItem.case_type}) is still ${caseItem.status} past its SLA deadline of ${deadline}.`,
+        read: false,
+      })),
+    );
+  } catch (error) {
+    console.error('Error creating SLA breach notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify the watchers of a case (directly or through its business) about an event,
+ * except the user who caused it. Failures are logged rather than thrown: the event
+ * itself has already been saved.
+ * @param {Object} caseItem - Case
+ * @param {Object} event - { type, title, message, actorId, paymentId, commentId,
+ *   exclude (user IDs already told), roles (only notify watchers with these roles) }
+ */
+export const notifyCaseWatchers = async (caseItem, { type, title, message, actorId, paymentId, commentId, exclude = [], roles }) => {
+  try {
+    const skip = new Set([actorId, ...exclude].filter(Boolean).map(String));
+    let userIds = (await getCaseWatcherIds(caseItem)).filter((id) => !skip.has(id));
+    if (roles && userIds.length > 0) {
+      userIds = (await UserModel.find({ _id: { $in: userIds }, role: { $in: roles } }).distinct('_id')).map(String);
+    }
+    if (userIds.length === 0) return [];
+
+    return await NotificationModel.insertMany(
+      userIds.map((userId) => ({
+        user_id: userId,
+        case_id: caseItem._id,
+        payment_id: paymentId,
+        comment_id: commentId,
+        type,
+        title,
+        message,
+        read: false,
+      })),
+    );
+  } catch (error) {
+    console.error(`Error notifying watchers of case ${caseItem.case_number}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Follow-up of a case save (called from the Case model's post-save hook): the assigned
+ * officer and the deciding user are subscribed automatically, and watchers are told
+ * about status changes.
+ * @param {Document} caseItem - Saved case
+ * @param {Object} changes - { isNew, statusChanged, officerChanged }
+ */
+export const handleCaseSaved = async (caseItem, { isNew, statusChanged, officerChanged }) => {
+  try {
+    if ((isNew || officerChanged) && caseItem.assigned_officer_id) {
+      await watchEntity(caseItem.assigned_officer_id, 'case', caseItem._id, 'assigned');
+    }
+    if (!statusChanged) return;
+
+    const history = caseItem.status_history || [];
+    const change = history[history.length - 1];
+    const actorId = change?.to === caseItem.status ? change.changed_by : undefined;
+    if (actorId && DecisionStatuses.includes(caseItem.status)) {
+      await watchEntity(actorId, 'case', caseItem._id, 'decided');
+    }
+
+    await notifyCaseWatchers(caseItem, {
+      type: 'case_status_changed',
+      title: 'Case Status Changed',
+      message:
+        `Case ${caseItem.case_number} moved ` +
+        (change?.from ? `from ${change.from} ` : '') +
+        `to ${caseItem.status}` +
+        (change?.reason ? `: ${change.reason}` : '.'),
+      actorId,
+    });
+  } catch (error) {
+    console.error(`Error updating watchers of case ${caseItem.case_number}:`, error);
+  }
+};
+
+/**
+ * Get a page of notifications for a user
+ * @param {string} userId - User ID
+ * @param {Object} listOptions - From parseListQuery()
+ * @param {Object} filter - Extra filter (e.g. { read: false })
+ */
+export const getUserNotifications = async (userId, listOptions, filter = {}) => {
+  try {
+    return await paginate(NotificationModel, { ...filter, user_id: userId }, listOptions, {
+      populate: (query) => query.populate('case_id', 'case_number status'),
+    });
   } catch (error) {
     console.error('Error getting user notifications:', error);
     throw error;
@@ -0,0 +1,260 @@
+import createError from 'http-errors';
+
+import { CaseModel, FineAdjustmentModel, PaymentModel } from '../models/index.js';
+import { recordAudit } from './auditService.js';
+import { addCaseComment } from './commentService.js';
+import { formatMoney } from './currencyService.js';
+import { notifyCaseWatchers } from './notificationService.js';
+import { issueReceipt } from './receiptService.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * What a case owes in total: the fine plus accrued late-payment penalties
+ */
+export const getAmountDue = (caseItem) => roundMoney((caseItem.fine_amount || 0) + (caseItem.penalty_amount || 0));
+
+/**
+ * Spread the amount paid since the plan was agreed over the instalments, earliest due first
+ */
+const allocateInstalments = (plan, paidAmount, paidAt) => {
+  let remaining = roundMoney(paidAmount - (plan.opening_paid || 0));
+  for (const instalment of plan.instalments) {
+    instalment.paid_amount = roundMoney(Math.max(Math.min(instalment.amount, remaining), 0));
+    remaining = roundMoney(remaining - instalment.paid_amount);
+    if (instalment.paid_amount >= instalment.amount) {
+      instalment.paid_at = instalment.paid_at || paidAt || new Date();
+    } else {
+      instalment.paid_at = undefined;
+    }
+  }
+};
+
+/**
+ * Apply the verified total to a case: payment_amount, payment_status, payment_date and the
+ * instalment plan. The case is paid once the fine and any late-payment penalties are covered.
+ * The outstanding balance follows on save. The caller saves the case.
+ * @param {Document} caseItem - Case document
+ * @param {Object} totals - { paidAmount, hasPending, paidAt } - verified total, whether a payment
+ *   awaits verification, and when the latest verified payment was verified
+ */
+export const settleCaseBalance = (caseItem, { paidAmount = 0, hasPending = false, paidAt } = {}) => {
+  const due = getAmountDue(caseItem);
+  caseItem.payment_amount = roundMoney(paidAmount);
+
+  if (due <= 0 && paidAmount <= 0) {
+    caseItem.payment_status = 'not_applicable';
+  } else if (paidAmount >= due) {
+    caseItem.payment_status = 'paid';
+    caseItem.payment_date = paidAt || caseItem.payment_date || new Date();
+  } else if (hasPending) {
+    caseItem.payment_status = 'pending_verification';
+  } else {
+    caseItem.payment_status = paidAmount > 0 ? 'partially_paid' : 'unpaid';
+  }
+  if (caseItem.payment_status !== 'paid') caseItem.payment_date = undefined;
+
+  if (caseItem.instalment_plan?.instalments?.length) {
+    allocateInstalments(caseItem.instalment_plan, caseItem.payment_amount, paidAt);
+  }
+};
+
+/**
+ * Total refunded on a case through approved refunds
+ */
+export const getRefundedAmount = async (caseId) => {
+  const [refunds] = await FineAdjustmentModel.aggregate([
+    { $match: { case_id: caseId, type: 'refund', status: 'approved' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return roundMoney(refunds?.total);
+};
+
+/**
+ * Recalculate a case's balance from its payments, less approved refunds. Payments count at the
+ * amount credited in the case's currency when they were made. The caller saves the case.
+ * @param {Document} caseItem - Case document
+ */
+export const refreshCaseBalance = async (caseItem) => {
+  const [verified] = await PaymentModel.aggregate([
+    { $match: { case_id: caseItem._id, status: 'verified' } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $ifNull: ['$applied_amount', '$amount'] } },
+        last_verified_at: { $max: '$verified_at' },
+      },
+    },
+  ]);
+  const hasPending = await PaymentModel.exists({ case_id: caseItem._id, status: 'pending_verification' });
+  const refunded = await getRefundedAmount(caseItem._id);
+
+  settleCaseBalance(caseItem, {
+    paidAmount: (verified?.total || 0) - refunded,
+    hasPending: Boolean(hasPending),
+    paidAt: verified?.last_verified_at,
+  });
+  return caseItem;
+};
+
+/**
+ * Verify a pending payment: mark it verified, add it to the case balance (the case
+ * becomes paid once verified payments cover the fine and penalties), issue the official receipt,
+ * record the verification notes as a comment, audit it and tell the case watchers.
+ * @param {Document} payment - Payment document
+ * @param {Object} options - { actorId, notes, auditDetails }
+ * @returns {Promise<{ payment: Document, caseItem: Document, receipt: Document|null }>}
+ */
+export const verifyPayment = async (payment, { actorId, notes, auditDetails = {} } = {}) => {
+  if (payment.status !== 'pending_verification') {
+    throw createError(400, 'Payment is not pending verification');
+  }
+
+  const caseItem = await CaseModel.findById(payment.case_id);
+  if (!caseItem) throw createError(404, 'Case not found');
+
+  if (caseItem.payment_status === 'paid') {
+    throw createError(400, `The fine for case ${caseItem.case_number} is already fully paid`);
+  }
+  if (!(getAmountDue(caseItem) > 0)) {
+    throw createError(400, `Case ${caseItem.case_number} has no fine or penalties to pay`);
+  }
+
+  payment.status = 'verified';
+  payment.verified_by = actorId;
+  payment.verified_at = new Date();
+  await payment.save();
+
+  await refreshCaseBalance(caseItem);
+  await caseItem.save();
+
+  // The receipt can be issued again from /receipts if this fails; the payment stays verified
+  let receipt = null;
+  try {
+    receipt = await issueReceipt(payment, actorId);
+  } catch (err) {
+    console.error(`[payments] Could not issue a receipt for payment ${payment.id}:`, err.message);
+  }
+
+  await recordAudit({
+    action: 'verify',
+    entity: 'payment',
+    entityId: payment.id,
+    userId: actorId,
+    details: {
+      case_id: caseItem.id,
+      amount: payment.amount,
+      outstanding_balance: caseItem.outstanding_balance,
+      payment_status: caseItem.payment_status,
+      receipt_number: receipt?.receipt_number,
+      ...auditDetails,
+    },
+  });
+  if (notes) {
+    await addCaseComment(caseItem, {
+      authorId: actorId,
+      body: notes,
+      kind: 'payment_verification',
+      paymentId: payment._id,
+    });
+  }
+  const balance =
+    caseItem.payment_status === 'paid'
+      ? `The fine${caseItem.penalty_amount > 0 ? ' and penalties are' : ' is'} now fully paid.`
+      : `Outstanding balance: ${formatMoney(caseItem.outstanding_balance, caseItem.currency)}.`;
+  await notifyCaseWatchers(caseItem, {
+    type: 'payment_verified',
+    title: 'Payment Verified',
+    message: `The payment of ${formatMoney(payment.amount, payment.currency)} for case ${caseItem.case_number} was verified. ${balance}`,
+    paymentId: payment._id,
+    actorId,
+  });
+
+  return { payment, caseItem, receipt };
+};
+
+/**
+ * Agree an instalment plan for the outstanding balance of a case, replacing any
+ * existing plan. The instalments must add up to the outstanding balance, penalties included.
+ * The caller saves the case.
+ * @param {Document} caseItem - Case document
+ * @param {Object} plan - { instalments: [{ due_date, amount }], notes }
+ * @param {string} actorId - User agreeing the plan
+ */
+export const setInstalmentPlan = (caseItem, { instalments, notes }, actorId) => {
+  if (!(caseItem.fine_amount > 0)) throw createError(400, 'Case has no fine amount');
+  if (caseItem.payment_status === 'paid') throw createError(400, 'The fine is already fully paid');
+
+  const outstanding = roundMoney(getAmountDue(caseItem) - (caseItem.payment_amount || 0));
+  const total = roundMoney(instalments.reduce((sum, i) => sum + i.amount, 0));
+  if (total !== outstanding) {
+    throw createError(400, `Instalments add up to ${total} but the outstanding balance is ${outstanding}`);
+  }
+
+  caseItem.instalment_plan = {
+    instalments: [...instalments]
+      .sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+      .map((i) => ({ due_date: new Date(i.due_date), amount: i.amount, paid_amount: 0 })),
+    opening_paid: roundMoney(caseItem.payment_amount),
+    created_by: actorId,
+    created_at: new Date(),
+    notes,
+  };
+  caseItem.lastActivityAt = new Date();
+  return caseItem;
+};
+
+/**
+ * Payment position of a case, in the case's currency: fine, penalties, verified (net of refunds)
+ * and pending totals, outstanding balance, every payment and fine adjustment, and the instalment plan with overdue instalments flagged
+ * @param {Object} caseItem - Case (document or lean)
+ */
+export const getCasePaymentSummary = async (caseItem) => {
+  const payments = await PaymentModel.find({ case_id: caseItem._id })
+    .populate('verified_by', 'name email')
+    .sort({ payment_date: 1, createdAt: 1 })
+    .lean();
+
+  const adjustments = await FineAdjustmentModel.find({ case_id: caseItem._id })
+    .populate('requested_by', 'name email')
+    .populate('reviewed_by', 'name email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const sumOf = (status) =>
+    roundMoney(payments.filter((p) => p.status === status).reduce((sum, p) => sum + (p.applied_amount ?? p.amount), 0));
+  const refunded = roundMoney(
+    adjustments.filter((a) => a.type === 'refund' && a.status === 'approved').reduce((sum, a) => sum + a.amount, 0),
+  );
+  const now = new Date();
+  const plan = caseItem.instalment_plan?.instalments?.length ? caseItem.instalment_plan : null;
+  const instalments = (plan?.instalments || []).map((i) => {
+    const instalment = typeof i.toObject === 'function' ? i.toObject() : i;
+    const remaining = roundMoney(instalment.amount - (instalment.paid_amount || 0));
+    return { ...instalment, remaining, overdue: remaining > 0 && new Date(instalment.due_date) < now };
+  });
+
+  return {
+    case_id: caseItem._id,
+    case_number: caseItem.case_number,
+    currency: caseItem.currency || 'USD',
+    fine_amount: caseItem.fine_amount || 0,
+    penalty_amount: roundMoney(caseItem.penalty_amount),
+    amount_due: getAmountDue(caseItem),
+    paid_amount: roundMoney(sumOf('verified') - refunded),
+    refunded_amount: refunded,
+    pending_amount: sumOf('pending_verification'),
+    outstanding_balance: caseItem.outstanding_balance ?? roundMoney(getAmountDue(caseItem) - (caseItem.payment_amount || 0)),
+    payment_status: caseItem.payment_status,
+    payments,
+    adjustments,
+    instalment_plan: plan
+      ? {
+          ...(typeof plan.toObject === 'function' ? plan.toObject() : plan),
+          instalments,
+          next_due: instalments.find((i) => i.remaining > 0) || null,
+          overdue_amount: roundMoney(instalments.filter((i) => i.overdue).reduce((sum, i) => sum + i.remaining, 0)),
+        }
+      : null,
+  };
+};
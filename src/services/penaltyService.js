@@ -0,0 +1,206 @@
+/**
+ * Late Payment Penalty Service
+ *
+ * Penalties on Fined cases left unpaid past a grace period. Each accrual run adds a
+ * line item to the case for the periods that elapsed since the previous run; the
+ * fine itself is never changed. The policy lives in config.latePenalty.
+ */
+
+import { config } from '../config.js';
+import { CaseModel } from '../models/index.js';
+import { recordAudit } from './auditService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment statuses that still owe money and so accrue penalties
+const AccruingPaymentStatuses = ['unpaid', 'partially_paid'];
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+const addPeriods = (date, count, period) => {
+  const next = new Date(date);
+  if (period === 'monthly') next.setMonth(next.getMonth() + count);
+  else next.setDate(next.getDate() + count);
+  return next;
+};
+
+/**
+ * Whole periods ('daily' or 'monthly') between two dates
+ */
+export const elapsedPeriods = (from, to, period) => {
+  if (to <= from) return 0;
+  if (period === 'daily') return Math.floor((to - from) / DAY_MS);
+  let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  // Month ends roll over (31 January + 1 month is 3 March), so more than one month can overshoot
+  while (months > 0 && addPeriods(from, months, 'monthly') > to) months -= 1;
+  return Math.max(months, 0);
+};
+
+/**
+ * When the fine was decided: the last time the case moved into Fined
+ */
+export const getFinedAt = (caseItem) => {
+  const entry = [...(caseItem.status_history || [])].reverse().find((h) => h.to === 'Fined');
+  return entry?.changed_at || caseItem.statusChangedAt || caseItem.createdAt;
+};
+
+/**
+ * When penalties start: the fine decision plus the grace period
+ */
+export const getPenaltyStart = (caseItem, policy = config.latePenalty) =>
+  new Date(new Date(getFinedAt(caseItem)).getTime() + policy.graceDays * DAY_MS);
+
+/**
+ * Most a case can be charged in penalties in total (Infinity when the policy has no cap)
+ */
+export const getPenaltyCap = (caseItem, policy = config.latePenalty) => {
+  const caps = [];
+  if (policy.capPercent > 0) caps.push(((caseItem.fine_amount || 0) * policy.capPercent) / 100);
+  if (policy.capAmount > 0) caps.push(policy.capAmount);
+  return caps.length ? roundMoney(Math.min(...caps)) : Infinity;
+};
+
+const penaltyPerPeriod = (caseItem, policy) =>
+  roundMoney(policy.basis === 'flat' ? policy.rate : ((caseItem.fine_amount || 0) * policy.rate) / 100);
+
+/**
+ * Why a case does not accrue penalties right now, or null if it does
+ */
+export const getPenaltyExemption = (caseItem) => {
+  if (caseItem.status !== 'Fined') return 'Case is not Fined';
+  if (!(caseItem.fine_amount > 0)) return 'Case has no fine';
+  if (!AccruingPaymentStatuses.includes(caseItem.payment_status)) return `Payment status is ${caseItem.payment_status}`;
+  if (caseItem.appeal_pending) return 'An appeal is pending';
+  return null;
+};
+
+/**
+ * Accrue the penalty for the periods that have elapsed since the last accrual. Periods that
+ * pass while an appeal is pending are skipped without charge. The caller saves the case.
+ * @param {Document} caseItem - Case document
+ * @param {Date} now - Accrue up to this moment
+ * @returns {Object|null} The new line item, or null if nothing was charged
+ */
+export const accrueCasePenalty = (caseItem, now = new Date(), policy = config.latePenalty) => {
+  const exemption = getPenaltyExemption(caseItem);
+  if (exemption && !caseItem.appeal_pending) return null;
+
+  const start = caseItem.penalty_accrued_until || getPenaltyStart(caseItem, policy);
+  const periods = elapsedPeriods(start, now, policy.period);
+  if (periods <= 0) return null;
+  const end = addPeriods(start, periods, policy.period);
+
+  // Move past every elapsed period, charged or not, so the next run starts from here
+  caseItem.penalty_accrued_until = end;
+  if (exemption) return null;
+
+  const remaining = roundMoney(getPenaltyCap(caseItem, policy) - (caseItem.penalty_amount || 0));
+  const full = roundMoney(penaltyPerPeriod(caseItem, policy) * periods);
+  const amount = Math.max(Math.min(full, remaining), 0);
+  if (amount <= 0) return null;
+
+  const line = {
+    period_start: start,
+    period_end: end,
+    periods,
+    basis: policy.basis,
+    rate: policy.rate,
+    period: policy.period,
+    amount,
+    capped: amount < full,
+    accrued_at: now,
+  };
+  caseItem.penalties.push(line);
+  caseItem.penalty_amount = roundMoney((caseItem.penalty_amount || 0) + amount);
+  return line;
+};
+
+/**
+ * Scheduled job: accrue late-payment penalties on every unpaid Fined case
+ * @returns {Promise<{ checked: number, accrued: number, amount: number }>}
+ */
+export const accrueLatePenalties = async (now = new Date()) => {
+  const policy = config.latePenalty;
+  if (!policy.enabled) return { checked: 0, accrued: 0, amount: 0 };
+
+  const cursor = CaseModel.find({
+    status: 'Fined',
+    fine_amount: { $gt: 0 },
+    payment_status: { $in: AccruingPaymentStatuses },
+    $or: [{ penalty_accrued_until: null }, { penalty_accrued_until: { $lt: now } }],
+  }).cursor();
+
+  let checked = 0;
+  let accrued = 0;
+  let amount = 0;
+  for await (const caseItem of cursor) {
+    checked += 1;
+    try {
+      const line = accrueCasePenalty(caseItem, now, policy);
+      if (!caseItem.isModified()) continue;
+      await caseItem.save();
+      if (!line) continue;
+
+      accrued += 1;
+      amount = roundMoney(amount + line.amount);
+      await recordAudit({
+        action: 'accrue_penalty',
+        entity: 'case',
+        entityId: caseItem.id,
+        details: {
+          amount: line.amount,
+          periods: line.periods,
+          period_start: line.period_start,
+          period_end: line.period_end,
+          penalty_amount: caseItem.penalty_amount,
+          outstanding_balance: caseItem.outstanding_balance,
+        },
+      });
+    } catch (error) {
+      console.error(`Error accruing the late-payment penalty for case ${caseItem.case_number}:`, error);
+    }
+  }
+
+  return { checked, accrued, amount };
+};
+
+/**
+ * Penalty breakdown of a case: the policy applied, each line item, the cap and what is due in total
+ * @param {Object} caseItem - Case (document or lean)
+ */
+export const getPenaltyBreakdown = (caseItem, policy = config.latePenalty) => {
+  const cap = getPenaltyCap(caseItem, policy);
+  const penaltyAmount = roundMoney(caseItem.penalty_amount);
+  const penaltyStart = getPenaltyStart(caseItem, policy);
+  const exemption = policy.enabled ? getPenaltyExemption(caseItem) : 'Late-payment penalties are disabled';
+  const capReached = cap !== Infinity && penaltyAmount >= cap;
+
+  return {
+    case_id: caseItem._id,
+    case_number: caseItem.case_number,
+    policy: {
+      enabled: policy.enabled,
+      grace_days: policy.graceDays,
+      basis: policy.basis,
+      rate: policy.rate,
+      period: policy.period,
+      cap_percent: policy.capPercent,
+      cap_amount: policy.capAmount,
+    },
+    fined_at: caseItem.status === 'Fined' || penaltyAmount > 0 ? getFinedAt(caseItem) : null,
+    penalty_start: penaltyStart,
+    accrued_until: caseItem.penalty_accrued_until || null,
+    penalties: caseItem.penalties || [],
+    penalty_amount: penaltyAmount,
+    penalty_cap: cap === Infinity ? null : cap,
+    cap_reached: capReached,
+    accruing: !exemption && !capReached,
+    not_accruing_reason: exemption || (capReached ? 'Penalty cap reached' : null),
+    next_accrual_at:
+      exemption || capReached ? null : addPeriods(caseItem.penalty_accrued_until || penaltyStart, 1, policy.period),
+    fine_amount: caseItem.fine_amount || 0,
+    amount_due: roundMoney((caseItem.fine_amount || 0) + penaltyAmount),
+    paid_amount: roundMoney(caseItem.payment_amount),
+    outstanding_balance: caseItem.outstanding_balance,
+  };
+};
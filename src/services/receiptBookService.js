@@ -0,0 +1,173 @@
+/**
+ * Receipt Book Service
+ *
+ * Registry of the physical receipt books issued to officers. The receipt reference
+ * of a cash payment is matched to a leaf of an issued book; serials that no book
+ * covers, that were already used, or that come from someone else's (or a returned)
+ * book are flagged on the payment for finance to check before verifying it.
+ */
+
+import createError from 'http-errors';
+
+import { PaymentModel, ReceiptBookModel } from '../models/index.js';
+
+// Optional letter prefix, an optional separator, then the serial: "A-001234", "A001234", "1234"
+const ReferencePattern = /^([A-Z]*)[\s\-/#.]*(\d+)$/;
+
+/**
+ * Split a receipt reference into its book prefix and serial
+ * @returns {{ prefix: string, serial: number }|null} null when it is not a receipt book serial
+ */
+export const parseReceiptReference = (reference) => {
+  const match = String(reference || '')
+    .trim()
+    .toUpperCase()
+    .match(ReferencePattern);
+  return match ? { prefix: match[1], serial: Number(match[2]) } : null;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Throw if a new book's serial range overlaps a book already in the registry
+ */
+export const assertReceiptBookRangeFree = async ({ prefix = '', serial_start, serial_end }) => {
+  if (serial_end < serial_start) throw createError(400, 'serial_end must not be below serial_start');
+  const overlapping = await ReceiptBookModel.findOne({
+    prefix: prefix.toUpperCase(),
+    serial_start: { $lte: serial_end },
+    serial_end: { $gte: serial_start },
+  }).lean();
+  if (overlapping) {
+    throw createError(
+      409,
+      `Serials overlap book ${overlapping.book_number} (${overlapping.serial_start}-${overlapping.serial_end})`,
+    );
+  }
+};
+
+/**
+ * Match a receipt reference to a receipt book leaf and flag anything wrong with it
+ * @param {Object} options - { reference, officerId (collecting officer), paymentDate, excludePaymentId }
+ * @returns {Promise<{ receipt_book_id?: ObjectId, receipt_serial?: number, flags: string[] }>}
+ */
+export const checkReceiptReference = async ({ reference, officerId, paymentDate = new Date(), excludePaymentId }) => {
+  const parsed = parseReceiptReference(reference);
+  if (!parsed) return { flags: ['unreadable'] };
+
+  const book = await ReceiptBookModel.findOne({
+    prefix: parsed.prefix,
+    serial_start: { $lte: parsed.serial },
+    serial_end: { $gte: parsed.serial },
+  }).lean();
+  if (!book) return { receipt_serial: parsed.serial, flags: ['out_of_range'] };
+
+  const flags = [];
+  const used = await PaymentModel.exists({
+    receipt_book_id: book._id,
+    receipt_serial: parsed.serial,
+    status: { $ne: 'rejected' }, // A rejected payment may be resubmitted with the same receipt
+    ...(excludePaymentId ? { _id: { $ne: excludePaymentId } } : {}),
+  });
+  if (used) flags.push('already_used');
+  if (officerId && String(book.officer_id) !== String(officerId)) flags.push('other_officer');
+  if (book.returned_at && startOfDay(paymentDate) > book.returned_at) flags.push('book_returned');
+  if (paymentDate < startOfDay(book.issued_at)) flags.push('before_issue');
+
+  return { receipt_book_id: book._id, receipt_serial: parsed.serial, flags };
+};
+
+// Consecutive serials as ranges: [1, 2, 3, 7] -> [{ from: 1, to: 3 }, { from: 7, to: 7 }]
+const toRanges = (serials) =>
+  serials.reduce((ranges, serial) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === serial - 1) last.to = serial;
+    else ranges.push({ from: serial, to: serial });
+    return ranges;
+  }, []);
+
+const summarizeUsage = (book, payments) => {
+  const counts = new Map();
+  payments.forEach((p) => counts.set(p.receipt_serial, (counts.get(p.receipt_serial) || 0) + 1));
+  const highest = counts.size ? Math.max(...counts.keys()) : null;
+
+  // Missing: leaves skipped below the highest serial used. Unused: blank leaves after it.
+  const missing = [];
+  const unused = [];
+  for (let serial = book.serial_start; serial <= book.serial_end; serial += 1) {
+    if (counts.has(serial)) continue;
+    if (highest !== null && serial < highest) missing.push(serial);
+    else unused.push(serial);
+  }
+
+  return {
+    book_id: book._id,
+    book_number: book.book_number,
+    prefix: book.prefix,
+    serial_start: book.serial_start,
+    serial_end: book.serial_end,
+    officer_id: book.officer_id,
+    status: book.status,
+    issued_at: book.issued_at,
+    returned_at: book.returned_at || null,
+    total: book.serial_end - book.serial_start + 1,
+    used: counts.size,
+    last_used_serial: highest,
+    missing_count: missing.length,
+    missing: toRanges(missing),
+    unused_count: unused.length,
+    unused: toRanges(unused),
+    reused: [...counts.entries()].filter(([, count]) => count > 1).map(([serial, count]) => ({ serial, count })),
+  };
+};
+
+const usedLeaves = (bookIds) =>
+  PaymentModel.find({ receipt_book_id: { $in: bookIds }, status: { $ne: 'rejected' } })
+    .select('receipt_book_id receipt_serial case_id amount currency payment_date status collected_by receipt_flags')
+    .populate('case_id', 'case_number')
+    .sort({ receipt_serial: 1 })
+    .lean();
+
+/**
+ * Usage of one book: used, missing and unused serials, plus the payments written from it
+ */
+export const getReceiptBookUsage = async (book) => {
+  const payments = await usedLeaves([book._id]);
+  return { ...summarizeUsage(book, payments), payments };
+};
+
+/**
+ * Missing and unused serials of every book matching a filter
+ * @param {Object} filter - ReceiptBook filter (officer_id, status)
+ */
+export const getReceiptBookReport = async (filter = {}) => {
+  const books = await ReceiptBookModel.find(filter).populate('officer_id', 'name email district').sort({ book_number: 1 }).lean();
+  const payments = await usedLeaves(books.map((b) => b._id));
+
+  const byBook = new Map();
+  payments.forEach((p) => {
+    const key = String(p.receipt_book_id);
+    if (!byBook.has(key)) byBook.set(key, []);
+    byBook.get(key).push(p);
+  });
+
+  const rows = books.map((book) => ({
+    ...summarizeUsage({ ...book, officer_id: book.officer_id?._id }, byBook.get(String(book._id)) || []),
+    officer_name: book.officer_id?.name,
+    district: book.officer_id?.district || null,
+  }));
+  return {
+    rows,
+    totals: {
+      books: rows.length,
+      used: rows.reduce((sum, r) => sum + r.used, 0),
+      missing: rows.reduce((sum, r) => sum + r.missing_count, 0),
+      unused: rows.reduce((sum, r) => sum + r.unused_count, 0),
+      reused: rows.reduce((sum, r) => sum + r.reused.length, 0),
+    },
+  };
+};
@@ -0,0 +1,150 @@
+/**
+ * Receipt Service
+ *
+ * Official receipts for verified payments. Receipt numbers come from the receipt
+ * sequence and are never reused or skipped: a receipt that is cancelled is voided,
+ * not deleted, and a number taken by an issue that then failed is stored as a
+ * voided receipt too.
+ */
+
+import crypto from 'crypto';
+
+import createError from 'http-errors';
+import PDFDocument from 'pdfkit';
+
+import { CaseModel, ReceiptModel, UserModel } from '../models/index.js';
+import { formatMoney } from './currencyService.js';
+import { nextSequenceValue } from './sequenceService.js';
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-');
+
+// Short code printed on the receipt; quoted together with the number to check a receipt is genuine
+const newVerificationCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+/**
+ * Issue a receipt for a verified payment
+ * @param {Object} payment - Verified payment (document or lean)
+ * @param {string} actorId - User issuing the receipt
+ * @returns {Promise<Document>} The new receipt
+ */
+export const issueReceipt = async (payment, actorId) => {
+  if (payment.status !== 'verified') throw createError(400, 'Receipts are only issued for verified payments');
+  const active = await ReceiptModel.exists({ payment_id: payment._id, status: 'issued' });
+  if (active) throw createError(409, 'Payment already has a receipt; void it before issuing a new one');
+
+  const caseItem = await CaseModel.findById(payment.case_id)
+    .select('case_number check_in_id')
+    .populate({ path: 'check_in_id', select: 'business_id', populate: { path: 'business_id', select: 'business_name business_id' } })
+    .lean();
+  const verifier = payment.verified_by ? await UserModel.findById(payment.verified_by).select('name').lean() : null;
+  const business = caseItem?.check_in_id?.business_id;
+
+  const receiptNumber = await nextSequenceValue('receipt');
+  try {
+    return await ReceiptModel.create({
+      receipt_number: receiptNumber,
+      payment_id: payment._id,
+      case_id: payment.case_id,
+      case_number: caseItem?.case_number,
+      business_name: business?.business_name,
+      business_code: business?.business_id,
+      amount: payment.amount,
+      currency: payment.currency || 'USD',
+      payment_method: payment.payment_method,
+      payment_reference: payment.receipt_reference,
+      payment_date: payment.payment_date,
+      verified_by: payment.verified_by,
+      verified_by_name: verifier?.name,
+      verification_code: newVerificationCode(),
+      issued_at: new Date(),
+      issued_by: actorId,
+    });
+  } catch (err) {
+    // Keep the number in the sequence as a spoiled receipt
+    await ReceiptModel.create({
+      receipt_number: receiptNumber,
+      verification_code: newVerificationCode(),
+      status: 'voided',
+      void_reason: `Not issued: ${err.message}`,
+      voided_at: new Date(),
+      issued_by: actorId,
+    }).catch((spoilError) => console.error(`[receipts] Could not record spoiled receipt ${receiptNumber}:`, spoilError.message));
+    throw err;
+  }
+};
+
+/**
+ * Void a receipt. It stays in the sequence, marked as voided.
+ */
+export const voidReceipt = async (receipt, { actorId, reason }) => {
+  if (receipt.status === 'voided') throw createError(409, 'Receipt is already voided');
+  receipt.status = 'voided';
+  receipt.void_reason = reason;
+  receipt.voided_by = actorId;
+  receipt.voided_at = new Date();
+  await receipt.save();
+  return receipt;
+};
+
+/**
+ * Render a receipt as PDF. Copies after the first print are marked as reprints,
+ * and voided receipts are marked as void.
+ * @param {Object} receipt - Receipt (document or lean)
+ * @param {Object} options - { reprint } - copy number to print as a reprint, if any
+ * @returns {Promise<Buffer>}
+ */
+export const generateReceiptPDF = (receipt, { reprint } = {}) =>
+  new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A5', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const field = (label, value) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+      };
+
+      doc.fontSize(16).text('Police Tax Control System', { align: 'center' });
+      doc.fontSize(13).text('Official Payment Receipt', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(12).font('Helvetica-Bold').text(`No. ${receipt.receipt_number}`, { align: 'center' });
+      doc.font('Helvetica');
+      if (reprint) {
+        doc.fontSize(9).fillColor('gray').text(`REPRINT (copy ${reprint})`, { align: 'center' }).fillColor('black');
+      }
+      doc.moveDown();
+
+      doc.fontSize(10);
+      field('Business', receipt.business_name);
+      field('Business ID', receipt.business_code);
+      field('Case number', receipt.case_number);
+      field('Amount', typeof receipt.amount === 'number' ? formatMoney(receipt.amount, receipt.currency || 'USD') : null);
+      field('Payment method', receipt.payment_method?.replace('_', ' '));
+      field('Payment reference', receipt.payment_reference);
+      field('Payment date', formatDateTime(receipt.payment_date));
+      field('Verified by', receipt.verified_by_name);
+      field('Issued', formatDateTime(receipt.issued_at));
+      doc.moveDown();
+      field('Verification code', receipt.verification_code);
+      doc
+        .fontSize(8)
+        .fillColor('gray')
+        .text('Quote the receipt number and verification code to confirm this receipt is genuine.')
+        .fillColor('black');
+
+      if (receipt.status === 'voided') {
+        doc.moveDown();
+        doc.fontSize(22).fillColor('red').text('VOID', { align: 'center' });
+        doc.fontSize(9).text(`${formatDateTime(receipt.voided_at)}: ${receipt.void_reason || ''}`, { align: 'center' });
+        doc.fillColor('black');
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
@@ -0,0 +1,87 @@
+import { config } from '../config.js';
+import { CaseModel, CheckInModel } from '../models/index.js';
+
+/**
+ * Prior offences of the business behind a case: other cases of the same
+ * business, opened before it within the look-back window, that ended in a fine
+ * @param {Object} caseItem - Case (needs _id, check_in_id and createdAt)
+ * @param {number} lookbackDays - Window in days
+ * @returns {Promise<Array>} Prior fined cases, most recent first
+ */
+export const findPriorOffences = async (caseItem, lookbackDays = config.recidivism.lookbackDays) => {
+  if (!lookbackDays || lookbackDays <= 0) return [];
+
+  const checkIn = await CheckInModel.findById(caseItem.check_in_id).select('business_id').lean();
+  if (!checkIn?.business_id) return [];
+
+  const checkInIds = await CheckInModel.find({ business_id: checkIn.business_id }).distinct('_id');
+  // Measured from the case itself, so re-deciding an old case ignores cases opened after it
+  const openedAt = caseItem.createdAt ? new Date(caseItem.createdAt) : new Date();
+  const since = new Date(openedAt.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+  const priors = await CaseModel.find({
+    _id: { $ne: caseItem._id },
+    check_in_id: { $in: checkInIds },
+    status: { $in: ['Fined', 'Resolved'] },
+    fine_amount: { $gt: 0 },
+    createdAt: { $gte: since, $lt: openedAt },
+  })
+    .select('case_number case_type status fine_amount violation_codes createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return priors.map((c) => ({
+    case_id: c._id,
+    case_number: c.case_number,
+    case_type: c.case_type,
+    status: c.status,
+    fine_amount: c.fine_amount,
+    violation_codes: c.violation_codes || [],
+    date: c.createdAt,
+  }));
+};
+
+/**
+ * Repeat-offender tier and fine multiplier for a number of prior offences.
+ * Tier 0 is a first offence; tiers past the end of the schedule use its last multiplier.
+ */
+export const getRecidivismTier = (priorCount) => {
+  const { multipliers } = config.recidivism;
+  const tier = Math.min(priorCount, multipliers.length);
+  return { tier, multiplier: tier === 0 ? 1 : multipliers[tier - 1] };
+};
+
+/**
+ * Apply the recidivism schedule to a base fine.
+ * The escalated fine is capped at the statutory maximum unless the base fine is an override.
+ * @param {Object} caseItem - Case
+ * @param {number} baseFine - Fine before escalation
+ * @param {Object|null} schedule - Statutory schedule (see getFineSchedule)
+ * @param {boolean} override - Base fine was accepted outside the statutory range
+ * @returns {Promise<Object>} { fine_amount, recidivism, prior_offences }
+ */
+export const applyRecidivism = async (caseItem, baseFine, schedule, override = false) => {
+  const priorOffences = await findPriorOffences(caseItem);
+  const { tier, multiplier } = getRecidivismTier(priorOffences.length);
+
+  let fineAmount = Math.round(baseFine * multiplier * 100) / 100;
+  let capped = false;
+  if (schedule && !override && fineAmount > schedule.max_fine) {
+    fineAmount = schedule.max_fine;
+    capped = true;
+  }
+
+  return {
+    fine_amount: fineAmount,
+    prior_offences: priorOffences,
+    recidivism: {
+      tier,
+      multiplier,
+      base_fine: baseFine,
+      prior_case_ids: priorOffences.map((p) => p.case_id),
+      lookback_days: config.recidivism.lookbackDays,
+      capped,
+      assessed_at: new Date(),
+    },
+  };
+};
@@ -0,0 +1,300 @@
+/**
+ * Reconciliation Service
+ *
+ * Matches the lines of an uploaded bank or mobile-money statement to payments
+ * awaiting verification. A line is suggested for a payment when the amounts agree
+ * and either the receipt reference or the date (within the tolerance) agrees too.
+ * A statement is in one currency and only payments made in that currency are considered.
+ * Finance confirms suggestions in bulk, which verifies the payments as usual.
+ */
+
+import createError from 'http-errors';
+
+import { PaymentModel, StatementReconciliationModel } from '../models/index.js';
+import { verifyPayment } from './paymentService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Header variations per statement field, as on the bank and mobile-money exports seen so far
+const StatementHeaders = {
+  reference: [
+    'reference', 'ref', 'ref no', 'reference number', 'receipt', 'receipt reference', 'receipt no',
+    'transaction id', 'transaction reference', 'txn id', 'txn ref', 'trans id',
+  ],
+  amount: ['amount', 'credit', 'credit amount', 'paid in', 'deposit', 'amount received', 'cr'],
+  date: ['date', 'transaction date', 'value date', 'posting date', 'txn date', 'completion time'],
+  description: ['description', 'narration', 'details', 'particulars', 'memo', 'remarks'],
+};
+
+/**
+ * Map statement fields to the file's column headers; an explicit mapping wins
+ */
+export const detectStatementMapping = (headers, mapping = {}) => {
+  const detected = {};
+  for (const [field, variations] of Object.entries(StatementHeaders)) {
+    if (mapping[field]) {
+      detected[field] = mapping[field];
+      continue;
+    }
+    const header = headers.find((h) => variations.includes(normalizeHeader(h)));
+    if (header) detected[field] = String(header).trim();
+  }
+  return detected;
+};
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const amount = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(amount) ? null : amount;
+};
+
+// Dates come as Excel serial numbers or as text
+const parseDate = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const date = typeof value === 'number' ? new Date(Math.round((value - 25569) * DAY_MS)) : new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Turn parsed statement rows (header row first, see importService.parseFile) into statement lines.
+ * Rows without a positive amount (debits, balances, blank rows) are skipped.
+ * @returns {{ mapping: Object, lines: Array }}
+ */
+export const parseStatementRows = (rows, mapping = {}) => {
+  const headers = (rows[0] || []).map((h) => String(h || '').trim());
+  const detected = detectStatementMapping(headers, mapping);
+  if (!detected.amount || !detected.date) {
+    throw createError(400, 'Could not find the amount and date columns; pass a mapping with the statement headers');
+  }
+  const column = (field) => (detected[field] ? headers.indexOf(detected[field]) : -1);
+  const columns = Object.fromEntries(Object.keys(StatementHeaders).map((field) => [field, column(field)]));
+  const missing = Object.entries(columns).filter(([field, index]) => detected[field] && index < 0);
+  if (missing.length > 0) {
+    throw createError(400, `Column not found in the statement: ${missing.map(([field]) => detected[field]).join(', ')}`);
+  }
+
+  const cell = (row, field) => (columns[field] >= 0 ? row[columns[field]] : undefined);
+  const lines = [];
+  rows.slice(1).forEach((row, index) => {
+    if (!Array.isArray(row)) return;
+    const amount = parseAmount(cell(row, 'amount'));
+    if (!(amount > 0)) return;
+    lines.push({
+      row_index: index + 1,
+      reference: String(cell(row, 'reference') ?? '').trim() || undefined,
+      amount,
+      transaction_date: parseDate(cell(row, 'date')),
+      description: String(cell(row, 'description') ?? '').trim() || undefined,
+      status: 'unmatched',
+    });
+  });
+  return { mapping: detected, lines };
+};
+
+/**
+ * How well a statement line fits a payment: null if it does not fit at all
+ */
+const scoreMatch = (line, payment, toleranceDays) => {
+  if (Math.abs((line.amount || 0) - payment.amount) > 0.005) return null;
+
+  const reasons = ['amount'];
+  let score = 2;
+  const ref = normalizeReference(payment.receipt_reference);
+  if (ref) {
+    if (normalizeReference(line.reference) === ref) {
+      reasons.push('reference');
+      score += 4;
+    } else if (`${normalizeReference(line.reference)} ${normalizeReference(line.description)}`.includes(ref)) {
+      reasons.push('reference');
+      score += 3;
+    }
+  }
+  const dayGap =
+    line.transaction_date && payment.payment_date
+      ? Math.abs(new Date(line.transaction_date) - new Date(payment.payment_date)) / DAY_MS
+      : Infinity;
+  if (dayGap <= toleranceDays) {
+    reasons.push('date');
+    score += 1;
+  }
+  if (!reasons.includes('reference') && !reasons.includes('date')) return null;
+  return { score, reasons, dayGap };
+};
+
+// Payments from before currencies were tracked are in dollars
+const paymentCurrencyOf = (payment) => payment.currency || 'USD';
+
+// Pending payments in the statement's currency, dated within the statement period, widened by the tolerance
+const pendingPaymentsFilter = (reconciliation) => {
+  const currency = reconciliation.currency || 'USD';
+  const filter = {
+    status: 'pending_verification',
+    currency: currency === 'USD' ? { $in: [currency, null] } : currency,
+  };
+  const tolerance = (reconciliation.date_tolerance_days || 0) * DAY_MS;
+  if (reconciliation.period_start && reconciliation.period_end) {
+    filter.payment_date = {
+      $gte: new Date(new Date(reconciliation.period_start).getTime() - tolerance),
+      $lte: new Date(new Date(reconciliation.period_end).getTime() + tolerance),
+    };
+  }
+  return filter;
+};
+
+/**
+ * Payment IDs (as strings) suggested on other open reconciliations; those stay with them
+ */
+const paymentsClaimedElsewhere = async (reconciliation) => {
+  const others = await StatementReconciliationModel.find({
+    _id: { $ne: reconciliation._id },
+    status: 'open',
+    'lines.status': 'suggested',
+  })
+    .select('lines.payment_id lines.status')
+    .lean();
+  return new Set(
+    others.flatMap((r) => r.lines.filter((l) => l.status === 'suggested' && l.payment_id).map((l) => String(l.payment_id))),
+  );
+};
+
+/**
+ * (Re)match the lines of a reconciliation that are not confirmed yet to pending payments.
+ * Each payment is suggested for at most one line, best matches first. The caller saves.
+ * @param {Document} reconciliation - StatementReconciliation document
+ */
+export const matchStatementLines = async (reconciliation) => {
+  const dates = reconciliation.lines.map((l) => l.transaction_date).filter(Boolean);
+  if (dates.length > 0) {
+    reconciliation.period_start = new Date(Math.min(...dates.map(Number)));
+    reconciliation.period_end = new Date(Math.max(...dates.map(Number)));
+  }
+
+  const claimed = await paymentsClaimedElsewhere(reconciliation);
+  const payments = (await PaymentModel.find(pendingPaymentsFilter(reconciliation)).lean()).filter(
+    (p) => !claimed.has(String(p._id)),
+  );
+
+  const open = reconciliation.lines.filter((l) => l.status !== 'confirmed');
+  const candidates = [];
+  for (const line of open) {
+    line.status = 'unmatched';
+    line.payment_id = undefined;
+    line.match_score = undefined;
+    line.match_reasons = [];
+    for (const payment of payments) {
+      const match = scoreMatch(line, payment, reconciliation.date_tolerance_days || 0);
+      if (match) candidates.push({ line, payment, ...match });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.dayGap - b.dayGap);
+  const usedPayments = new Set();
+  for (const { line, payment, score, reasons } of candidates) {
+    if (line.status === 'suggested' || usedPayments.has(String(payment._id))) continue;
+    line.status = 'suggested';
+    line.payment_id = payment._id;
+    line.match_score = score;
+    line.match_reasons = reasons;
+    line.error = undefined;
+    usedPayments.add(String(payment._id));
+  }
+
+  reconciliation.status = reconciliation.lines.some((l) => l.status === 'suggested') ? 'open' : reconciliation.status;
+  return reconciliation;
+};
+
+/**
+ * Pending payments in the statement period that no line of the reconciliation points to
+ */
+export const getUnmatchedPayments = async (reconciliation) => {
+  const matched = reconciliation.lines.filter((l) => l.payment_id).map((l) => l.payment_id._id || l.payment_id);
+  return PaymentModel.find({ ...pendingPaymentsFilter(reconciliation), _id: { $nin: matched } })
+    .populate('case_id', 'case_number fine_amount outstanding_balance')
+    .sort({ payment_date: 1 })
+    .lean();
+};
+
+/**
+ * Confirm matches in bulk: each line's payment is verified like POST /payments/:id/verify.
+ * A line that fails (e.g. the payment was verified or rejected in the meantime) keeps the
+ * error and the others carry on. The caller saves the reconciliation.
+ * @param {Document} reconciliation - StatementReconciliation document
+ * @param {Object} selection - { line_ids, matches: [{ line_id, payment_id }] } - suggested lines to
+ *   confirm (all of them when neither is given) and manual pairings for other lines
+ * @param {string} actorId - Finance user confirming
+ * @returns {Promise<{ confirmed: Array, failed: Array }>} Line IDs confirmed, and { line_id, error } for failures
+ */
+export const confirmStatementMatches = async (reconciliation, { line_ids, matches = [] } = {}, actorId) => {
+  const lineById = (id) => {
+    const line = reconciliation.lines.id(id);
+    if (!line) throw createError(404, `Statement line ${id} not found`);
+    return line;
+  };
+
+  // Manual pairings replace the suggestion for that line
+  for (const { line_id, payment_id } of matches) {
+    const line = lineById(line_id);
+    if (line.status === 'confirmed') throw createError(409, `Statement line ${line.row_index} is already confirmed`);
+    const taken = reconciliation.lines.find((l) => l !== line && l.payment_id && String(l.payment_id) === String(payment_id));
+    if (taken) throw createError(409, `Payment ${payment_id} is already matched to statement line ${taken.row_index}`);
+    line.status = 'suggested';
+    line.payment_id = payment_id;
+    line.match_score = undefined;
+    line.match_reasons = ['manual'];
+  }
+
+  const targets =
+    line_ids || matches.length > 0
+      ? [...new Set([...(line_ids || []), ...matches.map((m) => m.line_id)])].map(lineById)
+      : reconciliation.lines.filter((l) => l.status === 'suggested');
+
+  const confirmed = [];
+  const failed = [];
+  for (const line of targets) {
+    try {
+      if (line.status !== 'suggested' || !line.payment_id) {
+        throw createError(400, `Statement line ${line.row_index} has no suggested payment`);
+      }
+      const payment = await PaymentModel.findById(line.payment_id);
+      if (!payment) throw createError(404, 'Payment not found');
+      if (paymentCurrencyOf(payment) !== (reconciliation.currency || 'USD')) {
+        throw createError(400, `Payment is in ${paymentCurrencyOf(payment)}, the statement in ${reconciliation.currency || 'USD'}`);
+      }
+
+      await verifyPayment(payment, {
+        actorId,
+        notes: `Matched to ${reconciliation.source.replace('_', ' ')} statement line ${line.row_index}${line.reference ? ` (${line.reference})` : ''}`,
+        auditDetails: { reconciliation_id: String(reconciliation._id), statement_line: line.row_index },
+      });
+      line.status = 'confirmed';
+      line.confirmed_by = actorId;
+      line.confirmed_at = new Date();
+      line.error = undefined;
+      confirmed.push(String(line._id));
+    } catch (err) {
+      line.error = err.message;
+      failed.push({ line_id: String(line._id), row_index: line.row_index, error: err.message });
+    }
+  }
+
+  if (!reconciliation.lines.some((l) => l.status === 'suggested')) {
+    reconciliation.status = 'completed';
+    reconciliation.completed_at = new Date();
+  }
+  return { confirmed, failed };
+};
+
+/**
+ * Line counts per status
+ */
+export const summarizeReconciliation = (reconciliation) => {
+  const summary = { lines: reconciliation.lines.length, suggested: 0, confirmed: 0, unmatched: 0 };
+  reconciliation.lines.forEach((l) => {
+    summary[l.status] += 1;
+  });
+  return summary;
+};
@@ -1,6 +1,19 @@
+import crypto from 'crypto';
+
 import ExcelJS from 'exceljs';
 import PDFDocument from 'pdfkit';
-import { CaseModel, BusinessModel, EvidenceModel } from '../models/index.js';
+import {
+  AuditLogModel,
+  CaseModel,
+  BusinessModel,
+  CaseCommentModel,
+  EvidenceModel,
+  PaymentModel,
+} from '../models/index.js';
+import { downloadFromGridFS } from '../utils/gridfs.js';
+import { buildCaseFilter } from './caseService.js';
+import { formatMoney } from './currencyService.js';
+import { getRevenueLedger } from './revenueService.js';
 
 const FILE_BASE = process.env.FILE_BASE || 'http://localhost:4000';
 
@@ -19,15 +32,14 @@ export const generateExcelReport = async (
     if (startDate) dateFilter.createdAt.$gte = startDate;
     if (endDate) dateFilter.createdAt.$lte = endDate;
   }
-  if (filters.case_type) dateFilter.case_type = filters.case_type;
-  if (filters.status) dateFilter.status = filters.status;
+  Object.assign(dateFilter, await buildCaseFilter(filters));
 
   switch (reportType) {
     case 'cases': {
       const cases = await CaseModel.find(dateFilter)
         .populate({
           path: 'check_in_id',
-          select: 'fine business_id check_in_date phone notes',
+          select: 'fine fine_currency business_id check_in_date phone notes',
           populate: {
             path: 'business_id',
             select: 'business_name business_type owner_name business_id tax_id',
@@ -57,6 +69,7 @@ export const generateExcelReport = async (
         'Status',
         'Description',
         'Fine Amount',
+        'Currency',
         'Business Name',
         'Business Type',
         'Owner Name',
@@ -84,6 +97,7 @@ export const generateExcelReport = async (
           c.status || '',
           c.description || '',
           c.check_in_id?.fine || 0,
+          c.check_in_id?.fine_currency || 'USD',
           c.check_in_id?.business_id?.business_name || c.check_in_id?.business_id || '',
           c.check_in_id?.business_id?.business_type || '',
           c.check_in_id?.business_id?.owner_name || '',
@@ -185,6 +199,72 @@ export const generateExcelReport = async (
       });
       break;
     }
+    case 'revenue': {
+      // Payments and fine adjustments as separate lines, by the date they were approved
+      const { lines, totals } = await getRevenueLedger({ start: startDate, end: endDate });
+
+      const headerRow = worksheet.addRow([
+        'Date',
+        'Type',
+        'Case Number',
+        'Currency',
+        'Amount',
+        `Amount (${totals.base_currency})`,
+        'Cash Effect',
+        'Fine Effect',
+        'Method',
+        'Reference',
+        'Approved By',
+        'Reason',
+      ]);
+      headerRow.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FF4472C4' },
+      };
+      headerRow.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+
+      lines.forEach((line) => {
+        worksheet.addRow([
+          line.date ? new Date(line.date).toLocaleDateString() : '',
+          line.type,
+          line.case_number || '',
+          line.currency,
+          line.amount,
+          line.base_amount,
+          line.cash_effect,
+          line.fine_effect,
+          line.method || '',
+          line.reference || '',
+          line.approved_by || '',
+          line.reason || '',
+        ]);
+      });
+
+      // Totals per currency, then in the base currency
+      const totalRows = (label, currency, t) => {
+        [
+          [`Gross collected${label}`, t.gross_collected],
+          [`Refunds${label}`, t.refunds],
+          [`Net collected${label}`, t.net_collected],
+          [`Fines waived${label}`, t.waived],
+          [`Fines reduced${label}`, t.reduced],
+        ].forEach(([text, value]) => {
+          worksheet.addRow([text, '', '', currency, value]).font = { bold: true };
+        });
+      };
+      Object.entries(totals.by_currency).forEach(([currency, t]) => {
+        worksheet.addRow([]);
+        totalRows(` (${currency})`, currency, t);
+      });
+      worksheet.addRow([]);
+      totalRows(` (all, in ${totals.base_currency})`, totals.base_currency, totals);
+
+      worksheet.columns.forEach((column) => {
+        column.width = 18;
+      });
+      break;
+    }
     default:
       throw new Error(`Invalid report type: ${reportType}`);
   }
@@ -222,8 +302,7 @@ export const generatePDFReport = async (
     if (startDate) dateFilter.createdAt.$gte = startDate;
     if (endDate) dateFilter.createdAt.$lte = endDate;
   }
-      if (filters.case_type) dateFilter.case_type = filters.case_type;
-      if (filters.status) dateFilter.status = filters.status;
+      Object.assign(dateFilter, await buildCaseFilter(filters));
 
       // Generate report content based on type
       if (reportType === 'cases') {
@@ -231,7 +310,7 @@ export const generatePDFReport = async (
         const cases = await CaseModel.find(dateFilter)
           .populate({
             path: 'check_in_id',
-            select: 'fine business_id check_in_date phone notes',
+            select: 'fine fine_currency business_id check_in_date phone notes',
             populate: {
               path: 'business_id',
               select: 'business_name business_type owner_name business_id tax_id',
@@ -246,9 +325,14 @@ export const generatePDFReport = async (
         doc.fontSize(14).text('Summary Statistics', { underline: true });
         doc.moveDown();
         const totalCases = cases.length;
-        const totalFine = cases.reduce((sum, c) => sum + (c.check_in_id?.fine || 0), 0);
+        const totalFineByCurrency = {};
+        cases.forEach((c) => {
+          const currency = c.check_in_id?.fine_currency || 'USD';
+          totalFineByCurrency[currency] = (totalFineByCurrency[currency] || 0) + (c.check_in_id?.fine || 0);
+        });
         doc.fontSize(11).text(`Total Cases: ${totalCases}`);
-        doc.text(`Total Fine Amount: $${totalFine.toFixed(2)}`);
+        const fineTotals = Object.entries(totalFineByCurrency).map(([currency, total]) => formatMoney(total, currency));
+        doc.text(`Total Fine Amount: ${fineTotals.length ? fineTotals.join(', ') : formatMoney(0)}`);
         doc.moveDown(2);
 
         // Cases by Type Table
@@ -326,7 +410,7 @@ export const generatePDFReport = async (
           doc.text(c.case_number || '-', 55, y + 5);
           doc.text(c.case_type || '-', 140, y + 5);
           doc.text(c.status || '-', 200, y + 5);
-          doc.text(`$${(c.check_in_id?.fine || 0).toFixed(2)}`, 270, y + 5);
+          doc.text(formatMoney(c.check_in_id?.fine, c.check_in_id?.fine_currency), 270, y + 5);
           doc.text(c.assigned_officer_id?.name || 'Unassigned', 330, y + 5);
           doc.text(c.createdAt ? new Date(c.createdAt).toLocaleDateString() : '-', 450, y + 5);
           
@@ -423,3 +507,264 @@ export const generatePDFReport = async (
   });
 };
 
+
+// Evidence files larger than this are listed but not read for hashing or thumbnails
+const DOSSIER_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Image types pdfkit can embed
+const EMBEDDABLE_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-');
+
+const readStoredFile = async (fileId) => {
+  if (!fileId) return null;
+  try {
+    const { stream, file } = await downloadFromGridFS(fileId);
+    if (file.length > DOSSIER_MAX_FILE_BYTES) {
+      stream.destroy();
+      return null;
+    }
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  } catch (error) {
+    console.error(`[dossier] Could not read file ${fileId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Load everything that goes into a case dossier
+ * @returns {Promise<Object|null>} null if the case does not exist
+ */
+const loadDossierData = async (caseId) => {
+  const caseItem = await CaseModel.findById(caseId)
+    .populate({
+      path: 'check_in_id',
+      populate: [
+        { path: 'business_id' },
+        { path: 'officer_id', select: 'name email' },
+      ],
+    })
+    .populate('assigned_officer_id', 'name email')
+    .populate('status_history.changed_by', 'name email')
+    .populate('resolution_papers.officer_id', 'name email')
+    .lean();
+  if (!caseItem) return null;
+
+  const [evidence, payments, decisionComments] = await Promise.all([
+    EvidenceModel.find({ case_id: caseItem._id }).populate('uploaded_by', 'name email').sort({ uploaded_at: 1 }).lean(),
+    PaymentModel.find({ case_id: caseItem._id }).populate('verified_by', 'name email').sort({ createdAt: 1 }).lean(),
+    CaseCommentModel.find({ case_id: caseItem._id, kind: 'decision', internal: { $ne: true } })
+      .populate('author_id', 'name email')
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  const auditLogs = await AuditLogModel.find({
+    $or: [
+      { entity: { $in: ['case', 'case_paper'] }, entityId: String(caseItem._id) },
+      { entity: 'payment', entityId: { $in: payments.map((p) => String(p._id)) } },
+      { entity: 'evidence', entityId: { $in: evidence.map((e) => String(e._id)) } },
+    ],
+  })
+    .populate('user', 'name email')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Hash the stored evidence files so the dossier attests to their actual contents
+  for (const ev of evidence) {
+    ev.buffer = await readStoredFile(ev.file_id);
+    ev.computed_sha256 = ev.buffer ? crypto.createHash('sha256').update(ev.buffer).digest('hex') : null;
+  }
+
+  return { caseItem, evidence, payments, decisionComments, auditLogs };
+};
+
+/**
+ * Generate the case dossier PDF used for court referrals and ministry requests.
+ * The content checksum is a SHA-256 over the dossier data and is printed in the
+ * document; the file checksum is a SHA-256 over the PDF bytes.
+ * @param {string} caseId - Case ID
+ * @returns {Promise<Object|null>} { buffer, caseNumber, generatedAt, contentChecksum, fileChecksum } or null if not found
+ */
+export const generateCaseDossierPDF = async (caseId) => {
+  const data = await loadDossierData(caseId);
+  if (!data) return null;
+
+  const { caseItem, evidence, payments, decisionComments, auditLogs } = data;
+  const checkIn = caseItem.check_in_id || {};
+  const business = checkIn.business_id || {};
+  const generatedAt = new Date();
+
+  const contentChecksum = crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({
+        case: caseItem,
+        evidence: evidence.map((ev) => ({ ...ev, buffer: undefined })), // Dropped by JSON.stringify
+        payments,
+        decisionComments,
+        auditLogs,
+      }),
+    )
+    .digest('hex');
+
+  const buffer = await new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, bufferPages: true });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const section = (title) => {
+        if (doc.y > doc.page.height - 120) doc.addPage();
+        doc.moveDown();
+        doc.fontSize(14).fillColor('black').text(title, 50, doc.y, { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+      };
+      const field = (label, value) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+      };
+      const none = (text) => doc.fillColor('gray').text(text).fillColor('black');
+
+      // Header
+      doc.fontSize(20).text('Police Tax Control System', { align: 'center' });
+      doc.fontSize(16).text(`Case Dossier: ${caseItem.case_number}`, { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(10).fillColor('gray').text(`Generated ${formatDateTime(generatedAt)}`, { align: 'center' });
+      doc.fillColor('black');
+
+      section('Case');
+      field('Case number', caseItem.case_number);
+      field('Type', caseItem.case_type);
+      field('Status', caseItem.status);
+      field('Result', caseItem.result);
+      field('Violation codes', (caseItem.violation_codes || []).join(', '));
+      field('Violations', caseItem.violations);
+      field('Description', caseItem.description);
+      field('Fine amount', caseItem.fine_amount ? formatMoney(caseItem.fine_amount, caseItem.currency) : null);
+      field('Payment status', caseItem.payment_status);
+      field('Assigned officer', caseItem.assigned_officer_id?.name);
+      field('Opened', formatDateTime(caseItem.createdAt));
+      field('Resolved', caseItem.resolvedAt ? formatDateTime(caseItem.resolvedAt) : null);
+
+      section('Business');
+      field('Business ID', business.business_id);
+      field('Name', business.business_name);
+      field('Type', business.business_type);
+      field('Owner', business.owner_name);
+      field('Tax ID', business.tax_id);
+      field('Registration number', business.registration_number);
+      field('Address', business.address);
+      field('District', business.district);
+      field('State', business.state);
+      field('Phone', business.contact_phone);
+
+      section('Check-in');
+      field('Date', formatDateTime(checkIn.check_in_date));
+      field('Officer', checkIn.officer_id?.name);
+      field('Location', checkIn.location_geo);
+      field('Phone', checkIn.phone);
+      field('Fine recorded', checkIn.fine ? formatMoney(checkIn.fine, checkIn.fine_currency) : null);
+      field('Notes', checkIn.notes);
+
+      section('Decision History');
+      const history = caseItem.status_history || [];
+      if (history.length === 0) none('No status changes recorded.');
+      history.forEach((h) => {
+        doc.text(
+          `${formatDateTime(h.changed_at)}  ${h.from || '-'} -> ${h.to}  by ${h.changed_by?.name || 'system'}` +
+            (h.reason ? `\n    Reason: ${h.reason}` : ''),
+        );
+      });
+      decisionComments.forEach((c) => {
+        doc.text(`${formatDateTime(c.createdAt)}  Decision note by ${c.author_id?.name || 'unknown'}: ${c.body}`);
+      });
+
+      section('Evidence');
+      if (evidence.length === 0) none('No evidence uploaded.');
+      evidence.forEach((ev, index) => {
+        if (doc.y > doc.page.height - 180) doc.addPage();
+        doc.font('Helvetica-Bold').text(`${index + 1}. ${ev.description || ev.file_type}`);
+        doc.font('Helvetica');
+        field('Uploaded', `${formatDateTime(ev.uploaded_at)} by ${ev.uploaded_by?.name || 'unknown'}`);
+        field('File', `${FILE_BASE}${ev.file_url}`);
+        field('SHA-256', ev.computed_sha256 || ev.sha256 || 'unavailable');
+        if (ev.computed_sha256 && ev.sha256 && ev.sha256 !== ev.computed_sha256) {
+          doc.fillColor('red').text('Recorded hash at upload differs from the stored file.').fillColor('black');
+        }
+        if (ev.buffer && EMBEDDABLE_IMAGE_TYPES.includes(ev.file_type)) {
+          try {
+            doc.image(ev.buffer, 60, doc.y + 5, { fit: [120, 120] });
+            doc.y += 130;
+          } catch (error) {
+            none('Thumbnail unavailable.');
+          }
+        }
+        doc.moveDown(0.5);
+      });
+
+      section('Resolution Papers');
+      const papers = caseItem.resolution_papers || [];
+      if (papers.length === 0) none('No resolution papers uploaded.');
+      papers.forEach((paper) => {
+        doc.text(
+          `${formatDateTime(paper.uploaded_at)}  ${paper.paper_type}  by ${paper.officer_id?.name || 'unknown'}` +
+            `  confirmed date: ${paper.confirmed_date ? formatDateTime(paper.confirmed_date) : '-'}` +
+            `\n    ${FILE_BASE}${paper.file_url}` +
+            (paper.notes ? `\n    Notes: ${paper.notes}` : ''),
+        );
+      });
+
+      section('Payments');
+      if (payments.length === 0) none('No payments recorded.');
+      payments.forEach((p) => {
+        doc.text(
+          `${formatDateTime(p.payment_date)}  ${formatMoney(p.amount, p.currency)}  ${p.payment_method}  receipt ${p.receipt_reference}` +
+            `\n    Status: ${p.status}` +
+            (p.verified_at ? ` by ${p.verified_by?.name || 'unknown'} on ${formatDateTime(p.verified_at)}` : ''),
+        );
+      });
+
+      section('Audit Trail');
+      if (auditLogs.length === 0) none('No audit entries.');
+      auditLogs.forEach((log) => {
+        doc.text(`${formatDateTime(log.createdAt)}  ${log.entity}.${log.action}  by ${log.user?.name || 'system'}`);
+      });
+
+      // Footer on every page: generation timestamp, content checksum and page number
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i += 1) {
+        doc.switchToPage(i);
+        const bottom = doc.page.height - 40;
+        doc.page.margins.bottom = 0;
+        doc
+          .fontSize(7)
+          .fillColor('gray')
+          .text(
+            `${caseItem.case_number} | Generated ${formatDateTime(generatedAt)} | Content SHA-256 ${contentChecksum} | Page ${i + 1} of ${range.count}`,
+            50,
+            bottom,
+            { width: doc.page.width - 100, align: 'center', lineBreak: false },
+          );
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  return {
+    buffer,
+    caseNumber: caseItem.case_number,
+    generatedAt,
+    contentChecksum,
+    fileChecksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Revenue Service
+ *
+ * Revenue ledger: verified payments as collected, and approved fine adjustments
+ * as separate lines, so refunds, waivers and reductions never change the
+ * collected figures behind the scenes. Totals are given per currency and in the
+ * base currency, using the conversion recorded at payment (or approval) time.
+ */
+
+import { config } from '../config.js';
+import { FineAdjustmentModel, PaymentModel } from '../models/index.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+const dateRange = (field, start, end) => {
+  if (!start && !end) return {};
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  return { [field]: range };
+};
+
+// Records from before currencies were tracked are in dollars
+const currencyOf = { $ifNull: ['$currency', 'USD'] };
+const baseAmountOf = { $ifNull: ['$base_amount', '$amount'] };
+
+const summarize = (collected, adjustments, key) => {
+  const sum = (rows, field) => roundMoney(rows.reduce((total, row) => total + row[field], 0));
+  const adjustment = (type) => adjustments.filter((a) => a._id.type === type);
+  const gross = sum(collected, key);
+  const refunds = sum(adjustment('refund'), key);
+  return {
+    gross_collected: gross,
+    refunds,
+    net_collected: roundMoney(gross - refunds),
+    waived: sum(adjustment('waiver'), key),
+    reduced: sum(adjustment('reduction'), key),
+  };
+};
+
+/**
+ * Totals of the revenue ledger for a period, in the base currency and per currency paid in
+ * @returns {Promise<Object>} { base_currency, gross_collected, refunds, net_collected, waived, reduced, by_method, by_currency }
+ */
+export const getRevenueTotals = async ({ start, end } = {}) => {
+  const [collected, adjustments] = await Promise.all([
+    PaymentModel.aggregate([
+      { $match: { status: 'verified', ...dateRange('verified_at', start, end) } },
+      {
+        $group: {
+          _id: { method: '$payment_method', currency: currencyOf },
+          total: { $sum: '$amount' },
+          base_total: { $sum: baseAmountOf },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    FineAdjustmentModel.aggregate([
+      { $match: { status: 'approved', ...dateRange('reviewed_at', start, end) } },
+      {
+        $group: {
+          _id: { type: '$type', currency: currencyOf },
+          total: { $sum: '$amount' },
+          base_total: { $sum: baseAmountOf },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const byMethod = {};
+  collected.forEach((c) => {
+    const method = c._id.method || 'other';
+    byMethod[method] = byMethod[method] || { total: 0, count: 0 };
+    byMethod[method].total = roundMoney(byMethod[method].total + c.base_total);
+    byMethod[method].count += c.count;
+  });
+
+  const currencies = [...new Set([...collected, ...adjustments].map((row) => row._id.currency))].sort();
+  const ofCurrency = (rows, currency) => rows.filter((row) => row._id.currency === currency);
+  return {
+    base_currency: config.currency.base,
+    ...summarize(collected, adjustments, 'base_total'),
+    by_method: byMethod,
+    by_currency: Object.fromEntries(
+      currencies.map((currency) => [
+        currency,
+        {
+          ...summarize(ofCurrency(collected, currency), ofCurrency(adjustments, currency), 'total'),
+          payments: ofCurrency(collected, currency).reduce((count, c) => count + c.count, 0),
+        },
+      ]),
+    ),
+  };
+};
+
+/**
+ * Revenue ledger lines for a period, oldest first: one line per verified payment and
+ * per approved adjustment. cash_effect is what the line did to the money held
+ * (refunds are negative) and fine_effect what it did to the fines owed, both in
+ * the line's currency; base_amount is the amount in the base currency.
+ */
+export const getRevenueLedger = async ({ start, end } = {}) => {
+  const populateCase = { path: 'case_id', select: 'case_number' };
+  const [payments, adjustments] = await Promise.all([
+    PaymentModel.find({ status: 'verified', ...dateRange('verified_at', start, end) })
+      .populate(populateCase)
+      .populate('verified_by', 'name')
+      .lean(),
+    FineAdjustmentModel.find({ status: 'approved', ...dateRange('reviewed_at', start, end) })
+      .populate(populateCase)
+      .populate('reviewed_by', 'name')
+      .lean(),
+  ]);
+
+  const lines = [
+    ...payments.map((p) => ({
+      date: p.verified_at,
+      type: 'payment',
+      case_number: p.case_id?.case_number,
+      currency: p.currency || 'USD',
+      amount: p.amount,
+      base_amount: p.base_amount ?? p.amount,
+      cash_effect: p.amount,
+      fine_effect: 0,
+      method: p.payment_method,
+      reference: p.receipt_reference,
+      approved_by: p.verified_by?.name,
+      payment_id: p._id,
+    })),
+    ...adjustments.map((a) => ({
+      date: a.reviewed_at,
+      type: a.type,
+      case_number: a.case_id?.case_number,
+      currency: a.currency || 'USD',
+      amount: a.amount,
+      base_amount: a.base_amount ?? a.amount,
+      cash_effect: a.type === 'refund' ? -a.amount : 0,
+      fine_effect: a.type === 'refund' ? 0 : -a.amount,
+      method: a.refund_method,
+      reference: a.refund_reference,
+      approved_by: a.reviewed_by?.name,
+      reason: a.reason,
+      fine_adjustment_id: a._id,
+    })),
+  ].sort((x, y) => new Date(x.date) - new Date(y.date));
+
+  return { lines, totals: await getRevenueTotals({ start, end }) };
+};
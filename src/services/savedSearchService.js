@@ -0,0 +1,110 @@
+import createError from 'http-errors';
+import Joi from 'joi';
+import { Types } from 'mongoose';
+
+import { CaseStatus, CaseTypes } from '../constants/enums.js';
+import { SavedSearchModel, UserModel } from '../models/index.js';
+
+// Filters a saved search can hold: the GET /cases parameters plus a relative date range
+export const SavedSearchFilterSchema = Joi.object({
+  status: Joi.string().valid(...CaseStatus),
+  case_type: Joi.string().valid(...CaseTypes),
+  assigned_officer_id: Joi.string().hex().length(24),
+  business_name: Joi.string().trim(),
+  business_type: Joi.string().trim(),
+  business_search: Joi.string().trim(),
+  overdue: Joi.boolean(),
+  start: Joi.date().iso(),
+  end: Joi.date().iso(),
+  created_within_days: Joi.number().integer().min(1), // Rolling window ending when the search runs
+  sort: Joi.string(),
+})
+  .oxor('created_within_days', 'start')
+  .oxor('created_within_days', 'end');
+
+/**
+ * Query selecting the saved searches a user can see: their own, global ones,
+ * and team ones of their team (the team of the supervisor they are, or report to)
+ */
+export const savedSearchVisibilityFilter = async (user) => {
+  if (user.role === 'admin') return {};
+
+  const account = await UserModel.findById(user.sub).select('supervisor_id').lean();
+  const teamIds = [user.sub, account?.supervisor_id].filter(Boolean);
+  return {
+    $or: [
+      { owner_id: user.sub },
+      { scope: 'global' },
+      { scope: 'team', team_supervisor_id: { $in: teamIds } },
+    ],
+  };
+};
+
+/**
+ * Load a saved search the user can see (404 otherwise)
+ */
+export const findVisibleSavedSearch = async (id, user) => {
+  if (!Types.ObjectId.isValid(id)) throw createError(404, 'Saved search not found');
+  const visibility = await savedSearchVisibilityFilter(user);
+  const search = await SavedSearchModel.findOne({ _id: id, ...visibility });
+  if (!search) throw createError(404, 'Saved search not found');
+  return search;
+};
+
+/**
+ * Check a user may share a search with the given scope and work out the team it belongs to.
+ * Global searches are admin-only; team searches need a supervisor (the user or theirs).
+ * @returns {Promise<Object|null>} team_supervisor_id for team searches, null otherwise
+ */
+export const resolveSavedSearchScope = async (scope, user) => {
+  if (scope === 'global' && user.role !== 'admin') {
+    throw createError(403, 'Only admins can create global saved searches');
+  }
+  if (scope !== 'team') return null;
+  if (user.role === 'supervisor') return user.sub;
+
+  const account = await UserModel.findById(user.sub).select('supervisor_id').lean();
+  if (!account?.supervisor_id) {
+    throw createError(400, 'You have no supervisor to share a team search with');
+  }
+  return account.supervisor_id;
+};
+
+/**
+ * Only the owner or an admin can change or delete a saved search
+ */
+export const assertCanManageSavedSearch = (search, user) => {
+  if (user.role === 'admin' || search.owner_id.toString() === user.sub) return;
+  throw createError(403, 'You can only change your own saved searches');
+};
+
+/**
+ * The GET /cases parameters of a saved search, with the relative date range resolved
+ * against the current time
+ */
+export const resolveSavedSearchFilters = (search, now = new Date()) => {
+  const { created_within_days, ...filters } = search.filters || {};
+  if (created_within_days) {
+    filters.start = new Date(now.getTime() - created_within_days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return filters;
+};
+
+/**
+ * Merge the saved search named by `saved_search` into a list or report query.
+ * Parameters given explicitly in the query win over the saved ones.
+ * @param {Object} query - req.query
+ * @param {Object} user - req.user
+ * @param {Object} options - { startParam, endParam } names of the date parameters of the endpoint
+ * @returns {Promise<Object>} Query parameters
+ */
+export const applySavedSearch = async (query, user, { startParam = 'start', endParam = 'end' } = {}) => {
+  const { saved_search, ...rest } = query;
+  if (!saved_search) return query;
+
+  const search = await findVisibleSavedSearch(String(saved_search), user);
+  const { start, end, ...filters } = resolveSavedSearchFilters(search);
+  if (start) filters[startParam] = start;
+  if (end) filters[endParam] = end;
+  return { ...filters, ...rest };
+};
@@ -0,0 +1,73 @@
+/**
+ * Sequence Service
+ *
+ * Collision-free identifiers backed by the counters collection. Each
+ * sequence/scope pair (e.g. case numbers for one day) has its own counter
+ * document that is incremented atomically, so concurrent requests can never
+ * receive the same number.
+ */
+
+import { config } from '../config.js';
+import { BusinessModel, CaseModel, CounterModel, ReceiptModel } from '../models/index.js';
+
+// Where each sequence's identifiers are stored, used to seed a new counter from existing data
+const SequenceTargets = {
+  case: { model: CaseModel, field: 'case_number' },
+  business: { model: BusinessModel, field: 'business_id' },
+  tax: { model: BusinessModel, field: 'tax_id' },
+  registration: { model: BusinessModel, field: 'registration_number' },
+  receipt: { model: ReceiptModel, field: 'receipt_number' },
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Scopes follow UTC dates, as identifiers did before counters existed
+const scopeKey = (scope, date) => {
+  const year = date.getUTCFullYear();
+  if (scope === 'year') return String(year);
+  return `${year}${pad(date.getUTCMonth() + 1, 2)}${pad(date.getUTCDate(), 2)}`;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highest number already issued for a prefix and scope, so a counter created
+ * for the first time continues after identifiers issued before counters existed
+ */
+const findHighestIssued = async (name, base) => {
+  const { model, field } = SequenceTargets[name];
+  const issued = await model
+    .distinct(field, { [field]: { $regex: `^${escapeRegex(base)}-\\d+$` } })
+    .setOptions({ withDeleted: true }); // Deleted records keep their identifiers
+  // Compared as numbers: -10000 is above -9999 although it sorts below it as a string
+  return issued.reduce((highest, id) => Math.max(highest, parseInt(id.split('-').pop(), 10) || 0), 0);
+};
+
+/**
+ * Atomically take the next identifier of a sequence
+ * @param {string} name - Sequence name: case, business, tax, registration or receipt
+ * @param {Date} date - Date that decides the scope (day or year)
+ * @returns {Promise<string>} e.g. CASE-20250114-0007
+ */
+export const nextSequenceValue = async (name, date = new Date()) => {
+  const settings = config.sequences[name];
+  if (!settings || !SequenceTargets[name]) {
+    throw new Error(`Unknown sequence: ${name}`);
+  }
+
+  const base = `${settings.prefix}-${scopeKey(settings.scope, date)}`;
+  const key = `${name}:${base}`;
+
+  if (!(await CounterModel.exists({ _id: key }))) {
+    const seed = await findHighestIssued(name, base);
+    try {
+      await CounterModel.updateOne({ _id: key }, { $setOnInsert: { seq: seed } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await CounterModel.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  return `${base}-${pad(counter.seq, 4)}`;
+};
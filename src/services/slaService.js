@@ -0,0 +1,132 @@
+import { CaseModel, SlaStatuses, UserModel } from '../models/index.js';
+import { createSlaBreachNotification } from './notificationService.js';
+
+// Upper bound on cases recorded as breached per run; the rest are picked up on the next run
+const BREACH_BATCH = 200;
+
+/**
+ * Record SLA breaches for cases still in a tracked status past their deadline,
+ * and notify the assigned officer and their supervisor. Each deadline is
+ * recorded once; cases with an outstanding appeal are skipped, and so are
+ * Fined cases that are already paid (the payment SLA stops at payment).
+ */
+export const checkSlaBreaches = async () => {
+  const now = new Date();
+  const cases = await CaseModel.find({
+    status: { $in: Object.keys(SlaStatuses) },
+    deadline_date: { $lt: now },
+    sla_breach_notified: { $ne: true },
+    appeal_pending: { $ne: true },
+    $nor: [{ status: 'Fined', payment_status: 'paid' }],
+  })
+    .sort({ deadline_date: 1 })
+    .limit(BREACH_BATCH);
+
+  let breaches = 0;
+  for (const caseItem of cases) {
+    try {
+      caseItem.sla_breaches.push({
+        status: caseItem.status,
+        deadline_date: caseItem.deadline_date,
+        breached_at: now,
+        officer_id: caseItem.assigned_officer_id,
+      });
+      caseItem.sla_breach_notified = true;
+      await caseItem.save();
+
+      const recipients = [];
+      if (caseItem.assigned_officer_id) {
+        recipients.push(caseItem.assigned_officer_id);
+        const officer = await UserModel.findById(caseItem.assigned_officer_id).select('supervisor_id').lean();
+        if (officer?.supervisor_id) recipients.push(officer.supervisor_id);
+      }
+      if (recipients.length > 0) {
+        await createSlaBreachNotification(caseItem, recipients);
+      }
+      breaches += 1;
+    } catch (error) {
+      console.error(`Error recording SLA breach for case ${caseItem.case_number}:`, error);
+    }
+  }
+
+  return { checked: cases.length, breaches };
+};
+
+/**
+ * SLA breaches grouped by officer and by business district
+ * @param {Object} filters - { startDate, endDate, case_type, status }
+ */
+export const getSlaBreachReport = async ({ startDate, endDate, case_type, status } = {}) => {
+  const breachMatch = {};
+  if (startDate || endDate) {
+    breachMatch['sla_breaches.breached_at'] = {};
+    if (startDate) breachMatch['sla_breaches.breached_at'].$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      breachMatch['sla_breaches.breached_at'].$lte = end;
+    }
+  }
+  if (status) breachMatch['sla_breaches.status'] = status;
+
+  const caseMatch = { 'sla_breaches.0': { $exists: true } };
+  if (case_type) caseMatch.case_type = case_type;
+
+  const breaches = await CaseModel.aggregate([
+    { $match: caseMatch },
+    { $unwind: '$sla_breaches' },
+    { $match: breachMatch },
+    { $lookup: { from: 'checkins', localField: 'check_in_id', foreignField: '_id', as: 'check' } },
+    { $unwind: { path: '$check', preserveNullAndEmptyArrays: true } },
+    { $lookup: { from: 'businesses', localField: 'check.business_id', foreignField: '_id', as: 'business' } },
+    { $unwind: { path: '$business', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        case_id: '$_id',
+        case_number: 1,
+        case_type: 1,
+        status: '$sla_breaches.status',
+        deadline_date: '$sla_breaches.deadline_date',
+        breached_at: '$sla_breaches.breached_at',
+        officer_id: '$sla_breaches.officer_id',
+        district: { $ifNull: ['$business.district', 'Unknown'] },
+      },
+    },
+  ]);
+
+  const officers = await UserModel.find({ _id: { $in: breaches.map((b) => b.officer_id).filter(Boolean) } })
+    .select('name email')
+    .lean();
+  const officerNames = new Map(officers.map((o) => [String(o._id), o.name]));
+
+  const group = (keyOf, labelOf) => {
+    const groups = new Map();
+    breaches.forEach((breach) => {
+      const key = keyOf(breach);
+      if (!groups.has(key)) {
+        groups.set(key, { ...labelOf(breach), total: 0, by_status: {} });
+      }
+      const entry = groups.get(key);
+      entry.total += 1;
+      entry.by_status[breach.status] = (entry.by_status[breach.status] || 0) + 1;
+    });
+    return [...groups.values()].sort((a, b) => b.total - a.total);
+  };
+
+  return {
+    total: breaches.length,
+    by_officer: group(
+      (b) => String(b.officer_id || 'unassigned'),
+      (b) => ({
+        officer_id: b.officer_id || null,
+        officer_name: b.officer_id ? officerNames.get(String(b.officer_id)) || '' : 'Unassigned',
+      }),
+    ),
+    by_district: group(
+      (b) => b.district,
+      (b) => ({ district: b.district }),
+    ),
+    breaches,
+  };
+};
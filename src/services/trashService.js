@@ -0,0 +1,226 @@
+/**
+ * Trash Service
+ *
+ * Soft delete, restore and purge for businesses, check-ins, cases, payments
+ * and evidence (see softDeletePlugin). Deleting a record cascades down the
+ * business → check-in → case → payment/evidence chain; restoring it brings
+ * back exactly the records deleted with it (and brings the balance of cases
+ * whose payments come back up to date). Records are purged for good once
+ * they have been in the trash longer than the retention period, except
+ * payments that receipts, cash-ups or statements still refer to.
+ */
+
+import createError from 'http-errors';
+import { Types } from 'mongoose';
+
+import { config } from '../config.js';
+import {
+  AppealModel,
+  BusinessModel,
+  CaseCommentModel,
+  CaseModel,
+  CashUpModel,
+  CheckInModel,
+  EditRequestModel,
+  EvidenceModel,
+  NotificationModel,
+  PaymentModel,
+  ReceiptModel,
+  StatementReconciliationModel,
+  WatchModel,
+} from '../models/index.js';
+import { deleteFromGridFS } from '../utils/gridfs.js';
+import { refreshCaseBalance } from './paymentService.js';
+
+export const TrashEntities = {
+  business: { model: BusinessModel, label: 'Business', select: 'business_name business_id tax_id' },
+  check_in: { model: CheckInModel, label: 'Check-in', select: 'business_id officer_id check_in_date' },
+  case: { model: CaseModel, label: 'Case', select: 'case_number case_type status check_in_id' },
+  payment: { model: PaymentModel, label: 'Payment', select: 'case_id amount receipt_reference status' },
+  evidence: { model: EvidenceModel, label: 'Evidence', select: 'case_id file_url file_type description' },
+};
+
+// Records that are deleted along with a record: [child entity, field referencing the parent]
+const Children = {
+  business: [['check_in', 'business_id']],
+  check_in: [['case', 'check_in_id']],
+  case: [
+    ['payment', 'case_id'],
+    ['evidence', 'case_id'],
+  ],
+};
+
+// The record a record belongs to; it cannot be restored while that one is in the trash
+const Parents = {
+  check_in: ['business', 'business_id'],
+  case: ['check_in', 'check_in_id'],
+  payment: ['case', 'case_id'],
+  evidence: ['case', 'case_id'],
+};
+
+const getTrashEntity = (entity) => {
+  const target = TrashEntities[entity];
+  if (!target) throw createError(400, `Unknown entity: ${entity}`);
+  return target;
+};
+
+/**
+ * IDs of the live records below a set of records, per entity
+ */
+const collectDescendants = async (entity, ids, result = {}) => {
+  for (const [child, field] of Children[entity] || []) {
+    const childIds = await TrashEntities[child].model.find({ [field]: { $in: ids } }).distinct('_id');
+    if (childIds.length === 0) continue;
+    result[child] = [...(result[child] || []), ...childIds];
+    await collectDescendants(child, childIds, result);
+  }
+  return result;
+};
+
+/**
+ * Move a record and everything below it to the trash
+ * @returns {Promise<Object>} Number of records deleted per entity
+ */
+export const softDeleteRecord = async (entity, id, userId) => {
+  const { model, label } = getTrashEntity(entity);
+  if (!Types.ObjectId.isValid(id)) throw createError(404, `${label} not found`);
+  const record = await model.findById(id).select('_id');
+  if (!record) throw createError(404, `${label} not found`);
+
+  const targets = { [entity]: [record._id], ...(await collectDescendants(entity, [record._id])) };
+  const marker = { deletedAt: new Date(), deletedBy: userId, deletedWith: record._id };
+
+  const deleted = {};
+  for (const [target, ids] of Object.entries(targets)) {
+    const { modifiedCount } = await TrashEntities[target].model.updateMany(
+      { _id: { $in: ids }, deletedAt: null },
+      { $set: marker },
+    );
+    deleted[target] = modifiedCount;
+  }
+  return deleted;
+};
+
+/**
+ * Restore a record from the trash together with the records deleted with it
+ * @returns {Promise<Object>} Number of records restored per entity
+ */
+export const restoreRecord = async (entity, id) => {
+  const { model, label } = getTrashEntity(entity);
+  if (!Types.ObjectId.isValid(id)) throw createError(404, `${label} not found in the trash`);
+  const record = await model.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+  if (!record) throw createError(404, `${label} not found in the trash`);
+
+  if (Parents[entity]) {
+    const [parent, field] = Parents[entity];
+    const parentExists = await TrashEntities[parent].model.exists({ _id: record[field] });
+    if (!parentExists) {
+      throw createError(409, `Restore the ${TrashEntities[parent].label.toLowerCase()} this ${label.toLowerCase()} belongs to first`);
+    }
+  }
+
+  const restored = {};
+  let paidCaseIds = [];
+  for (const [target, { model: targetModel }] of Object.entries(TrashEntities)) {
+    const filter = target === entity ? { $or: [{ _id: record._id }, { deletedWith: record._id }] } : { deletedWith: record._id };
+    const trashed = { ...filter, deletedAt: { $ne: null } };
+    if (target === 'payment') paidCaseIds = await targetModel.find(trashed).distinct('case_id');
+    const { modifiedCount } = await targetModel.updateMany(trashed, {
+      $set: { deletedAt: null },
+      $unset: { deletedBy: 1, deletedWith: 1 },
+    });
+    if (modifiedCount > 0) restored[target] = modifiedCount;
+  }
+
+  // Restored payments count towards their case's balance again
+  for (const caseId of paidCaseIds) {
+    const caseItem = await CaseModel.findById(caseId);
+    if (!caseItem) continue;
+    await refreshCaseBalance(caseItem);
+    await caseItem.save();
+  }
+  return restored;
+};
+
+/**
+ * Query for the trash of one entity. By default only the records deleted directly
+ * are listed, not the ones that went with them.
+ */
+export const trashFilter = ({ includeCascaded = false } = {}) => {
+  const filter = { deletedAt: { $ne: null } };
+  if (!includeCascaded) filter.$expr = { $eq: ['$deletedWith', '$_id'] };
+  return filter;
+};
+
+const deleteFiles = async (fileIds) => {
+  for (const fileId of fileIds.filter(Boolean)) {
+    try {
+      await deleteFromGridFS(fileId);
+    } catch (err) {
+      console.error(`[trash] Failed to delete file ${fileId}:`, err.message);
+    }
+  }
+};
+
+// Payments that receipts, cash-ups or statement reconciliations point to (as strings)
+const findReferencedPayments = async (ids) => {
+  const [receipts, cashUps, statements] = await Promise.all([
+    ReceiptModel.distinct('payment_id', { payment_id: { $in: ids } }),
+    CashUpModel.distinct('payment_ids', { payment_ids: { $in: ids } }),
+    StatementReconciliationModel.distinct('lines.payment_id', { 'lines.payment_id': { $in: ids } }),
+  ]);
+  return new Set([...receipts, ...cashUps, ...statements].map(String));
+};
+
+/**
+ * Permanently delete records that have been in the trash longer than the retention period,
+ * with their files and the records that only make sense alongside them
+ * (comments, appeals, notifications, watches, edit requests)
+ * @returns {Promise<Object>} Number of records purged per entity
+ */
+export const purgeExpiredTrash = async (retentionDays = config.trash.retentionDays) => {
+  if (!retentionDays || retentionDays <= 0) return {};
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+
+  const purged = {};
+  // Children first, so nothing is left pointing at a purged record
+  for (const entity of ['evidence', 'payment', 'case', 'check_in', 'business']) {
+    const { model } = TrashEntities[entity];
+    let records = await model.find(expired).lean();
+    // Payments the cash records still refer to stay in the trash, and so does everything they belong to
+    if (entity === 'payment') {
+      const referenced = await findReferencedPayments(records.map((r) => r._id));
+      records = records.filter((r) => !referenced.has(String(r._id)));
+    }
+    for (const [child, field] of Children[entity] || []) {
+      const kept = await TrashEntities[child].model
+        .distinct(field, { [field]: { $in: records.map((r) => r._id) } })
+        .setOptions({ withDeleted: true });
+      const keptIds = new Set(kept.map(String));
+      records = records.filter((r) => !keptIds.has(String(r._id)));
+    }
+    if (records.length === 0) continue;
+    const ids = records.map((r) => r._id);
+
+    if (entity === 'evidence') await deleteFiles(records.map((r) => r.file_id));
+    if (entity === 'payment') await deleteFiles(records.map((r) => r.receipt_file_id));
+    if (entity === 'case') {
+      const appeals = await AppealModel.find({ case_id: { $in: ids } }).select('attachments').lean();
+      await deleteFiles(appeals.flatMap((a) => (a.attachments || []).map((f) => f.file_id)));
+      await AppealModel.deleteMany({ case_id: { $in: ids } });
+      await CaseCommentModel.deleteMany({ case_id: { $in: ids } });
+      await NotificationModel.deleteMany({ case_id: { $in: ids } });
+      await WatchModel.deleteMany({ entity: 'case', entity_id: { $in: ids } });
+    }
+    if (entity === 'business') {
+      await deleteFiles(records.map((r) => r.owner_id_image_file_id));
+      await EditRequestModel.deleteMany({ business_id: { $in: ids } });
+      await WatchModel.deleteMany({ entity: 'business', entity_id: { $in: ids } });
+    }
+
+    const { deletedCount } = await model.deleteMany({ _id: { $in: ids } });
+    purged[entity] = deletedCount;
+  }
+  return purged;
+};
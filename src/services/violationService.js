@@ -0,0 +1,102 @@
+import createError from 'http-errors';
+
+import { ViolationCodeModel } from '../models/index.js';
+import { convertAmount, formatMoney } from './currencyService.js';
+
+const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Normalize violation codes for storage and lookup
+ */
+export const normalizeViolationCodes = (codes = []) => [
+  ...new Set(codes.map((code) => String(code).trim().toUpperCase()).filter(Boolean)),
+];
+
+/**
+ * Load catalogue entries for a set of codes and check they can be used on a case
+ * @param {string[]} codes - Violation codes
+ * @param {string} caseType - Case type the codes must apply to
+ * @param {Object} options - { allowInactive } to accept retired codes already on a case
+ * @returns {Promise<Array>} Catalogue entries
+ */
+export const resolveViolationCodes = async (codes, caseType, { allowInactive = false } = {}) => {
+  const normalized = normalizeViolationCodes(codes);
+  if (normalized.length === 0) return [];
+
+  const entries = await ViolationCodeModel.find({ code: { $in: normalized } }).lean();
+  const found = new Map(entries.map((e) => [e.code, e]));
+
+  const unknown = normalized.filter((code) => !found.has(code) || (!allowInactive && !found.get(code).active));
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown or inactive violation codes: ${unknown.join(', ')}`);
+  }
+  const mismatched = entries.filter((e) => e.case_type !== caseType).map((e) => e.code);
+  if (mismatched.length > 0) {
+    throw createError(400, `Violation codes do not apply to ${caseType} cases: ${mismatched.join(', ')}`);
+  }
+
+  return normalized.map((code) => found.get(code));
+};
+
+/**
+ * Statutory fine range for a case: the sum of the schedules of its violation codes,
+ * each converted from the code's currency into the fine's currency at today's rates
+ * @param {Object} caseItem - Case (case_type, violation_codes, currency)
+ * @param {string} currency - Currency of the fine (defaults to the case's)
+ * @returns {Promise<Object|null>} { currency, min_fine, suggested_fine, max_fine, violations } or null when the case has no codes
+ */
+export const getFineSchedule = async (caseItem, currency = caseItem.currency || 'USD') => {
+  const entries = await resolveViolationCodes(caseItem.violation_codes || [], caseItem.case_type, {
+    allowInactive: true,
+  });
+  if (entries.length === 0) return null;
+
+  const violations = await Promise.all(
+    entries.map(async (e) => {
+      const from = e.currency || 'USD'; // Codes from before currencies were tracked are in dollars
+      const [min_fine, default_fine, max_fine] = await Promise.all(
+        [e.min_fine, e.default_fine, e.max_fine].map((amount) => convertAmount(amount, from, currency)),
+      );
+      return { code: e.code, description: e.description, min_fine, default_fine, max_fine };
+    }),
+  );
+  const total = (field) => roundMoney(violations.reduce((sum, v) => sum + v[field], 0));
+
+  return {
+    currency,
+    min_fine: total('min_fine'),
+    suggested_fine: total('default_fine'),
+    max_fine: total('max_fine'),
+    violations,
+  };
+};
+
+/**
+ * Decide the fine for a guilty-fine decision.
+ * Without an amount the suggested (default) fine is used; an amount outside the
+ * statutory range is rejected unless an override reason is given.
+ * @param {string} currency - Currency of the fine (defaults to the case's)
+ * @returns {Promise<{ fine_amount: number, override: boolean, schedule: Object|null }>}
+ */
+export const resolveFineAmount = async (caseItem, fineAmount, overrideReason, currency) => {
+  const schedule = await getFineSchedule(caseItem, currency || caseItem.currency || 'USD');
+  const hasAmount = fineAmount !== undefined && fineAmount !== null;
+
+  if (!schedule) {
+    if (!hasAmount) throw createError(400, 'fine_amount is required for cases without violation codes');
+    return { fine_amount: fineAmount, override: false, schedule };
+  }
+
+  const amount = hasAmount ? fineAmount : schedule.suggested_fine;
+  const outOfRange = amount < schedule.min_fine || amount > schedule.max_fine;
+  if (outOfRange && !overrideReason) {
+    throw createError(
+      400,
+      `Fine ${formatMoney(amount, schedule.currency)} is outside the statutory range ` +
+        `${schedule.min_fine}-${schedule.max_fine} ${schedule.currency} ` +
+        `for ${schedule.violations.map((v) => v.code).join(', ')}; give an override_reason to proceed`,
+    );
+  }
+
+  return { fine_amount: amount, override: outOfRange, schedule };
+};
@@ -0,0 +1,35 @@
+import { CheckInModel, WatchModel } from '../models/index.js';
+
+// Statuses that record an assessment decision; whoever moves a case into one watches it
+export const DecisionStatuses = ['Fined', 'PendingComeback', 'NotGuilty'];
+
+/**
+ * Subscribe a user to a case or business (no-op if already watching)
+ * @param {string} reason - 'manual', 'assigned' or 'decided'
+ */
+export const watchEntity = async (userId, entity, entityId, reason = 'manual') => {
+  return WatchModel.findOneAndUpdate(
+    { user_id: userId, entity, entity_id: entityId },
+    { $setOnInsert: { reason } },
+    { upsert: true, new: true },
+  );
+};
+
+export const unwatchEntity = async (userId, entity, entityId) => {
+  const { deletedCount } = await WatchModel.deleteOne({ user_id: userId, entity, entity_id: entityId });
+  return deletedCount > 0;
+};
+
+/**
+ * IDs (as strings) of the users watching a case directly or through its business
+ */
+export const getCaseWatcherIds = async (caseItem) => {
+  const checkInId = caseItem.check_in_id?._id || caseItem.check_in_id;
+  const checkIn = checkInId ? await CheckInModel.findById(checkInId).select('business_id').lean() : null;
+
+  const targets = [{ entity: 'case', entity_id: caseItem._id }];
+  if (checkIn?.business_id) targets.push({ entity: 'business', entity_id: checkIn.business_id });
+
+  const userIds = await WatchModel.find({ $or: targets }).distinct('user_id');
+  return userIds.map(String);
+};
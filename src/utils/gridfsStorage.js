@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import multer from 'multer';
 import { uploadToGridFS } from './gridfs.js';
 
@@ -38,6 +39,7 @@ class GridFSStorage {
           fileId: result.fileId,
           size: result.size,
           mimetype: file.mimetype,
+          sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
         });
       } catch (error) {
         cb(error);
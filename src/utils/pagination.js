@@ -0,0 +1,136 @@
+import createError from 'http-errors';
+import Joi from 'joi';
+import { Types } from 'mongoose';
+
+import { config } from '../config.js';
+
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1),
+  cursor: Joi.string(),
+  sort: Joi.string(),
+  fields: Joi.string(),
+})
+  .oxor('page', 'cursor')
+  .messages({ 'object.oxor': 'Use either page or cursor, not both' })
+  .unknown(true);
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Types.ObjectId.isValid(id)) throw new Error('bad id');
+    return { value: d ? new Date(v) : v, id: new Types.ObjectId(id) };
+  } catch {
+    throw createError(400, 'Invalid cursor');
+  }
+};
+
+// Documents that come after the cursor in (field, _id) order
+const afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const tieBreak = { [field]: value, _id: { [op]: id } };
+  if (value === null) {
+    // Nulls sort first: ascending, everything non-null follows; descending, only other nulls do
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, tieBreak] } : tieBreak;
+  }
+  return { $or: [{ [field]: { [op]: value } }, tieBreak] };
+};
+
+/**
+ * Parse the shared list parameters: page or cursor, limit, sort and fields.
+ * `sort` is a field name, prefixed with '-' for descending (e.g. sort=-createdAt);
+ * `fields` is a comma-separated list of top-level or dotted schema paths.
+ * @param {Object} query - req.query
+ * @param {Object} options - { model, sortFields, defaultSort }
+ * @returns {Object} List options for paginate()
+ */
+export const parseListQuery = (query, { model, sortFields = ['createdAt'], defaultSort = '-createdAt' }) => {
+  const { error, value } = listQuerySchema.validate(query);
+  if (error) throw createError(400, error.message);
+
+  const { defaultLimit, maxLimit } = config.pagination;
+  const limit = Math.min(value.limit || defaultLimit, maxLimit);
+
+  const sortParam = value.sort || defaultSort;
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!sortFields.includes(sortField)) {
+    throw createError(400, `Cannot sort by ${sortField}; allowed: ${sortFields.join(', ')}`);
+  }
+
+  let fields = null;
+  if (value.fields) {
+    fields = value.fields
+      .split(',')
+      .map((f) => f.trim())
+      .filter(Boolean);
+    const unknown = fields.filter((f) => f.startsWith('$') || model.schema.pathType(f) === 'adhocOrUndefined');
+    if (unknown.length > 0) throw createError(400, `Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  return {
+    limit,
+    page: value.cursor ? null : value.page || 1,
+    cursor: value.cursor ? decodeCursor(value.cursor) : null,
+    sortField,
+    direction,
+    fields,
+    explicitSort: Boolean(value.sort),
+  };
+};
+
+/**
+ * Run a paginated find.
+ * Results are ordered by the sort field with _id as tie-breaker, so cursors stay stable
+ * while documents are added. Text-search relevance ordering only supports page mode.
+ * @param {Model} model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} listOptions - From parseListQuery()
+ * @param {Object} options - { populate(query), lean, textScore }
+ * @returns {Promise<{ data: Array, pagination: Object }>}
+ */
+export const paginate = async (model, filter, listOptions, { populate, lean = true, textScore = false } = {}) => {
+  const { limit, page, cursor, sortField, direction, fields } = listOptions;
+  const byRelevance = textScore && !listOptions.explicitSort;
+  if (byRelevance && cursor) {
+    throw createError(400, 'Cursor pagination is not available for text search; use page');
+  }
+
+  const pageFilter = cursor ? { $and: [filter, afterCursor(sortField, direction, cursor)] } : filter;
+  const sort = byRelevance ? { score: { $meta: 'textScore' }, _id: 1 } : { [sortField]: direction, _id: direction };
+
+  let query = model.find(pageFilter).sort(sort);
+  if (fields) {
+    // The sort field is always selected because the next cursor is built from it
+    query = query.select([...new Set([...fields, sortField])].join(' '));
+  }
+  if (!cursor) query = query.skip((page - 1) * limit);
+  query = query.limit(limit + 1);
+  if (populate) query = populate(query);
+  if (lean) query = query.lean();
+
+  const [docs, total] = await Promise.all([query, model.countDocuments(filter)]);
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      page,
+      has_more: hasMore,
+      next_cursor: hasMore && !byRelevance ? encodeCursor(data[data.length - 1], sortField) : null,
+    },
+  };
+};
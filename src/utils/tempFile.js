@@ -0,0 +1,46 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { downloadFromGridFS } from './gridfs.js';
+
+/**
+ * Download file from GridFS to a temporary file for processing
+ */
+export const downloadToTempFile = async (fileId, originalFilename) => {
+  const { stream, file } = await downloadFromGridFS(fileId);
+  
+  const ext = originalFilename ? path.extname(originalFilename) : '.xlsx';
+  const tempFilePath = path.join(os.tmpdir(), `import-${fileId}-${Date.now()}${ext}`);
+  
+  return new Promise((resolve, reject) => {
+    const writeStream = fs.createWriteStream(tempFilePath);
+    stream.pipe(writeStream);
+    
+    writeStream.on('finish', () => {
+      resolve(tempFilePath);
+    });
+    
+    writeStream.on('error', (error) => {
+      reject(error);
+    });
+    
+    stream.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Clean up temporary file
+ */
+export const cleanupTempFile = (filePath) => {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log('[Cleanup] Removed temp file:', filePath);
+    }
+  } catch (err) {
+    console.error('[Cleanup] Failed to remove temp file:', err);
+  }
+};
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { adjustableAmount } from '../src/services/fineAdjustmentService.js';
+
+describe('adjustableAmount', () => {
+  it('waives the outstanding balance, as far as the fine goes', () => {
+    assert.equal(adjustableAmount('waiver', { fine_amount: 100, payment_amount: 30 }), 70);
+    // Penalties still owed are not waived with the fine
+    assert.equal(adjustableAmount('waiver', { fine_amount: 100, penalty_amount: 20, payment_amount: 10 }), 100);
+    assert.equal(adjustableAmount('waiver', { fine_amount: 100, payment_amount: 100 }), 0);
+  });
+
+  it('reduces the fine by up to the whole fine', () => {
+    assert.equal(adjustableAmount('reduction', { fine_amount: 100, payment_amount: 100 }), 100);
+    assert.equal(adjustableAmount('reduction', {}), 0);
+  });
+
+  it('refunds only what was paid beyond the fine and penalties', () => {
+    assert.equal(adjustableAmount('refund', { fine_amount: 100, penalty_amount: 5, payment_amount: 120 }), 15);
+    assert.equal(adjustableAmount('refund', { fine_amount: 100, payment_amount: 80 }), 0);
+  });
+
+  it('rejects unknown types', () => {
+    assert.throws(() => adjustableAmount('bonus', { fine_amount: 100 }), { status: 400 });
+  });
+});
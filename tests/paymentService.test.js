@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { getAmountDue, settleCaseBalance } from '../src/services/paymentService.js';
+
+const fineCase = (fields = {}) => ({ fine_amount: 100, penalty_amount: 0, payment_status: 'unpaid', ...fields });
+
+describe('settleCaseBalance', () => {
+  it('is paid once the fine and the penalties are covered', () => {
+    const paidAt = new Date('2026-03-01T10:00:00Z');
+    const caseItem = fineCase({ penalty_amount: 10 });
+    settleCaseBalance(caseItem, { paidAmount: 110, paidAt });
+    assert.equal(caseItem.payment_status, 'paid');
+    assert.equal(caseItem.payment_amount, 110);
+    assert.equal(caseItem.payment_date, paidAt);
+  });
+
+  it('is partially paid while the penalties are still owed', () => {
+    const caseItem = fineCase({ penalty_amount: 10, payment_date: new Date('2026-02-01T10:00:00Z') });
+    settleCaseBalance(caseItem, { paidAmount: 100 });
+    assert.equal(caseItem.payment_status, 'partially_paid');
+    assert.equal(caseItem.payment_date, undefined);
+  });
+
+  it('awaits verification when a payment is pending and the balance is not covered', () => {
+    const caseItem = fineCase();
+    settleCaseBalance(caseItem, { paidAmount: 40, hasPending: true });
+    assert.equal(caseItem.payment_status, 'pending_verification');
+
+    settleCaseBalance(caseItem, { paidAmount: 100, hasPending: true });
+    assert.equal(caseItem.payment_status, 'paid');
+  });
+
+  it('is unpaid without payments and not applicable without a fine', () => {
+    const unpaid = fineCase();
+    settleCaseBalance(unpaid, { paidAmount: 0 });
+    assert.equal(unpaid.payment_status, 'unpaid');
+
+    const noFine = fineCase({ fine_amount: 0 });
+    settleCaseBalance(noFine, {});
+    assert.equal(noFine.payment_status, 'not_applicable');
+  });
+
+  it('rounds the amount paid to cents', () => {
+    const caseItem = fineCase({ fine_amount: 0.3 });
+    settleCaseBalance(caseItem, { paidAmount: 0.1 + 0.2 });
+    assert.equal(caseItem.payment_amount, 0.3);
+    assert.equal(caseItem.payment_status, 'paid');
+    assert.equal(getAmountDue({ fine_amount: 0.1, penalty_amount: 0.2 }), 0.3);
+  });
+
+  it('spreads what was paid since the plan was agreed over the instalments, earliest first', () => {
+    const paidAt = new Date('2026-03-01T10:00:00Z');
+    const caseItem = fineCase({
+      instalment_plan: {
+        opening_paid: 10,
+        instalments: [
+          { amount: 30, due_date: new Date('2026-02-01') },
+          { amount: 30, due_date: new Date('2026-03-01') },
+          { amount: 30, due_date: new Date('2026-04-01') },
+        ],
+      },
+    });
+    settleCaseBalance(caseItem, { paidAmount: 55, paidAt });
+
+    const [first, second, third] = caseItem.instalment_plan.instalments;
+    assert.equal(caseItem.payment_status, 'partially_paid');
+    assert.deepEqual([first.paid_amount, second.paid_amount, third.paid_amount], [30, 15, 0]);
+    assert.equal(first.paid_at, paidAt);
+    assert.equal(second.paid_at, undefined);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { accrueCasePenalty, elapsedPeriods } from '../src/services/penaltyService.js';
+
+const policy = {
+  enabled: true,
+  graceDays: 14,
+  basis: 'percent',
+  rate: 5,
+  period: 'monthly',
+  capPercent: 50,
+  capAmount: 0,
+};
+
+// Fined at noon on 10 January, so penalties start on 24 January
+const finedCase = (fields = {}) => ({
+  status: 'Fined',
+  fine_amount: 100,
+  payment_status: 'unpaid',
+  status_history: [{ to: 'Fined', changed_at: new Date('2026-01-10T12:00:00Z') }],
+  penalties: [],
+  penalty_amount: 0,
+  ...fields,
+});
+
+describe('elapsedPeriods', () => {
+  it('counts whole days', () => {
+    assert.equal(elapsedPeriods(new Date('2026-01-01T12:00:00Z'), new Date('2026-01-04T11:00:00Z'), 'daily'), 2);
+    assert.equal(elapsedPeriods(new Date('2026-01-01T12:00:00Z'), new Date('2026-01-04T12:00:00Z'), 'daily'), 3);
+  });
+
+  it('counts a month only once the same day of the month is reached', () => {
+    const from = new Date('2026-01-15T12:00:00Z');
+    assert.equal(elapsedPeriods(from, new Date('2026-04-14T12:00:00Z'), 'monthly'), 2);
+    assert.equal(elapsedPeriods(from, new Date('2026-04-15T12:00:00Z'), 'monthly'), 3);
+  });
+
+  it('rolls a month end over into the next month', () => {
+    const from = new Date('2026-01-31T12:00:00Z');
+    assert.equal(elapsedPeriods(from, new Date('2026-02-28T12:00:00Z'), 'monthly'), 0);
+    assert.equal(elapsedPeriods(from, new Date('2026-03-02T12:00:00Z'), 'monthly'), 0);
+    assert.equal(elapsedPeriods(from, new Date('2026-03-03T12:00:00Z'), 'monthly'), 1);
+  });
+
+  it('is zero when the end is not after the start', () => {
+    const date = new Date('2026-01-15T12:00:00Z');
+    assert.equal(elapsedPeriods(date, date, 'monthly'), 0);
+    assert.equal(elapsedPeriods(date, new Date('2026-01-01T12:00:00Z'), 'daily'), 0);
+  });
+});
+
+describe('accrueCasePenalty', () => {
+  it('charges nothing during the grace period', () => {
+    const caseItem = finedCase();
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-02-23T12:00:00Z'), policy), null);
+    assert.equal(caseItem.penalty_accrued_until, undefined);
+    assert.equal(caseItem.penalty_amount, 0);
+  });
+
+  it('charges each month elapsed after the grace period and carries on from there', () => {
+    const caseItem = finedCase();
+    const line = accrueCasePenalty(caseItem, new Date('2026-03-25T12:00:00Z'), policy);
+
+    assert.equal(line.periods, 2);
+    assert.equal(line.amount, 10);
+    assert.equal(line.capped, false);
+    assert.deepEqual(line.period_start, new Date('2026-01-24T12:00:00Z'));
+    assert.deepEqual(caseItem.penalty_accrued_until, new Date('2026-03-24T12:00:00Z'));
+    assert.equal(caseItem.penalty_amount, 10);
+
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-04-23T12:00:00Z'), policy), null);
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-04-24T12:00:00Z'), policy).amount, 5);
+    assert.equal(caseItem.penalties.length, 2);
+    assert.equal(caseItem.penalty_amount, 15);
+  });
+
+  it('charges a flat amount per period', () => {
+    const caseItem = finedCase();
+    const line = accrueCasePenalty(caseItem, new Date('2026-01-27T12:00:00Z'), {
+      ...policy,
+      basis: 'flat',
+      rate: 2.5,
+      period: 'daily',
+    });
+    assert.equal(line.periods, 3);
+    assert.equal(line.amount, 7.5);
+  });
+
+  it('stops at the cap', () => {
+    const caseItem = finedCase({ penalty_amount: 48 });
+    const line = accrueCasePenalty(caseItem, new Date('2026-02-24T12:00:00Z'), policy);
+    assert.equal(line.amount, 2);
+    assert.equal(line.capped, true);
+    assert.equal(caseItem.penalty_amount, 50);
+
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-03-24T12:00:00Z'), policy), null);
+    assert.equal(caseItem.penalty_amount, 50);
+  });
+
+  it('applies the lower of the percentage and amount caps', () => {
+    const caseItem = finedCase();
+    const line = accrueCasePenalty(caseItem, new Date('2027-01-24T12:00:00Z'), { ...policy, capAmount: 20 });
+    assert.equal(line.periods, 12);
+    assert.equal(line.amount, 20);
+    assert.equal(line.capped, true);
+  });
+
+  it('skips the periods that pass while an appeal is pending', () => {
+    const caseItem = finedCase({ appeal_pending: true });
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-03-24T12:00:00Z'), policy), null);
+    assert.deepEqual(caseItem.penalty_accrued_until, new Date('2026-03-24T12:00:00Z'));
+    assert.equal(caseItem.penalties.length, 0);
+
+    caseItem.appeal_pending = false;
+    const line = accrueCasePenalty(caseItem, new Date('2026-04-24T12:00:00Z'), policy);
+    assert.equal(line.periods, 1);
+    assert.equal(line.amount, 5);
+  });
+
+  it('charges nothing once the fine is paid', () => {
+    const caseItem = finedCase({ payment_status: 'paid' });
+    assert.equal(accrueCasePenalty(caseItem, new Date('2026-06-24T12:00:00Z'), policy), null);
+    assert.equal(caseItem.penalty_accrued_until, undefined);
+  });
+});